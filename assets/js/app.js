@@ -19,6 +19,7 @@ const SaturaApp = (function () {
         onPrayerTimesFetched: [],
         onNextPrayerUpdate: [],
         onOnlineStatusChange: [],
+        onClockSync: [],
         onError: []
     };
 
@@ -46,6 +47,8 @@ const SaturaApp = (function () {
             ]);
 
             setupOnlineListener();
+            setupReminderListener();
+            setupClockSync();
 
             // Show cached schedule immediately while fresh data loads
             const cachedSchedule = SaturaPrayer.initFromCache();
@@ -61,6 +64,8 @@ const SaturaApp = (function () {
             initializePrayerTimes().then(schedule => {
                 if (schedule) {
                     triggerCallbacks('onPrayerTimesFetched', schedule);
+                    syncReminders();
+                    publishSyncProfile();
                 }
             }).catch(err => {
                 SaturaConfig.log('Background fetch failed, using cached data:', err.message);
@@ -256,6 +261,126 @@ const SaturaApp = (function () {
         }
     }
 
+    // ===========================================
+    // CLOCK SYNC
+    // ===========================================
+
+    /**
+     * Measure the device clock against server time; a changed offset
+     * re-arms reminders, which are scheduled on the device clock
+     */
+    async function syncClock() {
+        const previous = SaturaClock.getOffset();
+
+        try {
+            const status = await SaturaClock.sync();
+            triggerCallbacks('onClockSync', status);
+            if (status.offset !== previous) syncReminders();
+            return status;
+        } catch (error) {
+            SaturaConfig.log('Clock sync failed, keeping last offset:', error.message);
+            return SaturaClock.getStatus();
+        }
+    }
+
+    /**
+     * Sync the clock now and then periodically
+     */
+    function setupClockSync() {
+        syncClock();
+        setInterval(syncClock, SaturaConfig.CLOCK.syncInterval);
+    }
+
+    // ===========================================
+    // REMINDERS
+    // ===========================================
+
+    /**
+     * Reschedule upcoming Adhan/Imsak reminders (page timers + Service Worker copy)
+     */
+    function syncReminders() {
+        SaturaNotification.sync().catch(error => {
+            SaturaConfig.log('Reminder sync failed:', error.message);
+        });
+    }
+
+    /**
+     * Refresh reminders when the app comes back to the foreground
+     * or a new Service Worker takes control
+     */
+    function setupReminderListener() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                syncReminders();
+            }
+        });
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                syncReminders();
+                publishSyncProfile();
+            });
+        }
+    }
+
+    // ===========================================
+    // BACKGROUND SYNC
+    // ===========================================
+
+    /**
+     * Tell the Service Worker which location and calculation settings
+     * to refresh in the background, then (re)register the sync tags
+     */
+    async function publishSyncProfile() {
+        const coords = SaturaLocation.getCoordinates();
+        if (!coords || !('serviceWorker' in navigator)) {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration?.active) {
+                return;
+            }
+
+            const { tag, days, periodicInterval } = SaturaConfig.APP.backgroundSync;
+
+            // Same query shape as SaturaAPI.getPrayerTimes so cache keys match
+            registration.active.postMessage({
+                type: 'SET_SYNC_PROFILE',
+                payload: {
+                    query: {
+                        latitude: Number(coords.latitude),
+                        longitude: Number(coords.longitude),
+                        ...SaturaStorage.getCalculationSettings()
+                    },
+                    // Scopes synced days by settings, point and elevation; the API takes
+                    // no elevation, its shift is added on read (getAdjustedTimings)
+                    dayKeyPrefix: SaturaStorage.getSyncedDayPrefix(coords),
+                    // Days are picked and keyed by the location's calendar, like getLocationDate
+                    timeZone: SaturaPrayer.getTimezone(),
+                    endpoints: SaturaConfig.getAllApiEndpoints(),
+                    path: SaturaConfig.API.paths.timings,
+                    days
+                }
+            });
+
+            if ('sync' in registration) {
+                await registration.sync.register(tag);
+            }
+
+            // Periodic sync is only granted to installed PWAs
+            if ('periodicSync' in registration) {
+                const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+                if (status.state === 'granted') {
+                    await registration.periodicSync.register(tag, { minInterval: periodicInterval });
+                }
+            }
+        } catch (error) {
+            SaturaConfig.log('Background sync registration failed:', error.message);
+        }
+    }
+
     // ===========================================
     // ONLINE/OFFLINE HANDLING
     // ===========================================
@@ -276,6 +401,8 @@ const SaturaApp = (function () {
         SaturaConfig.log('App is online');
         triggerCallbacks('onOnlineStatusChange', true);
 
+        syncClock();
+
         // Refresh prayer times
         try {
             await SaturaPrayer.fetchTodaySchedule(true);
@@ -359,6 +486,8 @@ const SaturaApp = (function () {
         try {
             const schedule = await SaturaPrayer.fetchTodaySchedule(true);
             triggerCallbacks('onPrayerTimesFetched', schedule);
+            syncReminders();
+            publishSyncProfile();
             return schedule;
         } catch (error) {
             SaturaConfig.error('Failed to refresh prayer times:', error);
@@ -562,19 +691,22 @@ const SaturaApp = (function () {
     }
 
     /**
-     * Export all data for backup
-     * @returns {Object}
+     * Export the settings as a signed backup
+     * @returns {Promise<Object>} - Backup object (see SaturaBackup.createBackup)
      */
     function exportData() {
-        return SaturaStorage.exportData();
+        return SaturaBackup.createBackup();
     }
 
     /**
-     * Import data from backup
-     * @param {Object} data - Data to import
+     * Restore a backup after verifying its checksum and settings
+     * @param {Object|string} data - Backup object or its JSON text
+     * @returns {Promise<Object>} - { settings, warnings, createdAt, changes }
      */
-    function importData(data) {
-        SaturaStorage.importData(data);
+    async function importData(data) {
+        const result = await SaturaBackup.parseBackup(typeof data === 'string' ? data : JSON.stringify(data));
+        SaturaBackup.applyBackup(result.settings);
+        return result;
     }
 
     // ===========================================
@@ -647,7 +779,8 @@ const SaturaApp = (function () {
                 language: navigator.language,
                 cookiesEnabled: navigator.cookieEnabled,
                 serviceWorker: 'serviceWorker' in navigator,
-                geolocation: 'geolocation' in navigator
+                geolocation: 'geolocation' in navigator,
+                notifications: SaturaNotification.getPermission()
             }
         };
     }
@@ -683,6 +816,9 @@ const SaturaApp = (function () {
         startCountdown,
         stopCountdown,
 
+        // Clock
+        syncClock,
+
         // Events
         on,
         off,
@@ -703,8 +839,21 @@ const SaturaApp = (function () {
             Config: SaturaConfig,
             API: SaturaAPI,
             Database: SaturaDatabase,
+            Search: SaturaSearch,
+            Coordinates: SaturaCoordinates,
             Location: SaturaLocation,
+            Map: SaturaMap,
+            Qibla: SaturaQibla,
             Prayer: SaturaPrayer,
+            Notification: SaturaNotification,
+            Hijri: SaturaHijri,
+            Hilal: SaturaHilal,
+            Events: SaturaEvents,
+            Fasting: SaturaFasting,
+            Qadha: SaturaQadha,
+            Backup: SaturaBackup,
+            Clock: SaturaClock,
+            Export: SaturaExport,
             Storage: SaturaStorage
         }
     };
@@ -21,10 +21,25 @@
     const MODULES = [
         { src: 'assets/js/modules/config.js', name: 'Konfigurasi' },
         { src: 'assets/js/modules/storage.js', name: 'Penyimpanan' },
+        { src: 'assets/js/modules/hijri.js', name: 'Kalender Hijriah' },
+        { src: 'assets/js/modules/astronomy.js', name: 'Astronomi' },
+        { src: 'assets/js/modules/hilal.js', name: 'Hisab Hilal' },
+        { src: 'assets/js/modules/events.js', name: 'Acara Islam' },
+        { src: 'assets/js/modules/fasting.js', name: 'Puasa Sunnah' },
+        { src: 'assets/js/modules/qadha.js', name: 'Qadha Puasa' },
         { src: 'assets/js/modules/api.js', name: 'API' },
+        { src: 'assets/js/modules/clock.js', name: 'Sinkronisasi Jam' },
+        { src: 'assets/js/modules/search.js', name: 'Pencarian Lokasi' },
+        { src: 'assets/js/modules/coordinates.js', name: 'Koordinat' },
         { src: 'assets/js/modules/database.js', name: 'Database' },
         { src: 'assets/js/modules/location.js', name: 'Lokasi' },
+        { src: 'assets/js/modules/map.js', name: 'Peta Lokasi' },
+        { src: 'assets/js/modules/qibla.js', name: 'Arah Kiblat' },
         { src: 'assets/js/modules/prayer.js', name: 'Waktu Sholat' },
+        { src: 'assets/js/modules/notification.js', name: 'Pengingat' },
+        { src: 'assets/js/modules/qrcode.js', name: 'QR Code' },
+        { src: 'assets/js/modules/backup.js', name: 'Cadangan' },
+        { src: 'assets/js/modules/export.js', name: 'Ekspor Jadwal' },
         { src: 'assets/js/modules/ui.js', name: 'Antarmuka' },
         { src: 'assets/js/app.js', name: 'Aplikasi' },
         { src: 'assets/js/main.js', name: 'Inisialisasi' }
@@ -11,58 +11,87 @@
 
     /**
      * Load Ramadhan configuration from external JSON
-     * This allows yearly updates without code changes
+     * Official dates (sidang isbat) in the JSON win; organizations without a date
+     * for the upcoming Ramadhan, or a JSON for another year, fall back to hisab
      * @returns {Promise<Object>} - Ramadhan config
      */
     async function loadRamadhanConfig() {
         if (ramadhanConfig) return ramadhanConfig;
 
+        // Upcoming (or current) Ramadhan according to the local Hijri calendar
+        const today = SaturaHijri.toHijri();
+        const hijriYear = today.month > SaturaConfig.HIJRI.ramadhanMonth ? today.year + 1 : today.year;
+
+        let data = null;
         try {
             const response = await fetch('./database/ramadhan.json');
             if (!response.ok) throw new Error('Failed to load ramadhan.json');
-
-            const data = await response.json();
-            ramadhanConfig = data;
-
-            // Validate year — warn if ramadhan.json is outdated
-            const currentYear = new Date().getFullYear();
-            if (data.tahunMasehi && data.tahunMasehi !== currentYear) {
-                console.warn(`[Main] ramadhan.json is for ${data.tahunMasehi}, but current year is ${currentYear}`);
-                // Defer notification so it appears after splash screen
-                setTimeout(() => {
-                    showNotification(
-                        `Data Ramadhan masih untuk tahun ${data.tahunMasehi}. Jadwal mungkin tidak akurat untuk tahun ${currentYear}.`,
-                        'warning'
-                    );
-                }, 3000);
-            }
-
-            return data;
+            data = await response.json();
         } catch (error) {
             console.error('[Main] Failed to load Ramadhan config:', error);
+        }
+
+        // Official dates are keyed by Hijri year, so even an old file stays valid for events
+        SaturaEvents.setOfficialDates(data);
+
+        const official = Number(data?.tahunHijriah) === hijriYear;
+        if (data && !official) {
+            console.warn(`[Main] ramadhan.json is for ${data.tahunHijriah} H, using hisab for ${hijriYear} H`);
+        }
+
+        ramadhanConfig = {
+            ...(official ? data : {}),
+            tahunHijriah: hijriYear,
+            tanggalSatuRamadhan: {
+                ...(official ? data.tanggalSatuRamadhan : {}),
+                ...data?.awalBulan?.[`${hijriYear}-${String(SaturaConfig.HIJRI.ramadhanMonth).padStart(2, '0')}`]
+            },
+            keterangan: { ...(official ? data.keterangan : {}) }
+        };
+        ramadhanConfig.hisab = Object.keys(SaturaConfig.HISAB.organizations)
+            .filter(org => !ramadhanConfig.tanggalSatuRamadhan[org]);
+
+        applyRamadhanHisab();
+
+        if (ramadhanConfig.hisab.length) {
+            // Defer notification so it appears after splash screen
+            setTimeout(() => {
+                showNotification(
+                    `Awal Ramadhan ${hijriYear} H dihitung otomatis (hisab) sampai ada keputusan resmi.`,
+                    'info'
+                );
+            }, 3000);
+        }
+
+        return ramadhanConfig;
+    }
 
-            // Fallback: Get accurate Hijri year from Aladhan API
-            let hijriYear = new Date().getFullYear() + 579; // Last resort fallback
+    /**
+     * Compute 1 Ramadhan by hisab for organizations without an official date
+     * @param {Object} place - { latitude, longitude } (default: saved location)
+     * @returns {boolean} - Whether any date changed
+     */
+    function applyRamadhanHisab(place = {}) {
+        if (!ramadhanConfig?.hisab?.length) return false;
 
+        let changed = false;
+        ramadhanConfig.hisab.forEach(org => {
             try {
-                const hijriData = await SaturaAPI.gregorianToHijri(new Date());
-                if (hijriData && hijriData.hijri && hijriData.hijri.year) {
-                    hijriYear = parseInt(hijriData.hijri.year);
-                }
-            } catch (apiError) {
-                console.error('[Main] Failed to get Hijri year from API:', apiError);
+                const result = SaturaHilal.getRamadhanStart(ramadhanConfig.tahunHijriah, org, place);
+                const criterion = SaturaConfig.HISAB.criteria[result.criterion];
+
+                changed = changed || ramadhanConfig.tanggalSatuRamadhan[org] !== result.dateString;
+                ramadhanConfig.tanggalSatuRamadhan[org] = result.dateString;
+                ramadhanConfig.keterangan[org] = `Hisab ${criterion.name} (otomatis)`;
+            } catch (err) {
+                console.error(`[Main] Hisab failed for ${org}:`, err);
             }
+        });
 
-            ramadhanConfig = {
-                tahunHijriah: hijriYear,
-                tahunMasehi: new Date().getFullYear(),
-                tanggalSatuRamadhan: {
-                    muhammadiyah: null,
-                    nu: null
-                }
-            };
-            return ramadhanConfig;
-        }
+        const starts = Object.values(ramadhanConfig.tanggalSatuRamadhan).filter(Boolean).sort();
+        if (starts.length) ramadhanConfig.tahunMasehi = Number(starts[0].slice(0, 4));
+
+        return changed;
     }
 
     /**
@@ -83,10 +112,22 @@
         return new Date(year, month - 1, day); // month is 0-indexed
     }
 
+    /**
+     * Display name of an organization, as labelled in settings
+     * @param {string} org - Organization ID
+     * @returns {string}
+     */
+    function getOrganizationName(org) {
+        return document.querySelector(`input[name="organization"][value="${org}"]`)
+            ?.parentElement.querySelector('.settings__option-title')?.textContent || org;
+    }
+
     // State
     let provincesData = [];
     let regenciesData = [];
+    let districtsData = [];
     let selectedProvinceId = null;
+    let selectedRegencyName = '';
     let monthlySchedule = [];
     let scheduleExpanded = false;
     let tomorrowSchedule = null;
@@ -123,15 +164,56 @@
             'loadingOverlay', 'headerTime', 'headerDate',
             'provinceDropdown', 'provinceTrigger', 'provinceOptions',
             'regencyDropdown', 'regencyTrigger', 'regencyOptions',
+            'districtDropdown', 'districtTrigger', 'districtOptions',
+            'locationSearch', 'locationSearchInput', 'locationSearchResults',
+            'customCoordsInput', 'customCoordsPreview', 'customMap',
+            'customElevationInput', 'customLocationBtn',
             'toggleSchedule', 'scheduleWrapper',
-            'countdownSkeleton', 'countdownCard', 'prayerTimesSkeleton'
+            'countdownSkeleton', 'countdownCard', 'prayerTimesSkeleton',
+            'methodDropdown', 'methodTrigger', 'methodOptions',
+            'latitudeDropdown', 'latitudeTrigger', 'latitudeOptions',
+            'asrSchoolOptions', 'midnightModeOptions',
+            'hijriMethodOptions', 'hijriAdjustmentOptions',
+            'adjustmentOptions', 'resetAdjustments',
+            'notificationToggle', 'reminderOptions', 'notificationInfo',
+            'exportSettingsBtn', 'importSettingsBtn', 'importSettingsFile',
+            'shareSettingsBtn', 'sharePanel', 'shareQR', 'shareUrl', 'copyShareUrl',
+            'importModal', 'importSummary', 'importDiff', 'importWarnings', 'importConfirm',
+            'locationSwitchBtn', 'locationSwitcher', 'savedLocationList', 'saveLocationLabel',
+            'saveLocationBtn', 'compareLocationsToggle', 'locationCompare',
+            'eventsBasis', 'eventsNext', 'eventsNextName', 'eventsNextDate', 'eventsNextTimer', 'eventsList',
+            'fastingPrev', 'fastingNext', 'fastingMonth', 'fastingHijri', 'fastingSummary', 'fastingList',
+            'qadhaReminder', 'qadhaReminderText', 'qadhaRemaining', 'qadhaPaid', 'qadhaFidyahDays', 'qadhaFidyah',
+            'qadhaYears', 'qadhaDate', 'qadhaAddBtn', 'qadhaPaidList', 'qadhaManualYear', 'qadhaManualDays', 'qadhaManualBtn',
+            'qiblaLocation', 'qiblaCompass', 'qiblaDial', 'qiblaNeedle', 'qiblaBearing', 'qiblaDistance',
+            'qiblaStatus', 'qiblaCompassBtn', 'qiblaRashdulList',
+            'printScheduleBtn', 'csvScheduleBtn', 'icsScheduleBtn', 'printSheet',
+            'feedProvince', 'feedRegency', 'feedDownloadBtn',
+            'countdownZone', 'prayerTimesZone'
         ];
         ids.forEach(id => elements[id] = document.getElementById(id));
     }
 
+    // Device clock skew (countdowns already use the corrected clock)
+    function warnClockSkew(status) {
+        if (!status?.isSkewed) return;
+
+        const seconds = Math.round(Math.abs(status.offset) / 1000);
+        const amount = seconds >= 3600
+            ? `${Math.floor(seconds / 3600)} jam ${Math.round((seconds % 3600) / 60)} menit`
+            : `${Math.round(seconds / 60)} menit`;
+        const direction = status.offset > 0 ? 'terlambat' : 'terlalu cepat';
+
+        const message = `Jam perangkat ${direction} ${amount}. Hitung mundur sudah dikoreksi, tetapi sebaiknya atur jam otomatis di pengaturan perangkat.`;
+
+        // Defer notification so it appears after splash screen
+        const delay = document.body.classList.contains('splash-active') ? 3500 : 0;
+        setTimeout(() => showNotification(message, 'warning'), delay);
+    }
+
     // Clock
     function updateClock() {
-        const now = new Date();
+        const now = SaturaClock.now();
         const time = now.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
         const date = now.toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'short', year: 'numeric' });
 
@@ -153,7 +235,18 @@
                 l.classList.toggle('nav__link--active', l.dataset.page === pageId);
             });
 
-            if (pageId === 'pengaturan') loadProvinces();
+            if (pageId === 'pengaturan') {
+                loadProvinces();
+                renderFeedProvinces();
+                renderCustomLocation();
+            }
+            if (pageId === 'acara') renderEvents();
+            if (pageId === 'puasa') {
+                renderFastingPlan();
+                renderQadhaLedger();
+            }
+            if (pageId === 'kiblat') renderQibla();
+            else stopQiblaCompass();
         }
 
         navLinks.forEach(link => {
@@ -205,6 +298,30 @@
         }
     }
 
+    // Type-to-filter inside a custom dropdown (fuzzy, see SaturaSearch)
+    function setupDropdownSearch(dropdown, level, getItems, render) {
+        const input = dropdown?.querySelector('.custom-select__search');
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            const items = getItems();
+            const query = input.value.trim();
+
+            if (SaturaSearch.normalize(query).length < SaturaConfig.SEARCH.minLength) {
+                render(items);
+                return;
+            }
+
+            const results = SaturaSearch.search(items, query, { level, limit: items.length });
+            render(results);
+        });
+    }
+
+    function clearDropdownSearch(dropdown) {
+        const input = dropdown?.querySelector('.custom-select__search');
+        if (input) input.value = '';
+    }
+
     // Custom dropdown
     function setupCustomDropdown(dropdown, trigger, options, onSelect) {
         if (!dropdown || !trigger || !options) return;
@@ -234,12 +351,12 @@
         }
     }
 
-    function renderProvinceOptions() {
+    function renderProvinceOptions(items = provincesData) {
         if (!elements.provinceOptions) return;
 
-        elements.provinceOptions.innerHTML = provincesData.map(p => `
+        elements.provinceOptions.innerHTML = items.map(p => `
             <div class="custom-select__option" data-value="${escapeHTML(p.id)}" data-name="${escapeHTML(p.name)}">
-                ${escapeHTML(p.name)}
+                ${p.highlight || escapeHTML(p.name)}
             </div>
         `).join('');
 
@@ -258,9 +375,11 @@
         // Enable regency dropdown
         elements.regencyDropdown.classList.remove('custom-select--disabled');
         elements.regencyTrigger.querySelector('span').textContent = '-- Pilih Kabupaten/Kota --';
+        resetDistrictDropdown('-- Pilih Kecamatan --');
 
         // Load regencies
         try {
+            clearDropdownSearch(elements.regencyDropdown);
             regenciesData = await SaturaDatabase.getRegenciesByProvince(id);
             renderRegencyOptions();
         } catch (err) {
@@ -268,23 +387,23 @@
         }
     }
 
-    function renderRegencyOptions() {
+    function renderRegencyOptions(items = regenciesData) {
         if (!elements.regencyOptions) return;
 
-        elements.regencyOptions.innerHTML = regenciesData.map(r => `
+        elements.regencyOptions.innerHTML = items.map(r => `
             <div class="custom-select__option" data-value="${escapeHTML(r.id)}" data-name="${escapeHTML(r.name)}" data-lat="${escapeHTML(r.latitude)}" data-lng="${escapeHTML(r.longitude)}">
-                ${escapeHTML(r.name)}
+                ${r.highlight || escapeHTML(r.name)}
             </div>
         `).join('');
 
         elements.regencyOptions.querySelectorAll('.custom-select__option').forEach(opt => {
             opt.addEventListener('click', () => {
-                selectRegency(opt.dataset.name, parseFloat(opt.dataset.lat), parseFloat(opt.dataset.lng));
+                selectRegency(opt.dataset.value, opt.dataset.name, parseFloat(opt.dataset.lat), parseFloat(opt.dataset.lng));
             });
         });
     }
 
-    async function selectRegency(name, lat, lng) {
+    async function selectRegency(id, name, lat, lng) {
         // Prevent location change when offline - data can't be updated
         if (!navigator.onLine) {
             showNotification('Tidak dapat mengubah lokasi saat offline.', 'error');
@@ -294,6 +413,8 @@
 
         elements.regencyTrigger.querySelector('span').textContent = name;
         elements.regencyDropdown.classList.remove('custom-select--open');
+        selectedRegencyName = name;
+        loadDistricts(id);
 
         if (lat && lng) {
             showLoading();
@@ -309,6 +430,294 @@
         }
     }
 
+    // District dropdown (kecamatan, loaded per province on demand)
+    function resetDistrictDropdown(text) {
+        if (!elements.districtDropdown) return;
+
+        districtsData = [];
+        clearDropdownSearch(elements.districtDropdown);
+        elements.districtDropdown.classList.add('custom-select--disabled');
+        elements.districtDropdown.classList.remove('custom-select--open');
+        elements.districtTrigger.querySelector('span').textContent = text;
+        elements.districtOptions.innerHTML = '';
+    }
+
+    async function loadDistricts(regencyId) {
+        if (!elements.districtDropdown) return;
+
+        resetDistrictDropdown('Memuat kecamatan...');
+
+        try {
+            districtsData = await SaturaDatabase.getDistrictsByRegency(regencyId);
+        } catch (err) {
+            console.error('Failed to load districts:', err);
+            districtsData = [];
+        }
+
+        if (districtsData.length === 0) {
+            resetDistrictDropdown('-- Data kecamatan belum tersedia --');
+            return;
+        }
+
+        elements.districtDropdown.classList.remove('custom-select--disabled');
+        elements.districtTrigger.querySelector('span').textContent = '-- Pilih Kecamatan --';
+        renderDistrictOptions();
+    }
+
+    function renderDistrictOptions(items = districtsData) {
+        if (!elements.districtOptions) return;
+
+        elements.districtOptions.innerHTML = items.map(d => `
+            <div class="custom-select__option" data-value="${escapeHTML(d.id)}" data-name="${escapeHTML(d.name)}" data-lat="${escapeHTML(d.latitude)}" data-lng="${escapeHTML(d.longitude)}">
+                ${d.highlight || escapeHTML(d.name)}
+            </div>
+        `).join('');
+
+        elements.districtOptions.querySelectorAll('.custom-select__option').forEach(opt => {
+            opt.addEventListener('click', () => {
+                selectDistrict(opt.dataset.name, parseFloat(opt.dataset.lat), parseFloat(opt.dataset.lng));
+            });
+        });
+    }
+
+    async function selectDistrict(name, lat, lng) {
+        elements.districtDropdown.classList.remove('custom-select--open');
+
+        if (!navigator.onLine) {
+            showNotification('Tidak dapat mengubah lokasi saat offline.', 'error');
+            return;
+        }
+
+        elements.districtTrigger.querySelector('span').textContent = name;
+        const fullName = formatLocationName({ district: { name }, regency: { name: selectedRegencyName } });
+
+        if (lat && lng) {
+            showLoading();
+            try {
+                await setLocationAndRefresh(lat, lng, fullName);
+                showNotification('Lokasi berhasil diatur: ' + fullName, 'success');
+            } catch (err) {
+                console.error('Failed to set location:', err);
+                showNotification('Gagal mengubah lokasi. Silakan coba lagi.', 'error');
+            } finally {
+                hideLoading();
+            }
+        }
+    }
+
+    /**
+     * Display name of a database location: "Kecamatan, Kabupaten/Kota" when the
+     * district is known, otherwise the regency name
+     * @param {Object} location - { district, regency }
+     * @returns {string|null}
+     */
+    function formatLocationName(location) {
+        const regencyName = location?.regency?.name;
+        const districtName = location?.district?.name;
+
+        if (districtName && regencyName) return `${districtName}, ${regencyName}`;
+        return districtName || regencyName || null;
+    }
+
+    // Location search across all levels ("jogja", "kab bdg", "Kota Adm. Jaksel")
+    let locationSearchRequest = 0;
+    let locationSearchResults = [];
+
+    function setupLocationSearch() {
+        const input = elements.locationSearchInput;
+        if (!input) return;
+
+        let timer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => renderLocationSearch(input.value.trim()), 200);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!elements.locationSearch.contains(e.target)) {
+                elements.locationSearch.classList.remove('custom-select--open');
+            }
+        });
+    }
+
+    async function renderLocationSearch(query) {
+        const request = ++locationSearchRequest;
+
+        if (SaturaSearch.normalize(query).length < SaturaConfig.SEARCH.minLength) {
+            elements.locationSearch.classList.remove('custom-select--open');
+            return;
+        }
+
+        let results;
+        try {
+            results = await SaturaDatabase.searchAll(query);
+        } catch (err) {
+            console.error('Location search failed:', err);
+            return;
+        }
+
+        // A newer query was typed meanwhile
+        if (request !== locationSearchRequest) return;
+
+        const levels = { province: results.provinces, regency: results.regencies, district: results.districts, village: results.villages };
+        const labels = SaturaConfig.SEARCH.levelLabels;
+
+        locationSearchResults = Object.entries(levels)
+            .flatMap(([level, items]) => items.map(item => ({ ...item, level })))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SaturaConfig.SEARCH.maxResults);
+
+        elements.locationSearchResults.innerHTML = locationSearchResults.length
+            ? locationSearchResults.map((r, i) => `
+                <div class="custom-select__option location-search__result" data-index="${i}">
+                    <span>${r.highlight}</span>
+                    <span class="location-search__meta">${escapeHTML([labels[r.level], r.district_name, r.regency_name, r.province_name].filter(Boolean).join(' · '))}</span>
+                </div>
+            `).join('')
+            : '<div class="location-search__empty">Lokasi tidak ditemukan</div>';
+
+        elements.locationSearchResults.querySelectorAll('.location-search__result').forEach(opt => {
+            opt.addEventListener('click', () => selectSearchResult(locationSearchResults[Number(opt.dataset.index)]));
+        });
+
+        elements.locationSearch.classList.add('custom-select--open');
+    }
+
+    async function selectSearchResult(result) {
+        if (!result) return;
+
+        elements.locationSearch.classList.remove('custom-select--open');
+        elements.locationSearchInput.value = '';
+
+        // A province narrows the dropdowns instead of picking its centre
+        if (result.level === 'province') {
+            await selectProvince(result.id, result.name);
+            elements.regencyDropdown.classList.add('custom-select--open');
+            return;
+        }
+
+        if (!navigator.onLine) {
+            showNotification('Tidak dapat mengubah lokasi saat offline.', 'error');
+            return;
+        }
+
+        const name = result.level === 'regency' ? result.name : `${result.name}, ${result.regency_name}`;
+
+        showLoading();
+        try {
+            await setLocationAndRefresh(result.latitude, result.longitude, name);
+            showNotification('Lokasi berhasil diatur: ' + name, 'success');
+        } catch (err) {
+            console.error('Failed to set location:', err);
+            showNotification('Gagal mengubah lokasi. Silakan coba lagi.', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Custom point: typed coordinates / Plus Code or a tap on the map, plus elevation
+    let customPoint = null;
+
+    function setupCustomLocation() {
+        const input = elements.customCoordsInput;
+        if (!input) return;
+
+        input.addEventListener('input', () => {
+            if (!input.value.trim()) {
+                setCustomPoint(null);
+                SaturaMap.setPicked(null);
+                return;
+            }
+
+            try {
+                // Short Plus Codes ("QQ2C+XX") are recovered near the current location
+                const reference = SaturaLocation.getCoordinates() || SaturaStorage.getLocation() || SaturaConfig.LOCATION.default;
+                const point = SaturaCoordinates.parse(input.value, reference);
+                setCustomPoint(point);
+                SaturaMap.setPicked(point);
+                SaturaMap.centerOn(point);
+            } catch (err) {
+                setCustomPoint(null, err.message);
+                SaturaMap.setPicked(null);
+            }
+        });
+
+        document.querySelectorAll('[data-map-zoom]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.mapZoom;
+                if (action === 'in') SaturaMap.zoomBy(2);
+                else if (action === 'out') SaturaMap.zoomBy(0.5);
+                else SaturaMap.resetView();
+            });
+        });
+
+        elements.customLocationBtn?.addEventListener('click', applyCustomLocation);
+    }
+
+    function renderCustomLocation() {
+        if (!elements.customMap) return;
+
+        SaturaMap.init(elements.customMap, {
+            onPick: (point) => {
+                elements.customCoordsInput.value = SaturaCoordinates.formatDecimal(point.latitude, point.longitude);
+                setCustomPoint(point);
+            }
+        }).catch(() => showNotification('Peta gagal dimuat.', 'error'));
+
+        const saved = SaturaStorage.getLocation();
+        SaturaMap.setCurrent(SaturaLocation.getCoordinates() || saved);
+
+        if (elements.customElevationInput && !elements.customElevationInput.value && saved?.elevation > 0) {
+            elements.customElevationInput.value = saved.elevation;
+        }
+    }
+
+    function setCustomPoint(point, error = null) {
+        customPoint = point;
+        elements.customLocationBtn.disabled = !point;
+
+        const preview = elements.customCoordsPreview;
+        if (!preview) return;
+
+        preview.classList.toggle('custom-location__preview--error', Boolean(error));
+        preview.textContent = point
+            ? `${SaturaCoordinates.formatDMS(point.latitude, point.longitude)} · ${SaturaCoordinates.encodePlusCode(point.latitude, point.longitude)}`
+            : error || 'Ketik koordinat atau ketuk peta';
+    }
+
+    async function applyCustomLocation() {
+        if (!customPoint) return;
+
+        if (!navigator.onLine) {
+            showNotification('Tidak dapat mengubah lokasi saat offline.', 'error');
+            return;
+        }
+
+        const { maxElevation } = SaturaConfig.LOCATION.custom;
+        const elevation = Number(elements.customElevationInput?.value) || 0;
+        if (elevation < 0 || elevation > maxElevation) {
+            showNotification(`Ketinggian harus antara 0 dan ${maxElevation} meter.`, 'error');
+            return;
+        }
+
+        const { latitude, longitude } = customPoint;
+
+        showLoading();
+        try {
+            const nearest = await SaturaDatabase.findNearestLocation(latitude, longitude);
+            const name = formatLocationName(nearest) || SaturaCoordinates.formatDecimal(latitude, longitude, 4);
+
+            await setLocationAndRefresh(latitude, longitude, name, elevation);
+            SaturaMap.setCurrent(customPoint);
+            showNotification('Lokasi kustom diatur: ' + name, 'success');
+        } catch (err) {
+            console.error('Failed to set custom location:', err);
+            showNotification('Gagal mengubah lokasi. Silakan coba lagi.', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
     // GPS
     async function detectGPS() {
         // Prevent GPS detection when offline - data can't be updated
@@ -344,8 +753,8 @@
             const lat = pos.coords.latitude;
             const lng = pos.coords.longitude;
 
-            const nearest = await SaturaDatabase.findNearestRegency(lat, lng);
-            const name = nearest ? nearest.name : 'Lokasi GPS';
+            const nearest = await SaturaDatabase.findNearestLocation(lat, lng);
+            const name = formatLocationName(nearest) || 'Lokasi GPS';
 
             await setLocationAndRefresh(lat, lng, name);
             showNotification('Lokasi GPS berhasil: ' + name, 'success');
@@ -360,11 +769,11 @@
         }
     }
 
-    async function setLocationAndRefresh(lat, lng, name) {
+    async function setLocationAndRefresh(lat, lng, name, elevation = 0) {
         // Update SaturaLocation internal state for coordinate lookups
-        await SaturaLocation.setLocationByCoordinates(lat, lng);
+        await SaturaLocation.setLocationByCoordinates(lat, lng, elevation);
 
-        SaturaStorage.set('user_location', { latitude: lat, longitude: lng, name: name });
+        SaturaStorage.saveLocation({ ...SaturaLocation.getCurrentLocation(), name: name });
         updateLocationDisplay(name);
 
         try {
@@ -380,15 +789,164 @@
     function updateLocationDisplay(name) {
         if (elements.locationName) elements.locationName.textContent = name;
         if (elements.currentLocationText) elements.currentLocationText.textContent = name;
+        renderSavedLocations();
+    }
+
+    // Saved locations quick switcher (hero location block)
+    let comparisonRequest = 0;
+
+    function setupLocationSwitcher() {
+        const switcher = elements.locationSwitcher;
+        if (!switcher) return;
+
+        elements.compareLocationsToggle.checked = SaturaStorage.getSetting('compareLocations', false);
+
+        elements.locationSwitchBtn?.addEventListener('click', () => {
+            const open = switcher.classList.toggle('hidden') === false;
+            elements.locationSwitchBtn.setAttribute('aria-expanded', String(open));
+            if (open) {
+                renderSavedLocations();
+                renderLocationComparison();
+            }
+        });
+
+        // Close when clicking outside the location block
+        document.addEventListener('click', (e) => {
+            if (!switcher.classList.contains('hidden') && !e.target.closest('.location')) {
+                switcher.classList.add('hidden');
+                elements.locationSwitchBtn.setAttribute('aria-expanded', 'false');
+            }
+        });
+
+        elements.saveLocationBtn?.addEventListener('click', () => {
+            const current = SaturaStorage.getLocation();
+            if (!current) {
+                showNotification('Atur lokasi terlebih dahulu', 'error');
+                return;
+            }
+
+            try {
+                const place = SaturaStorage.addSavedLocation(current, elements.saveLocationLabel.value);
+                elements.saveLocationLabel.value = '';
+                renderSavedLocations();
+                renderLocationComparison();
+                showNotification('Lokasi disimpan: ' + place.label, 'success');
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+
+        elements.compareLocationsToggle?.addEventListener('change', () => {
+            SaturaStorage.setSetting('compareLocations', elements.compareLocationsToggle.checked);
+            renderLocationComparison();
+        });
+    }
+
+    function renderSavedLocations() {
+        const list = elements.savedLocationList;
+        if (!list) return;
+
+        const places = SaturaStorage.getSavedLocations();
+        const activeId = SaturaStorage.findSavedLocation(SaturaStorage.getLocation())?.id;
+
+        if (places.length === 0) {
+            list.innerHTML = '<li class="location__empty">Belum ada lokasi tersimpan. Simpan lokasi saat ini untuk berpindah dengan cepat.</li>';
+            return;
+        }
+
+        list.innerHTML = places.map(place => `
+            <li class="location__item ${place.id === activeId ? 'location__item--active' : ''}">
+                <button type="button" class="location__item-btn" data-id="${escapeHTML(place.id)}">
+                    <span class="location__item-label">${escapeHTML(place.label)}</span>
+                    <span class="location__item-name">${escapeHTML(place.name)}</span>
+                </button>
+                <button type="button" class="location__item-remove" data-remove="${escapeHTML(place.id)}" aria-label="Hapus ${escapeHTML(place.label)}">
+                    <i class='bx bx-trash'></i>
+                </button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('[data-id]').forEach(btn => {
+            btn.addEventListener('click', () => switchToSavedLocation(btn.dataset.id));
+        });
+
+        list.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                SaturaStorage.removeSavedLocation(btn.dataset.remove);
+                renderSavedLocations();
+                renderLocationComparison();
+            });
+        });
+    }
+
+    async function switchToSavedLocation(id) {
+        const place = SaturaStorage.getSavedLocations().find(p => p.id === id);
+        if (!place) return;
+
+        if (SaturaStorage.findSavedLocation(SaturaStorage.getLocation())?.id === id) return;
+
+        showLoading();
+        try {
+            await setLocationAndRefresh(place.latitude, place.longitude, place.name, place.elevation);
+            renderLocationComparison();
+            showNotification('Lokasi diganti: ' + place.label, 'success');
+        } catch (err) {
+            console.error('Failed to switch location:', err);
+            showNotification('Gagal mengganti lokasi. Silakan coba lagi.', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Today's Imsak/Maghrib for every saved place, side by side
+    async function renderLocationComparison() {
+        const container = elements.locationCompare;
+        if (!container) return;
+
+        const places = SaturaStorage.getSavedLocations();
+        const enabled = elements.compareLocationsToggle?.checked && places.length > 0;
+        container.classList.toggle('hidden', !enabled);
+        if (!enabled || elements.locationSwitcher.classList.contains('hidden')) return;
+
+        // Ignore results from an older render (switching/removing while loading)
+        const request = ++comparisonRequest;
+        container.innerHTML = '<p class="location__empty">Memuat jadwal...</p>';
+
+        const schedules = await Promise.all(places.map(place =>
+            SaturaPrayer.fetchPlaceSchedule(place).catch(err => {
+                console.error('Comparison schedule failed:', place.label, err);
+                return null;
+            })
+        ));
+        if (request !== comparisonRequest) return;
+
+        const activeId = SaturaStorage.findSavedLocation(SaturaStorage.getLocation())?.id;
+
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Lokasi</th><th>Imsak</th><th>Maghrib</th></tr>
+                </thead>
+                <tbody>
+                    ${places.map((place, i) => `
+                        <tr class="${place.id === activeId ? 'is-current' : ''}">
+                            <td>${escapeHTML(place.label)}</td>
+                            <td>${escapeHTML(formatTime(schedules[i]?.timings?.imsak?.time))}</td>
+                            <td>${escapeHTML(formatTime(schedules[i]?.timings?.maghrib?.time))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     // Fetch tomorrow's schedule for countdown after Isya
     async function fetchTomorrowSchedule(lat, lng) {
         try {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
+            const tomorrow = SaturaPrayer.getLocationDate(1);
 
-            const response = await SaturaAPI.getPrayerTimes(lat, lng, tomorrow);
+            const response = await SaturaPrayer.getPackDay(tomorrow, { latitude: lat, longitude: lng }) ||
+                await SaturaAPI.getPrayerTimes(lat, lng, tomorrow);
             tomorrowSchedule = response;
             return response;
         } catch (err) {
@@ -397,64 +955,94 @@
         }
     }
 
-    // Monthly schedule
+    // Monthly schedule — served from the persisted Ramadhan pack, refreshed when stale
     async function loadMonthlySchedule(lat, lng) {
-        const org = SaturaStorage.get('organization') || 'nu';
-        const startDate = getRamadhanStartDate(org);
-        if (!startDate) return;
+        // Hisab depends on where the hilal is observed
+        if (applyRamadhanHisab({ latitude: lat, longitude: lng })) {
+            renderRamadhanInfo();
+        }
 
-        try {
-            // Ramadhan spans two months (Feb-Mar), need to fetch both
-            const year = startDate.getFullYear();
-            const month1 = startDate.getMonth() + 1; // February (2)
-            const month2 = month1 === 12 ? 1 : month1 + 1; // March (3)
-            const year2 = month1 === 12 ? year + 1 : year;
+        const range = getRamadhanPackRange();
+        if (!range) return;
 
-            // Fetch both months in parallel
-            const [response1, response2] = await Promise.all([
-                SaturaAPI.getMonthlyCalendar(lat, lng, month1, year),
-                SaturaAPI.getMonthlyCalendar(lat, lng, month2, year2)
-            ]);
+        const coords = { latitude: lat, longitude: lng };
+        const pack = await SaturaPrayer.getRamadhanPack(coords);
+        if (pack?.days) {
+            monthlySchedule = pack.days;
+            renderMonthlySchedule();
+        }
 
-            // Combine both months' data
-            monthlySchedule = [...(response1 || []), ...(response2 || [])];
+        if (SaturaPrayer.isPackFresh(pack, range.startDate, range.days)) return;
 
+        try {
+            const fresh = await SaturaPrayer.refreshRamadhanPack(range.startDate, range.days, coords);
+            monthlySchedule = fresh.days;
             renderMonthlySchedule();
         } catch (err) {
             console.error('Failed to load monthly schedule:', err);
         }
     }
 
-    function renderMonthlySchedule() {
-        const tbody = elements.scheduleTableBody;
-        if (!tbody) return;
+    // Pack spans every organization's 1 Ramadhan so switching never refetches
+    function getRamadhanPackRange() {
+        const starts = Object.keys(ramadhanConfig?.tanggalSatuRamadhan || {})
+            .map(getRamadhanStartDate)
+            .filter(Boolean)
+            .map(date => date.getTime());
+        if (!starts.length) return null;
 
-        const org = SaturaStorage.get('organization') || 'nu';
-        const startDate = getRamadhanStartDate(org);
-        if (!startDate) return;
-        const today = new Date();
-        const days = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+        const first = Math.min(...starts);
+        const last = Math.max(...starts);
+        return {
+            startDate: new Date(first),
+            days: 30 + Math.round((last - first) / 86400000)
+        };
+    }
 
-        let html = '';
+    /**
+     * The 30 Ramadhan days for the selected organization, with adjusted timings
+     * @param {boolean} fillMissing - Calculate days missing from the pack locally (for exports)
+     * @returns {Array} - [{ day, date, timings }]
+     */
+    function getRamadhanDays(fillMissing = false) {
+        const startDate = getRamadhanStartDate(SaturaStorage.getSetting('organization'));
+        if (!startDate) return [];
 
-        for (let i = 0; i < 30; i++) {
+        const coords = SaturaLocation.getCoordinates() || SaturaStorage.getLocation();
+
+        return Array.from({ length: 30 }, (_, i) => {
             const date = new Date(startDate);
             date.setDate(startDate.getDate() + i);
 
-            const isToday = date.toDateString() === today.toDateString();
-            const dayName = days[date.getDay()];
-            const dateStr = date.toLocaleDateString('id-ID', { day: 'numeric', month: 'short' });
-            const ramadhanDay = i + 1;
-
             // Find matching schedule data
-            const scheduleData = monthlySchedule.find(s => {
+            let scheduleData = monthlySchedule.find(s => {
                 if (!s?.date?.gregorian?.date) return false;
                 const [d, m, y] = s.date.gregorian.date.split('-');
                 const schedDate = new Date(y, m - 1, d);
                 return schedDate.toDateString() === date.toDateString();
             });
 
-            const timings = scheduleData?.timings || {};
+            if (!scheduleData && fillMissing && coords) {
+                scheduleData = SaturaAstronomy.calculate(coords.latitude, coords.longitude, date, SaturaStorage.getCalculationSettings());
+            }
+
+            return { day: i + 1, date, timings: SaturaPrayer.getAdjustedTimings(scheduleData) };
+        });
+    }
+
+    function renderMonthlySchedule() {
+        const tbody = elements.scheduleTableBody;
+        if (!tbody) return;
+
+        const ramadhanDays = getRamadhanDays();
+        if (!ramadhanDays.length) return;
+        const today = SaturaPrayer.getLocationDate();
+
+        let html = '';
+
+        ramadhanDays.forEach(({ day: ramadhanDay, date, timings }) => {
+            const isToday = date.toDateString() === today.toDateString();
+            const dateStr = date.toLocaleDateString('id-ID', { day: 'numeric', month: 'short' });
 
             html += `
                 <tr class="${isToday ? 'is-today' : ''}">
@@ -467,9 +1055,10 @@
                     <td>${escapeHTML(formatTime(timings.Asr))}</td>
                     <td class="time-accent">${escapeHTML(formatTime(timings.Maghrib))}</td>
                     <td>${escapeHTML(formatTime(timings.Isha))}</td>
+                    <td>${renderQadhaStatus(ramadhanDay, date)}</td>
                 </tr>
             `;
-        }
+        });
 
         tbody.innerHTML = html;
 
@@ -482,32 +1071,15 @@
         const cardsContainer = document.getElementById('mobileScheduleCards');
         if (!cardsContainer) return;
 
-        const org = SaturaStorage.get('organization') || 'nu';
-        const startDate = getRamadhanStartDate(org);
-        if (!startDate) return;
-        const today = new Date();
-        const days = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+        const ramadhanDays = getRamadhanDays();
+        if (!ramadhanDays.length) return;
+        const today = SaturaPrayer.getLocationDate();
 
         let html = '';
 
-        for (let i = 0; i < 30; i++) {
-            const date = new Date(startDate);
-            date.setDate(startDate.getDate() + i);
-
+        ramadhanDays.forEach(({ day: ramadhanDay, date, timings }) => {
             const isToday = date.toDateString() === today.toDateString();
-            const dayName = days[date.getDay()];
             const dateStr = date.toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'short', year: 'numeric' });
-            const ramadhanDay = i + 1;
-
-            // Find matching schedule data
-            const scheduleData = monthlySchedule.find(s => {
-                if (!s?.date?.gregorian?.date) return false;
-                const [d, m, y] = s.date.gregorian.date.split('-');
-                const schedDate = new Date(y, m - 1, d);
-                return schedDate.toDateString() === date.toDateString();
-            });
-
-            const timings = scheduleData?.timings || {};
 
             html += `
                 <div class="schedule-card ${isToday ? 'is-today' : ''}">
@@ -550,13 +1122,32 @@
                             </div>
                         </div>
                     </div>
+                    <div class="schedule-card__status">${renderQadhaStatus(ramadhanDay, date)}</div>
                 </div>
             `;
-        }
+        });
 
         cardsContainer.innerHTML = html;
     }
 
+    // Puasa / tidak puasa (with reason) select for a Ramadhan day
+    function renderQadhaStatus(ramadhanDay, date) {
+        const status = SaturaQadha.getDayStatus(ramadhanConfig.tahunHijriah, ramadhanDay);
+        const today = new Date();
+        today.setHours(23, 59, 59, 999);
+
+        const options = [['', '-'], ['puasa', 'Puasa']]
+            .concat(Object.entries(SaturaConfig.QADHA.reasons).map(([id, reason]) => [id, `Tidak puasa: ${reason.name}`]))
+            .map(([value, label]) => `<option value="${value}" ${value === (status || '') ? 'selected' : ''}>${escapeHTML(label)}</option>`)
+            .join('');
+
+        const missed = status && status !== 'puasa';
+        return `
+            <select class="schedule__status${missed ? ' schedule__status--missed' : ''}" data-qadha-day="${ramadhanDay}"
+                aria-label="Status puasa hari ${ramadhanDay}" ${date > today ? 'disabled' : ''}>${options}</select>
+        `;
+    }
+
     // Schedule expand/collapse
     function setupScheduleToggle() {
         const toggle = elements.toggleSchedule;
@@ -576,6 +1167,120 @@
         });
     }
 
+    // Schedule export (print / CSV / iCalendar)
+    function getScheduleExportMeta() {
+        const saved = SaturaStorage.getLocation();
+        const coords = SaturaLocation.getCoordinates() || saved;
+        const timeZone = SaturaAstronomy.resolveTimezone();
+        const org = SaturaStorage.getSetting('organization');
+        const method = SaturaConfig.CALCULATION.methods[SaturaStorage.getSetting('calculationMethod')];
+
+        return {
+            location: saved?.name || elements.locationName?.textContent || 'Lokasi',
+            latitude: coords?.latitude,
+            longitude: coords?.longitude,
+            organization: getOrganizationName(org),
+            hijriYear: ramadhanConfig.tahunHijriah,
+            timeZone,
+            zoneLabel: SaturaConfig.LOCATION.timezoneLabels[timeZone] || timeZone,
+            method: method?.name || ''
+        };
+    }
+
+    function setupScheduleExport() {
+        const actions = [
+            [elements.printScheduleBtn, (days, meta) => SaturaExport.print(elements.printSheet, days, meta)],
+            [elements.csvScheduleBtn, (days, meta) => {
+                showNotification(`Jadwal diunduh: ${SaturaExport.downloadCSV(days, meta)}`, 'success');
+            }],
+            [elements.icsScheduleBtn, (days, meta) => {
+                showNotification(`Kalender diunduh: ${SaturaExport.downloadICS(days, meta)}`, 'success');
+            }]
+        ];
+
+        actions.forEach(([button, run]) => {
+            button?.addEventListener('click', () => {
+                const days = getRamadhanDays(true);
+                const meta = getScheduleExportMeta();
+
+                if (!days.length || meta.latitude === undefined) {
+                    showNotification('Jadwal Ramadhan belum tersedia', 'warning');
+                    return;
+                }
+
+                try {
+                    run(days, meta);
+                } catch (error) {
+                    console.error('Schedule export failed:', error);
+                    showNotification('Gagal mengekspor jadwal', 'error');
+                }
+            });
+        });
+    }
+
+    // Per-regency Ramadhan calendar (settings)
+    async function renderFeedProvinces() {
+        const select = elements.feedProvince;
+        if (!select || select.options.length) return;
+
+        try {
+            const provinces = await SaturaDatabase.getProvinces();
+            const current = SaturaStorage.getLocation();
+
+            select.innerHTML = provinces.map(p =>
+                `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`
+            ).join('');
+            select.value = current?.provinceId || SaturaConfig.LOCATION.default.provinceId;
+
+            await renderFeedRegencies(current?.regencyId || SaturaConfig.LOCATION.default.regencyId);
+        } catch (err) {
+            console.error('Failed to load provinces for calendar:', err);
+        }
+    }
+
+    async function renderFeedRegencies(selectedId = null) {
+        const select = elements.feedRegency;
+        if (!select || !elements.feedProvince?.value) return;
+
+        const regencies = await SaturaDatabase.getRegenciesByProvince(elements.feedProvince.value);
+        select.innerHTML = regencies.map(r =>
+            `<option value="${escapeHTML(r.id)}">${escapeHTML(r.name)}</option>`
+        ).join('');
+
+        if (selectedId && regencies.some(r => r.id === selectedId)) select.value = selectedId;
+    }
+
+    function setupCalendarFeed() {
+        elements.feedProvince?.addEventListener('change', () => {
+            renderFeedRegencies().catch(err => console.error('Failed to load regencies for calendar:', err));
+        });
+
+        elements.feedDownloadBtn?.addEventListener('click', async () => {
+            const org = SaturaStorage.getSetting('organization');
+            const startDate = getRamadhanStartDate(org);
+
+            try {
+                const regency = await SaturaDatabase.getRegencyById(elements.feedRegency?.value);
+                if (!regency || !startDate) {
+                    showNotification('Pilih kabupaten/kota terlebih dahulu', 'warning');
+                    return;
+                }
+
+                const province = await SaturaDatabase.getProvinceById(regency.province_id);
+                const fileName = SaturaExport.downloadRegencyFeed(regency, {
+                    startDate,
+                    hijriYear: ramadhanConfig.tahunHijriah,
+                    organization: getOrganizationName(org),
+                    province: province?.name
+                });
+                showNotification(`Kalender diunduh: ${fileName}`, 'success');
+            } catch (err) {
+                console.error('Calendar feed failed:', err);
+                showNotification('Gagal membuat kalender', 'error');
+            }
+        });
+    }
+
     // Prayer times grid
     function updatePrayerTimesGrid(times) {
         const grid = elements.prayerTimesGrid;
@@ -590,6 +1295,14 @@
         grid.style.display = '';
 
         const nextPrayer = SaturaApp.getNextPrayer();
+        const zone = SaturaPrayer.getZoneInfo();
+
+        if (elements.prayerTimesZone) {
+            const hours = zone.offsetMinutes / 60;
+            elements.prayerTimesZone.textContent = zone.differs
+                ? `Waktu ${zone.label} · perangkat ${zone.deviceLabel} (${hours > 0 ? '+' : ''}${hours} jam)`
+                : `Waktu ${zone.label}`;
+        }
 
         // Icon Mapping
         const iconMap = {
@@ -613,23 +1326,22 @@
                 <div class="prayer-time-item__content">
                     <div class="prayer-time-item__name">${escapeHTML(prayer.name)}</div>
                     <div class="prayer-time-item__time">${escapeHTML(prayer.time || '--:--')}</div>
+                    ${zone.differs && prayer.time ? `<span class="prayer-time-item__local">${escapeHTML(SaturaPrayer.toDeviceTime(prayer.time, zone))} ${escapeHTML(zone.deviceLabel)}</span>` : ''}
                 </div>
             </div>
         `}).join('');
     }
 
+    // Hero badge shows the local Hijri date (works offline, follows the user's correction)
     function updateHeroDate(dateInfo) {
-        if (!dateInfo?.hijri) return;
-
-        const hijri = dateInfo.hijri;
-        if (elements.hijriMonth) elements.hijriMonth.textContent = hijri.month?.en || 'Ramadhan';
+        const hijri = SaturaHijri.toHijri(dateInfo?.gregorian?.date || new Date());
+        if (elements.hijriMonth) elements.hijriMonth.textContent = hijri.monthName;
         if (elements.hijriYear) elements.hijriYear.textContent = hijri.year + ' H';
     }
 
-    // Check if current time is after Isya
+    // Check if current time (at the location) is after Isya
     function isAfterIsya() {
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const currentMinutes = SaturaPrayer.getLocationMinutes();
 
         // Get today's schedule
         const todaySchedule = SaturaPrayer.getStatus();
@@ -651,14 +1363,9 @@
         const titleEl = document.querySelector('.prayer-times-title');
         if (!titleEl) return;
 
-        const now = new Date();
-        const currentHour = now.getHours();
-
-        // After Isya (check if all prayers passed) and before midnight
-        if (isAfterIsya() && currentHour < 24) {
-            // Get tomorrow's date
-            const tomorrow = new Date(now);
-            tomorrow.setDate(now.getDate() + 1);
+        // After Isya (check if all prayers passed) and before midnight at the location
+        if (isAfterIsya()) {
+            const tomorrow = SaturaPrayer.getLocationDate(1);
 
             const dateStr = tomorrow.toLocaleDateString('id-ID', {
                 weekday: 'long',
@@ -694,11 +1401,18 @@
             elements.countdownPrayerName.textContent = nextPrayer.name || '-';
         }
 
+        if (elements.countdownZone) {
+            const zone = SaturaPrayer.getZoneInfo();
+            elements.countdownZone.textContent = nextPrayer.time
+                ? `${nextPrayer.time} ${zone.label}` + (zone.differs ? ` · ${SaturaPrayer.toDeviceTime(nextPrayer.time, zone)} ${zone.deviceLabel}` : '')
+                : '';
+        }
+
         // If it's tomorrow's prayer and no remaining time calculated, calculate it
         if (!nextPrayer.isToday && nextPrayer.key === 'imsak' && tomorrowSchedule) {
-            const tomorrowImsak = tomorrowSchedule.timings?.Imsak;
+            const tomorrowImsak = SaturaPrayer.getAdjustedTimings(tomorrowSchedule).Imsak;
             if (tomorrowImsak) {
-                const remaining = calculateCountdownToTomorrow(tomorrowImsak);
+                const remaining = SaturaPrayer.calculateTimeRemainingToTomorrow(tomorrowImsak);
                 if (remaining) {
                     if (elements.countdownHours) elements.countdownHours.textContent = String(remaining.hours).padStart(2, '0');
                     if (elements.countdownMinutes) elements.countdownMinutes.textContent = String(remaining.minutes).padStart(2, '0');
@@ -716,53 +1430,908 @@
         }
     }
 
-    // Calculate countdown to tomorrow's time
-    function calculateCountdownToTomorrow(timeStr) {
-        if (!timeStr) return null;
-
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-
-        // Parse time string (format: "HH:MM" or "HH:MM (WIB)")
-        const cleanTime = timeStr.split(' ')[0];
-        const [hours, minutes] = cleanTime.split(':').map(Number);
-
-        tomorrow.setHours(hours, minutes, 0, 0);
-
-        const diff = tomorrow - now;
-
-        if (diff <= 0) return null;
-
-        return {
-            total: diff,
-            hours: Math.floor(diff / (1000 * 60 * 60)),
-            minutes: Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60)),
-            seconds: Math.floor((diff % (1000 * 60)) / 1000)
-        };
-    }
-
     // Organization change
     function setupOrganization() {
         document.querySelectorAll('input[name="organization"]').forEach(radio => {
             radio.addEventListener('change', async (e) => {
-                SaturaStorage.set('organization', e.target.value);
+                SaturaStorage.setSetting('organization', e.target.value);
                 const title = e.target.parentElement.querySelector('.settings__option-title').textContent;
                 showNotification('Organisasi diubah: ' + title, 'success');
 
                 // Reload schedule with new start date
-                const loc = SaturaStorage.get('user_location');
+                const loc = SaturaStorage.getLocation();
                 if (loc?.latitude && loc?.longitude) {
                     await loadMonthlySchedule(loc.latitude, loc.longitude);
                 }
+                renderEvents();
             });
         });
 
-        const saved = SaturaStorage.get('organization') || 'nu';
+        const saved = SaturaStorage.getSetting('organization');
         const radio = document.querySelector(`input[name="organization"][value="${saved}"]`);
         if (radio) radio.checked = true;
     }
 
+    // Calculation settings (method, Asr school, high latitude rule, midnight mode)
+    function setupCalculationSettings() {
+        const calc = SaturaConfig.CALCULATION;
+        const settings = SaturaStorage.getSettings();
+
+        // Default method (Kemenag) first, the rest alphabetically
+        const methods = Object.entries(calc.methods)
+            .map(([id, method]) => ({ value: id, name: method.name }))
+            .sort((a, b) => {
+                const aDefault = Number(a.value) === SaturaConfig.API.method;
+                const bDefault = Number(b.value) === SaturaConfig.API.method;
+                if (aDefault !== bDefault) return aDefault ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            });
+
+        renderSelectSetting(elements.methodDropdown, elements.methodTrigger, elements.methodOptions,
+            methods, settings.calculationMethod, (item) => {
+                applyCalculationSetting('calculationMethod', Number(item.value), item.name);
+            });
+
+        renderSelectSetting(elements.latitudeDropdown, elements.latitudeTrigger, elements.latitudeOptions,
+            toSettingItems(calc.latitudeAdjustments), settings.latitudeAdjustment, (item) => {
+                applyCalculationSetting('latitudeAdjustment', Number(item.value), item.name);
+            });
+
+        renderRadioSetting(elements.asrSchoolOptions, 'asrSchool',
+            toSettingItems(calc.schools), settings.asrSchool, (item) => {
+                applyCalculationSetting('asrSchool', Number(item.value), item.name);
+            });
+
+        renderRadioSetting(elements.midnightModeOptions, 'midnightMode',
+            toSettingItems(calc.midnightModes), settings.midnightMode, (item) => {
+                applyCalculationSetting('midnightMode', Number(item.value), item.name);
+            });
+    }
+
+    function setupHijriSettings() {
+        const settings = SaturaStorage.getSettings();
+        const adjustments = SaturaConfig.HIJRI.adjustments.map(days => ({
+            value: days,
+            name: days > 0 ? `+${days}` : String(days)
+        }));
+
+        renderRadioSetting(elements.hijriMethodOptions, 'hijriMethod',
+            toSettingItems(SaturaConfig.HIJRI.methods), settings.hijriMethod, (item) => {
+                applyHijriSetting('hijriMethod', item.value, item.name);
+            });
+
+        renderRadioSetting(elements.hijriAdjustmentOptions, 'hijriAdjustment',
+            adjustments, settings.hijriAdjustment, (item) => {
+                applyHijriSetting('hijriAdjustment', item.value, `${item.name} hari`);
+            });
+    }
+
+    // Hijri settings only change labels, so no schedule refetch is needed
+    function applyHijriSetting(key, value, label) {
+        SaturaStorage.setSetting(key, value);
+        updateHeroDate();
+        fastingSchedules.clear();
+        SaturaNotification.sync().catch(err => console.error('Failed to sync reminders:', err));
+        showNotification('Kalender Hijriah diubah: ' + label, 'success');
+    }
+
+    // Convert { id: label } config map to option items
+    function toSettingItems(map) {
+        return Object.entries(map).map(([value, name]) => ({ value, name }));
+    }
+
+    // Render custom dropdown options for a setting
+    function renderSelectSetting(dropdown, trigger, optionsEl, items, selected, onSelect) {
+        if (!dropdown || !trigger || !optionsEl) return;
+
+        const current = items.find(item => String(item.value) === String(selected));
+        if (current) trigger.querySelector('span').textContent = current.name;
+
+        optionsEl.innerHTML = items.map(item => `
+            <div class="custom-select__option" data-value="${escapeHTML(item.value)}">
+                ${escapeHTML(item.name)}
+            </div>
+        `).join('');
+
+        optionsEl.querySelectorAll('.custom-select__option').forEach((opt, index) => {
+            opt.addEventListener('click', () => {
+                const item = items[index];
+                trigger.querySelector('span').textContent = item.name;
+                dropdown.classList.remove('custom-select--open');
+                onSelect(item);
+            });
+        });
+    }
+
+    // Render radio option cards for a setting
+    function renderRadioSetting(container, name, items, selected, onChange) {
+        if (!container) return;
+
+        container.innerHTML = items.map(item => `
+            <label class="settings__option">
+                <input type="radio" name="${escapeHTML(name)}" value="${escapeHTML(item.value)}"
+                    ${String(item.value) === String(selected) ? 'checked' : ''}>
+                <span class="settings__option-card">
+                    <span class="settings__option-title">${escapeHTML(item.name)}</span>
+                </span>
+            </label>
+        `).join('');
+
+        container.querySelectorAll('input[type="radio"]').forEach((radio, index) => {
+            radio.addEventListener('change', () => onChange(items[index]));
+        });
+    }
+
+    // Per-prayer minute adjustments (ihtiyath)
+    let adjustmentTimer = null;
+
+    function setupPrayerAdjustments() {
+        renderPrayerAdjustments(SaturaStorage.getPrayerAdjustments());
+
+        elements.resetAdjustments?.addEventListener('click', () => {
+            const defaults = { ...SaturaConfig.PRAYER.adjustments };
+            renderPrayerAdjustments(defaults);
+            clearTimeout(adjustmentTimer);
+            applyCalculationSetting('prayerAdjustments', defaults, 'Penyesuaian waktu default');
+        });
+    }
+
+    function renderPrayerAdjustments(adjustments) {
+        const container = elements.adjustmentOptions;
+        if (!container) return;
+
+        const names = SaturaConfig.PRAYER.names;
+        const keys = Object.keys(SaturaConfig.PRAYER.adjustments);
+
+        container.innerHTML = keys.map(key => `
+            <div class="settings__adjustment">
+                <label class="settings__adjustment-label" for="adjust-${key}">${escapeHTML(names[key])}</label>
+                <div class="settings__adjustment-control">
+                    <button type="button" data-step="-1" aria-label="Kurangi ${escapeHTML(names[key])}">
+                        <i class='bx bx-minus'></i>
+                    </button>
+                    <input type="number" id="adjust-${key}" data-key="${key}" value="${adjustments[key]}" step="1" min="-60" max="60">
+                    <button type="button" data-step="1" aria-label="Tambah ${escapeHTML(names[key])}">
+                        <i class='bx bx-plus'></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.settings__adjustment-control').forEach(control => {
+            const input = control.querySelector('input');
+
+            control.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    input.value = (parseInt(input.value, 10) || 0) + Number(btn.dataset.step);
+                    input.dispatchEvent(new Event('change'));
+                });
+            });
+
+            input.addEventListener('change', () => {
+                const value = Math.max(-60, Math.min(60, parseInt(input.value, 10) || 0));
+                input.value = value;
+                queueAdjustment(input.dataset.key, value);
+            });
+        });
+    }
+
+    // Debounce so repeated +/- taps trigger a single refetch
+    function queueAdjustment(key, value) {
+        const adjustments = { ...SaturaStorage.getPrayerAdjustments(), [key]: value };
+        SaturaStorage.setSetting('prayerAdjustments', adjustments);
+
+        clearTimeout(adjustmentTimer);
+        adjustmentTimer = setTimeout(() => {
+            const label = `${SaturaConfig.PRAYER.names[key]} ${value > 0 ? '+' : ''}${value} menit`;
+            applyCalculationSetting('prayerAdjustments', adjustments, label);
+        }, 600);
+    }
+
+    // Adhan & Imsak reminders
+    function setupReminderSettings() {
+        const toggle = elements.notificationToggle;
+        if (!toggle) return;
+
+        toggle.checked = SaturaNotification.isEnabled();
+        renderReminderOptions();
+        updateReminderState();
+
+        toggle.addEventListener('change', async () => {
+            const enabled = await SaturaNotification.setEnabled(toggle.checked);
+
+            if (toggle.checked && !enabled) {
+                toggle.checked = false;
+                showNotification('Izin notifikasi tidak diberikan', 'error');
+            } else {
+                showNotification(enabled ? 'Pengingat diaktifkan' : 'Pengingat dinonaktifkan', 'success');
+            }
+            updateReminderState();
+        });
+    }
+
+    function renderReminderOptions() {
+        const container = elements.reminderOptions;
+        if (!container) return;
+
+        const names = SaturaConfig.PRAYER.names;
+        const { maxLead, leadStep } = SaturaConfig.NOTIFICATION;
+        const reminders = SaturaNotification.getReminderSettings();
+
+        container.innerHTML = Object.entries(reminders).map(([key, reminder]) => `
+            <div class="settings__adjustment">
+                <label class="settings__reminder-toggle">
+                    <input type="checkbox" data-key="${key}" ${reminder.enabled ? 'checked' : ''}>
+                    <span>${escapeHTML(names[key])}</span>
+                </label>
+                <div class="settings__adjustment-control">
+                    <button type="button" data-step="-${leadStep}" aria-label="Kurangi waktu pengingat ${escapeHTML(names[key])}">
+                        <i class='bx bx-minus'></i>
+                    </button>
+                    <input type="number" data-key="${key}" value="${reminder.lead}" step="${leadStep}" min="0" max="${maxLead}">
+                    <button type="button" data-step="${leadStep}" aria-label="Tambah waktu pengingat ${escapeHTML(names[key])}">
+                        <i class='bx bx-plus'></i>
+                    </button>
+                </div>
+                <span class="settings__reminder-hint">menit sebelumnya</span>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.settings__reminder-toggle input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                SaturaNotification.setReminder(checkbox.dataset.key, { enabled: checkbox.checked });
+            });
+        });
+
+        container.querySelectorAll('.settings__adjustment-control').forEach(control => {
+            const input = control.querySelector('input');
+
+            control.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    input.value = (parseInt(input.value, 10) || 0) + Number(btn.dataset.step);
+                    input.dispatchEvent(new Event('change'));
+                });
+            });
+
+            input.addEventListener('change', () => {
+                const lead = Math.max(0, Math.min(maxLead, parseInt(input.value, 10) || 0));
+                input.value = lead;
+                SaturaNotification.setReminder(input.dataset.key, { lead });
+            });
+        });
+    }
+
+    // Reflect support/permission state in the reminder section
+    function updateReminderState() {
+        const permission = SaturaNotification.getPermission();
+        const info = elements.notificationInfo;
+        let message = '';
+
+        if (permission === 'unsupported') {
+            message = 'Browser ini tidak mendukung notifikasi.';
+            elements.notificationToggle.disabled = true;
+        } else if (permission === 'denied') {
+            message = 'Izin notifikasi diblokir. Aktifkan melalui pengaturan browser.';
+        }
+
+        if (info) {
+            info.querySelector('span').textContent = message;
+            info.classList.toggle('hidden', !message);
+        }
+
+        elements.reminderOptions?.classList.toggle('settings__reminders--disabled', !elements.notificationToggle.checked);
+    }
+
+    // Settings backup, import preview and share link
+    let pendingImport = null;
+
+    function setupBackup() {
+        elements.exportSettingsBtn?.addEventListener('click', async () => {
+            try {
+                const fileName = await SaturaBackup.exportFile();
+                showNotification(`Pengaturan diekspor ke ${fileName}`, 'success');
+            } catch (err) {
+                console.error('Export failed:', err);
+                showNotification(err.message, 'error');
+            }
+        });
+
+        elements.importSettingsBtn?.addEventListener('click', () => elements.importSettingsFile?.click());
+
+        elements.importSettingsFile?.addEventListener('change', () => {
+            const file = elements.importSettingsFile.files[0];
+            elements.importSettingsFile.value = ''; // Allow picking the same file again
+            previewImport(SaturaBackup.readFile(file));
+        });
+
+        elements.shareSettingsBtn?.addEventListener('click', async () => {
+            try {
+                const url = await SaturaBackup.getShareUrl();
+                elements.shareUrl.value = url;
+                elements.shareQR.innerHTML = SaturaBackup.getShareQR(url);
+                elements.sharePanel.classList.remove('hidden');
+            } catch (err) {
+                console.error('Share link failed:', err);
+                showNotification(err.message, 'error');
+            }
+        });
+
+        elements.copyShareUrl?.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(elements.shareUrl.value);
+                showNotification('Tautan disalin', 'success');
+            } catch (err) {
+                elements.shareUrl.select();
+                showNotification('Salin tautan secara manual', 'info');
+            }
+        });
+
+        elements.importModal?.querySelectorAll('[data-close-modal]').forEach(el => {
+            el.addEventListener('click', closeImportModal);
+        });
+
+        elements.importConfirm?.addEventListener('click', () => {
+            if (!pendingImport) return;
+
+            SaturaBackup.applyBackup(pendingImport.settings);
+            closeImportModal();
+            showNotification('Pengaturan diterapkan, memuat ulang...', 'success');
+            setTimeout(() => window.location.reload(), 1000);
+        });
+
+        // Opened from a share link (#impor=...)
+        const payload = SaturaBackup.getSharePayload();
+        if (payload) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            previewImport(SaturaBackup.parseSharePayload(payload));
+        }
+    }
+
+    async function previewImport(parsing) {
+        try {
+            showImportPreview(await parsing);
+        } catch (err) {
+            console.error('Import failed:', err);
+            showNotification(err.message, 'error');
+        }
+    }
+
+    function showImportPreview(result) {
+        pendingImport = result;
+
+        const created = result.createdAt
+            ? ` dari cadangan ${new Date(result.createdAt).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}`
+            : '';
+        elements.importSummary.textContent = result.changes.length
+            ? `${result.changes.length} pengaturan akan berubah${created}:`
+            : `Tidak ada perubahan${created}; pengaturan sudah sama.`;
+
+        elements.importDiff.innerHTML = result.changes.map(change => `
+            <li class="modal__diff-item">
+                <span class="modal__diff-label">${escapeHTML(change.label)}</span>
+                <span class="modal__diff-from">${escapeHTML(change.from)}</span>
+                <i class='bx bx-right-arrow-alt'></i>
+                <span class="modal__diff-to">${escapeHTML(change.to)}</span>
+            </li>
+        `).join('');
+
+        const warnings = elements.importWarnings;
+        warnings.querySelector('span').textContent = result.warnings.join(' ');
+        warnings.classList.toggle('hidden', result.warnings.length === 0);
+
+        elements.importConfirm.disabled = result.changes.length === 0;
+        elements.importModal.classList.add('is-active');
+    }
+
+    function closeImportModal() {
+        pendingImport = null;
+        elements.importModal?.classList.remove('is-active');
+    }
+
+    // Save a calculation setting and reload every schedule with it
+    async function applyCalculationSetting(key, value, label) {
+        SaturaStorage.setSetting(key, value);
+
+        showLoading();
+        try {
+            await SaturaApp.refreshPrayerTimes();
+
+            const loc = SaturaStorage.getLocation();
+            if (loc?.latitude && loc?.longitude) {
+                await loadMonthlySchedule(loc.latitude, loc.longitude);
+                await fetchTomorrowSchedule(loc.latitude, loc.longitude);
+            }
+            renderLocationComparison();
+            showNotification('Pengaturan perhitungan diubah: ' + label, 'success');
+        } catch (err) {
+            console.error('Failed to apply calculation setting:', err);
+            showNotification('Gagal memperbarui jadwal. Silakan coba lagi.', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Islamic events page (Acara Islam)
+    let upcomingEvents = [];
+
+    function setupEvents() {
+        setInterval(updateEventCountdowns, 1000);
+    }
+
+    function renderEvents() {
+        const list = elements.eventsList;
+        if (!list) return;
+
+        const org = SaturaStorage.getSetting('organization');
+        const criterion = SaturaConfig.HISAB.criteria[SaturaConfig.HISAB.organizations[org]];
+        const orgName = getOrganizationName(org);
+
+        if (elements.eventsBasis) {
+            elements.eventsBasis.textContent = `Mengikuti ${orgName}: tanggal resmi bila tersedia, selain itu hisab ${criterion?.name || ''}.`;
+        }
+
+        try {
+            upcomingEvents = SaturaEvents.getUpcoming({ org });
+        } catch (err) {
+            console.error('Failed to compute events:', err);
+            upcomingEvents = [];
+        }
+
+        if (!upcomingEvents.length) {
+            list.innerHTML = '<li class="events__empty">Tidak ada acara yang dapat dihitung.</li>';
+            elements.eventsNext?.classList.add('hidden');
+            return;
+        }
+
+        const monthShort = (date) => date.toLocaleDateString('id-ID', { month: 'short' });
+
+        list.innerHTML = upcomingEvents.map((event, index) => {
+            const days = event.hijri.days;
+            const hijriDays = days.length > 1 ? `${days[0]}-${days[days.length - 1]}` : days[0];
+
+            return `
+                <li class="events__item events__item--${escapeHTML(event.type)}">
+                    <div class="events__date">
+                        <span class="events__day">${escapeHTML(event.start.getDate())}</span>
+                        <span class="events__month">${escapeHTML(monthShort(event.start))}</span>
+                    </div>
+                    <div class="events__body">
+                        <span class="events__name">${escapeHTML(event.name)}</span>
+                        <span class="events__meta">${escapeHTML(`${hijriDays} ${event.hijri.monthName} ${event.hijri.year} H · ${formatEventDate(event)}`)}</span>
+                        <span class="events__desc">${escapeHTML(event.description)}</span>
+                    </div>
+                    <div class="events__status">
+                        <span class="events__countdown" data-event-index="${index}"></span>
+                        <span class="events__badge">${event.source === 'official' ? 'Resmi' : 'Hisab'}</span>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        updateEventCountdowns();
+    }
+
+    function formatEventDate(event) {
+        const options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
+        const start = event.start.toLocaleDateString('id-ID', options);
+        if (event.end.getTime() === event.start.getTime()) return start;
+        return `${start} - ${event.end.toLocaleDateString('id-ID', options)}`;
+    }
+
+    function updateEventCountdowns() {
+        if (!upcomingEvents.length) return;
+        if (!document.getElementById('page-acara')?.classList.contains('page--active')) return;
+
+        const now = SaturaClock.now();
+        const today = SaturaPrayer.getLocationDate(0, undefined, now);
+
+        elements.eventsList?.querySelectorAll('[data-event-index]').forEach(el => {
+            const event = upcomingEvents[Number(el.dataset.eventIndex)];
+            const state = SaturaEvents.getCountdown(event, now).state;
+            const days = Math.round((event.start - today) / 86400000);
+
+            if (state === 'today') el.textContent = 'Hari ini';
+            else if (state === 'ongoing') el.textContent = 'Sedang berlangsung';
+            else if (days === 1) el.textContent = 'Besok';
+            else el.textContent = `${days} hari lagi`;
+        });
+
+        // Live countdown for the nearest event that has not started yet
+        const next = upcomingEvents.find(event => SaturaEvents.getCountdown(event, now).state === 'upcoming');
+        if (!next || !elements.eventsNext) {
+            elements.eventsNext?.classList.add('hidden');
+            return;
+        }
+
+        const countdown = SaturaEvents.getCountdown(next, now);
+        const units = [
+            [countdown.days, 'Hari'],
+            [countdown.hours, 'Jam'],
+            [countdown.minutes, 'Menit'],
+            [countdown.seconds, 'Detik']
+        ];
+
+        elements.eventsNext.classList.remove('hidden');
+        elements.eventsNextName.textContent = next.name;
+        elements.eventsNextDate.textContent = formatEventDate(next);
+        elements.eventsNextTimer.innerHTML = units.map(([value, label], i) => `
+            ${i > 0 ? '<span class="countdown__separator">:</span>' : ''}
+            <div class="countdown__unit">
+                <span class="countdown__number">${String(value).padStart(2, '0')}</span>
+                <span class="countdown__text">${label}</span>
+            </div>
+        `).join('');
+    }
+
+    // Sunnah fasting planner (Puasa Sunnah)
+    const fastingSchedules = new Map();
+    let fastingMonthOffset = 0;
+    let fastingPlan = [];
+    let fastingRenderId = 0;
+
+    function setupFasting() {
+        elements.fastingPrev?.addEventListener('click', () => {
+            fastingMonthOffset--;
+            renderFastingPlan();
+        });
+
+        elements.fastingNext?.addEventListener('click', () => {
+            fastingMonthOffset++;
+            renderFastingPlan();
+        });
+
+        elements.fastingList?.addEventListener('change', (e) => {
+            const day = fastingPlan.find(item => item.dateKey === e.target.dataset.fastingDate);
+            if (!day) return;
+
+            day.done = e.target.checked;
+            SaturaFasting.setDone(day, day.done);
+            e.target.closest('.fasting__item')?.classList.toggle('is-done', day.done);
+            renderFastingSummary();
+        });
+    }
+
+    // Month schedules, scoped like the prayer cache (method, adjustments, place)
+    async function getFastingSchedules(year, month) {
+        const key = SaturaStorage.getPrayerCacheKey(`${year}-${String(month).padStart(2, '0')}`);
+        if (!fastingSchedules.has(key)) {
+            try {
+                fastingSchedules.set(key, await SaturaPrayer.fetchMonthlySchedule(month, year));
+            } catch (err) {
+                // Without a location the plan still works, just without times
+                console.error('Failed to load fasting schedule:', err);
+                return [];
+            }
+        }
+        return fastingSchedules.get(key);
+    }
+
+    async function renderFastingPlan() {
+        const list = elements.fastingList;
+        if (!list) return;
+
+        const renderId = ++fastingRenderId;
+        const target = SaturaPrayer.getLocationDate();
+        target.setDate(1);
+        target.setMonth(target.getMonth() + fastingMonthOffset);
+        const year = target.getFullYear();
+        const month = target.getMonth() + 1;
+
+        elements.fastingMonth.textContent = target.toLocaleDateString('id-ID', { month: 'long', year: 'numeric' });
+        const first = SaturaHijri.toHijri(new Date(year, month - 1, 1));
+        const last = SaturaHijri.toHijri(new Date(year, month, 0));
+        elements.fastingHijri.textContent = first.month === last.month
+            ? `${first.monthName} ${first.year} H`
+            : `${first.monthName}${first.year !== last.year ? ` ${first.year}` : ''} - ${last.monthName} ${last.year} H`;
+
+        const schedules = await getFastingSchedules(year, month);
+        if (renderId !== fastingRenderId) return;
+
+        fastingPlan = SaturaFasting.getMonthPlan(year, month, schedules);
+        renderFastingSummary();
+
+        if (!fastingPlan.length) {
+            list.innerHTML = '<li class="fasting__empty">Tidak ada puasa sunnah di bulan ini.</li>';
+            return;
+        }
+
+        const today = SaturaPrayer.getLocationDate();
+
+        list.innerHTML = fastingPlan.map(day => {
+            const isToday = day.date.getTime() === today.getTime();
+            const times = day.imsak && day.maghrib
+                ? `Imsak ${formatTime(day.imsak)} · Berbuka ${formatTime(day.maghrib)}`
+                : 'Waktu imsak & berbuka belum tersedia';
+
+            return `
+                <li class="fasting__item${isToday ? ' is-today' : ''}${day.done ? ' is-done' : ''}">
+                    <div class="fasting__date">
+                        <span class="fasting__day">${escapeHTML(day.date.getDate())}</span>
+                        <span class="fasting__weekday">${escapeHTML(day.date.toLocaleDateString('id-ID', { weekday: 'short' }))}</span>
+                    </div>
+                    <div class="fasting__body">
+                        <div class="fasting__types">
+                            ${day.types.map(type => `<span class="fasting__type">${escapeHTML(type.name)}</span>`).join('')}
+                        </div>
+                        <span class="fasting__meta">${escapeHTML(`${day.hijri.day} ${day.hijri.monthName} ${day.hijri.year} H`)}</span>
+                        <span class="fasting__times">${escapeHTML(times)}</span>
+                    </div>
+                    <label class="fasting__check" title="${day.date > today ? 'Belum tiba' : 'Tandai sudah berpuasa'}">
+                        <input type="checkbox" data-fasting-date="${escapeHTML(day.dateKey)}"
+                            ${day.done ? 'checked' : ''} ${day.date > today ? 'disabled' : ''}
+                            aria-label="Sudah berpuasa ${escapeHTML(day.date.toLocaleDateString('id-ID', { day: 'numeric', month: 'long' }))}">
+                        <span class="fasting__check-box"><i class='bx bx-check'></i></span>
+                    </label>
+                </li>
+            `;
+        }).join('');
+    }
+
+    function renderFastingSummary() {
+        if (!elements.fastingSummary) return;
+
+        const done = fastingPlan.filter(day => day.done).length;
+        let summary = fastingPlan.length
+            ? `${done} dari ${fastingPlan.length} hari puasa sunnah sudah dijalani`
+            : '';
+
+        const syawalDay = fastingPlan.find(day => day.types.some(type => type.id === SaturaConfig.FASTING.syawal.id));
+        if (syawalDay) {
+            const progress = SaturaFasting.getSyawalProgress(syawalDay.hijri.year);
+            summary += ` · Syawal ${syawalDay.hijri.year} H: ${progress.done}/${progress.target} hari`;
+        }
+
+        elements.fastingSummary.textContent = summary;
+    }
+
+    // Qadha ledger (Utang Puasa)
+    function setupQadha() {
+        const onStatusChange = (e) => {
+            const day = Number(e.target.dataset.qadhaDay);
+            if (!day) return;
+
+            SaturaQadha.setDayStatus(ramadhanConfig.tahunHijriah, day, e.target.value || null);
+            // Table and mobile cards show the same days
+            renderMonthlySchedule();
+            renderQadhaLedger();
+        };
+        elements.scheduleTableBody?.addEventListener('change', onStatusChange);
+        document.getElementById('mobileScheduleCards')?.addEventListener('change', onStatusChange);
+
+        const todayKey = SaturaPrayer.formatDate(new Date());
+        if (elements.qadhaDate) {
+            elements.qadhaDate.value = todayKey;
+            elements.qadhaDate.max = todayKey;
+        }
+
+        elements.qadhaAddBtn?.addEventListener('click', () => {
+            try {
+                const added = SaturaQadha.addPaid(elements.qadhaDate.value);
+                showNotification(added ? 'Puasa qadha dicatat' : 'Tanggal ini sudah dicatat', added ? 'success' : 'info');
+                renderQadhaLedger();
+            } catch (err) {
+                showNotification(err.message, 'error');
+            }
+        });
+
+        elements.qadhaPaidList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-qadha-paid]');
+            if (!button) return;
+
+            SaturaQadha.removePaid(button.dataset.qadhaPaid);
+            renderQadhaLedger();
+        });
+
+        // Past Hijri years that can be entered as a plain count
+        const currentYear = SaturaHijri.toHijri().year;
+        if (elements.qadhaManualYear) {
+            elements.qadhaManualYear.innerHTML = Array.from({ length: SaturaConfig.QADHA.manualYears }, (_, i) => currentYear - i)
+                .map(year => `<option value="${year}">Ramadhan ${year} H</option>`)
+                .join('');
+            elements.qadhaManualYear.addEventListener('change', fillQadhaManualDays);
+            fillQadhaManualDays();
+        }
+
+        elements.qadhaManualBtn?.addEventListener('click', () => {
+            const year = Number(elements.qadhaManualYear.value);
+            SaturaQadha.setManualDays(year, elements.qadhaManualDays.value);
+            showNotification(`Utang Ramadhan ${year} H disimpan`, 'success');
+            renderQadhaLedger();
+        });
+
+        checkQadhaReminder();
+    }
+
+    function fillQadhaManualDays() {
+        const year = Number(elements.qadhaManualYear.value);
+        elements.qadhaManualDays.value = SaturaQadha.getLedger().manual[year] || '';
+    }
+
+    function renderQadhaLedger() {
+        if (!elements.qadhaYears) return;
+
+        const balance = SaturaQadha.getBalance();
+        const reasons = SaturaConfig.QADHA.reasons;
+
+        elements.qadhaRemaining.textContent = balance.remaining;
+        elements.qadhaPaid.textContent = balance.paid;
+        elements.qadhaFidyahDays.textContent = balance.fidyah.days;
+
+        const rupiah = balance.fidyah.amount.toLocaleString('id-ID', { style: 'currency', currency: 'IDR', maximumFractionDigits: 0 });
+        elements.qadhaFidyah.textContent = balance.fidyah.days
+            ? `Perkiraan fidyah: ${balance.fidyah.days} mud (± ${balance.fidyah.kg.toLocaleString('id-ID')} kg makanan pokok) atau ${rupiah}`
+            : 'Tidak ada fidyah.';
+
+        const ledger = SaturaQadha.getLedger();
+        elements.qadhaYears.innerHTML = balance.years.map(item => {
+            const reasonCounts = {};
+            Object.values(ledger.ramadhan[item.year] || {}).forEach(status => {
+                if (reasons[status]) reasonCounts[status] = (reasonCounts[status] || 0) + 1;
+            });
+            const detail = Object.entries(reasonCounts).map(([id, count]) => `${reasons[id].name} ${count}`);
+            if (ledger.manual[item.year]) detail.push(`Manual ${ledger.manual[item.year]}`);
+
+            return `
+                <li class="qadha__year">
+                    <span>Ramadhan ${escapeHTML(item.year)} H · ${escapeHTML(detail.join(', '))}</span>
+                    <span class="${item.late ? 'qadha__year-late' : ''}">
+                        ${item.remaining ? `Sisa ${escapeHTML(item.remaining)} hari${item.late ? ' (terlambat)' : ''}` : 'Lunas'}
+                    </span>
+                </li>
+            `;
+        }).join('') || '<li class="qadha__year">Belum ada hari yang ditinggalkan.</li>';
+
+        elements.qadhaPaidList.innerHTML = ledger.paid.slice().reverse().map(dateKey => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            const label = new Date(year, month - 1, day).toLocaleDateString('id-ID', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+            return `
+                <li class="qadha__paid-item">
+                    <span>${escapeHTML(label)}</span>
+                    <button class="qadha__remove" type="button" data-qadha-paid="${escapeHTML(dateKey)}" aria-label="Hapus catatan ${escapeHTML(label)}">
+                        <i class='bx bx-x'></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        const reminder = SaturaQadha.getReminder(getRamadhanStartDate(SaturaStorage.getSetting('organization')));
+        elements.qadhaReminder.classList.toggle('hidden', !reminder);
+        if (reminder) elements.qadhaReminderText.textContent = formatQadhaReminder(reminder);
+    }
+
+    function formatQadhaReminder(reminder) {
+        return `Sisa utang puasa ${reminder.remaining} hari, Ramadhan tinggal ${reminder.daysToRamadhan} hari lagi.`;
+    }
+
+    // Remind once a day during Rajab & Sya'ban while qadha is still owed
+    function checkQadhaReminder() {
+        const reminder = SaturaQadha.getReminder(getRamadhanStartDate(SaturaStorage.getSetting('organization')));
+        if (!reminder) return;
+
+        const todayKey = SaturaPrayer.formatDate(new Date());
+        if (SaturaStorage.get(SaturaConfig.CACHE.keys.qadhaReminder) === todayKey) return;
+        SaturaStorage.set(SaturaConfig.CACHE.keys.qadhaReminder, todayKey);
+
+        // Defer notification so it appears after splash screen
+        setTimeout(() => showNotification(formatQadhaReminder(reminder), 'warning'), 3500);
+    }
+
+    // Qibla page (Arah Kiblat)
+    let qiblaDirection = null;
+    let stopHeadingWatch = null;
+    let headingTimeout = null;
+
+    function setupQibla() {
+        const button = elements.qiblaCompassBtn;
+        if (!button || !SaturaQibla.isCompassSupported()) return;
+
+        button.classList.remove('hidden');
+        button.addEventListener('click', async () => {
+            if (stopHeadingWatch) {
+                stopQiblaCompass();
+                return;
+            }
+
+            // iOS asks for permission, which has to happen inside this click
+            if (!await SaturaQibla.requestCompassPermission()) {
+                showNotification('Izin kompas ditolak, gunakan diagram arah kiblat', 'warning');
+                return;
+            }
+
+            stopHeadingWatch = SaturaQibla.watchHeading(updateQiblaHeading);
+            button.querySelector('span').textContent = 'Matikan kompas';
+            elements.qiblaStatus.textContent = 'Pegang ponsel mendatar dan jauhkan dari benda logam...';
+
+            // Desktops expose the API but never deliver an absolute heading
+            headingTimeout = setTimeout(() => {
+                stopQiblaCompass();
+                elements.qiblaStatus.textContent = 'Kompas perangkat tidak tersedia. Hadapkan huruf U pada diagram ke arah utara.';
+            }, 3000);
+        });
+    }
+
+    function stopQiblaCompass() {
+        clearTimeout(headingTimeout);
+        stopHeadingWatch?.();
+        stopHeadingWatch = null;
+
+        if (elements.qiblaCompassBtn) {
+            elements.qiblaCompassBtn.querySelector('span').textContent = 'Gunakan kompas perangkat';
+        }
+        elements.qiblaCompass?.classList.remove('qibla__compass--aligned');
+        updateQiblaHeading(0, false);
+    }
+
+    function renderQibla() {
+        if (!elements.qiblaDial) return;
+
+        qiblaDirection = SaturaQibla.getDirection();
+        const location = SaturaStorage.getLocation();
+
+        elements.qiblaLocation.textContent = location?.name
+            ? `${location.name} (${qiblaDirection.latitude.toFixed(4)}, ${qiblaDirection.longitude.toFixed(4)})`
+            : `${qiblaDirection.latitude.toFixed(4)}, ${qiblaDirection.longitude.toFixed(4)}`;
+        elements.qiblaBearing.textContent = `${qiblaDirection.bearing.toLocaleString('id-ID', { maximumFractionDigits: 1 })}° ${qiblaDirection.cardinal}`;
+        elements.qiblaDistance.textContent = `${Math.round(qiblaDirection.distance).toLocaleString('id-ID')} km`;
+        elements.qiblaNeedle.style.transform = `rotate(${qiblaDirection.bearing}deg)`;
+
+        if (!stopHeadingWatch) updateQiblaHeading(0, false);
+        renderRashdulQiblah();
+    }
+
+    function updateQiblaHeading(heading, live = true) {
+        if (!elements.qiblaDial || !qiblaDirection) return;
+
+        if (live) clearTimeout(headingTimeout);
+        elements.qiblaDial.style.transform = `rotate(${-heading}deg)`;
+        if (!live) return;
+
+        const offset = Math.round(((qiblaDirection.bearing - heading + 540) % 360) - 180);
+        const aligned = Math.abs(offset) <= 3;
+
+        elements.qiblaCompass.classList.toggle('qibla__compass--aligned', aligned);
+        elements.qiblaStatus.textContent = aligned
+            ? 'Anda menghadap kiblat'
+            : `Putar ${Math.abs(offset)}° ke ${offset > 0 ? 'kanan' : 'kiri'}`;
+    }
+
+    // Next two rashdul qiblah, shown in the location's timezone
+    function renderRashdulQiblah() {
+        const list = elements.qiblaRashdulList;
+        if (!list) return;
+
+        const year = new Date().getFullYear();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const timeZone = SaturaAstronomy.resolveTimezone();
+        const zoneLabel = SaturaConfig.LOCATION.timezoneLabels[timeZone] || timeZone;
+        const coords = { latitude: qiblaDirection.latitude, longitude: qiblaDirection.longitude };
+
+        const upcoming = [...SaturaQibla.getRashdulQiblah(year, coords), ...SaturaQibla.getRashdulQiblah(year + 1, coords)]
+            .filter(item => item.date >= today)
+            .slice(0, 2);
+
+        list.innerHTML = upcoming.map(item => {
+            const date = item.date.toLocaleDateString('id-ID', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+            const time = item.date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hour12: false });
+            const note = item.visible
+                ? `Matahari ${Math.round(item.altitude)}° di atas ufuk`
+                : 'Matahari sudah terbenam di lokasi ini';
+
+            return `
+                <li class="qibla__rashdul-item">
+                    <span class="qibla__rashdul-date">
+                        ${escapeHTML(date)}
+                        <span class="qibla__rashdul-note">${escapeHTML(note)}</span>
+                    </span>
+                    <span class="qibla__rashdul-time">${escapeHTML(`${time} ${zoneLabel}`)}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
     // Utilities
     function showLoading() {
         elements.loadingOverlay?.classList.remove('hidden');
@@ -884,6 +2453,44 @@
         });
     }
 
+    // Update dynamic year elements and organization start dates from Ramadhan config
+    function renderRamadhanInfo() {
+        if (!ramadhanConfig) return;
+
+        const tahun = ramadhanConfig.tahunHijriah;
+
+        // Schedule title
+        const scheduleTitle = document.getElementById('scheduleTitle');
+        if (scheduleTitle) {
+            scheduleTitle.textContent = `Jadwal Ramadhan ${tahun} H`;
+        }
+
+        // Organization description
+        const orgDesc = document.getElementById('orgDescription');
+        if (orgDesc) {
+            orgDesc.textContent = `Pilih organisasi untuk menentukan awal Ramadhan ${tahun} H, Idul Fitri, dan Idul Adha`;
+        }
+
+        // Organization start dates
+        const formatDate = (dateStr) => {
+            if (!dateStr) return '';
+            const [year, month, day] = dateStr.split('-').map(Number);
+            const months = ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
+                'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'];
+            return `${day} ${months[month - 1]} ${year}`;
+        };
+
+        ['muhammadiyah', 'nu'].forEach(org => {
+            const el = document.getElementById(`${org}Date`);
+            const dateStr = ramadhanConfig.tanggalSatuRamadhan?.[org];
+            if (!el || !dateStr) return;
+
+            const isHisab = ramadhanConfig.hisab?.includes(org);
+            el.textContent = `1 Ramadhan = ${formatDate(dateStr)}${isHisab ? ' (hisab)' : ''}`;
+            el.title = ramadhanConfig.keterangan?.[org] || '';
+        });
+    }
+
     // Initialize
     async function init() {
         // Load Ramadhan configuration first
@@ -892,53 +2499,24 @@
         cacheElements();
         setupNavigation();
         setupMobileMenu();
+        setupLocationSwitcher();
         setupOrganization();
+        setupCalculationSettings();
+        setupHijriSettings();
+        setupPrayerAdjustments();
+        setupReminderSettings();
+        setupBackup();
+        setupEvents();
+        setupFasting();
+        setupQadha();
+        setupQibla();
         setupScheduleToggle();
+        setupScheduleExport();
+        setupCalendarFeed();
         setupBackToTop();
         setupPWAInstall();
 
-        // Update dynamic year elements from Ramadhan config
-        if (ramadhanConfig) {
-            const tahun = ramadhanConfig.tahunHijriah;
-
-            // Hero badge - Hijri year
-            const hijriYear = document.getElementById('hijriYear');
-            if (hijriYear) {
-                hijriYear.textContent = `${tahun} H`;
-            }
-
-            // Schedule title
-            const scheduleTitle = document.getElementById('scheduleTitle');
-            if (scheduleTitle) {
-                scheduleTitle.textContent = `Jadwal Ramadhan ${tahun} H`;
-            }
-
-            // Organization description
-            const orgDesc = document.getElementById('orgDescription');
-            if (orgDesc) {
-                orgDesc.textContent = `Pilih organisasi untuk menentukan awal Ramadhan ${tahun} H`;
-            }
-
-            // Organization start dates
-            const formatDate = (dateStr) => {
-                if (!dateStr) return '';
-                const [year, month, day] = dateStr.split('-').map(Number);
-                const date = new Date(year, month - 1, day);
-                const months = ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
-                    'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'];
-                return `${day} ${months[month - 1]} ${year}`;
-            };
-
-            const muhammadiyahDateEl = document.getElementById('muhammadiyahDate');
-            if (muhammadiyahDateEl && ramadhanConfig.tanggalSatuRamadhan?.muhammadiyah) {
-                muhammadiyahDateEl.textContent = `1 Ramadhan = ${formatDate(ramadhanConfig.tanggalSatuRamadhan.muhammadiyah)}`;
-            }
-
-            const nuDateEl = document.getElementById('nuDate');
-            if (nuDateEl && ramadhanConfig.tanggalSatuRamadhan?.nu) {
-                nuDateEl.textContent = `1 Ramadhan = ${formatDate(ramadhanConfig.tanggalSatuRamadhan.nu)}`;
-            }
-        }
+        renderRamadhanInfo();
 
         // Initialize footer with author info and social links
         try {
@@ -985,6 +2563,14 @@
         // Setup custom dropdowns
         setupCustomDropdown(elements.provinceDropdown, elements.provinceTrigger, elements.provinceOptions);
         setupCustomDropdown(elements.regencyDropdown, elements.regencyTrigger, elements.regencyOptions);
+        setupCustomDropdown(elements.districtDropdown, elements.districtTrigger, elements.districtOptions);
+        setupDropdownSearch(elements.provinceDropdown, 'province', () => provincesData, renderProvinceOptions);
+        setupDropdownSearch(elements.regencyDropdown, 'regency', () => regenciesData, renderRegencyOptions);
+        setupDropdownSearch(elements.districtDropdown, 'district', () => districtsData, renderDistrictOptions);
+        setupCustomDropdown(elements.methodDropdown, elements.methodTrigger, elements.methodOptions);
+        setupCustomDropdown(elements.latitudeDropdown, elements.latitudeTrigger, elements.latitudeOptions);
+        setupLocationSearch();
+        setupCustomLocation();
 
         // GPS button
         document.getElementById('useGpsBtn')?.addEventListener('click', detectGPS);
@@ -992,9 +2578,10 @@
         // Start clock
         updateClock();
         setInterval(updateClock, 1000);
+        updateHeroDate();
 
         // Load saved location
-        const savedLoc = SaturaStorage.get('user_location');
+        const savedLoc = SaturaStorage.getLocation();
         if (savedLoc?.name) {
             updateLocationDisplay(savedLoc.name);
         }
@@ -1008,9 +2595,12 @@
 
         SaturaApp.on('onNextPrayerUpdate', updateCountdown);
 
+        SaturaApp.on('onClockSync', warnClockSkew);
+
         SaturaApp.on('onLocationChange', () => {
-            const loc = SaturaStorage.get('user_location');
+            const loc = SaturaStorage.getLocation();
             if (loc?.name) updateLocationDisplay(loc.name);
+            if (document.getElementById('page-kiblat')?.classList.contains('page--active')) renderQibla();
         });
 
         // Initialize app
@@ -1018,7 +2608,7 @@
             await SaturaApp.init();
 
             // Auto detect GPS if no location
-            const currentLoc = SaturaStorage.get('user_location');
+            const currentLoc = SaturaStorage.getLocation();
             if (!currentLoc) {
                 detectGPS();
             } else if (currentLoc.latitude && currentLoc.longitude) {
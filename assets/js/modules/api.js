@@ -126,6 +126,21 @@ const SaturaAPI = (function () {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Fall back to the local astronomy engine when every endpoint failed
+     * @param {Error} error - Error from fetchWithFallback
+     * @param {Function} calculation - Local calculation to run
+     * @returns {*} - Result of the local calculation
+     */
+    function calculateOffline(error, calculation) {
+        if (typeof SaturaAstronomy === 'undefined') {
+            throw error;
+        }
+
+        SaturaConfig.log('API unavailable, using local calculation:', error.message);
+        return calculation();
+    }
+
     // ===========================================
     // CORE API FUNCTIONS
     // ===========================================
@@ -203,20 +218,19 @@ const SaturaAPI = (function () {
         const lat = Number(latitude);
         const lng = Number(longitude);
 
-        const params = {
-            latitude: lat,
-            longitude: lng,
-            method: SaturaConfig.API.method,
-            // Format: DD-MM-YYYY
-            date: formatDateForAPI(targetDate)
-        };
+        // Method, Asr school, high-latitude rule and midnight mode from settings
+        const calculation = SaturaStorage.getCalculationSettings();
 
-        const response = await fetchWithFallback(
-            SaturaConfig.API.paths.timings + '/' + formatDateForAPI(targetDate),
-            { latitude: lat, longitude: lng, method: SaturaConfig.API.method }
-        );
+        try {
+            const response = await fetchWithFallback(
+                SaturaConfig.API.paths.timings + '/' + formatDateForAPI(targetDate),
+                { latitude: lat, longitude: lng, ...calculation }
+            );
 
-        return response.data;
+            return response.data;
+        } catch (error) {
+            return calculateOffline(error, () => SaturaAstronomy.calculate(lat, lng, targetDate, calculation));
+        }
     }
 
     /**
@@ -233,18 +247,24 @@ const SaturaAPI = (function () {
         const lat = Number(latitude);
         const lng = Number(longitude);
 
+        const calculation = SaturaStorage.getCalculationSettings();
+
         const params = {
             latitude: lat,
             longitude: lng,
-            method: SaturaConfig.API.method
+            ...calculation
         };
 
-        const response = await fetchWithFallback(
-            SaturaConfig.API.paths.timings + '/' + ts,
-            params
-        );
+        try {
+            const response = await fetchWithFallback(
+                SaturaConfig.API.paths.timings + '/' + ts,
+                params
+            );
 
-        return response.data;
+            return response.data;
+        } catch (error) {
+            return calculateOffline(error, () => SaturaAstronomy.calculate(lat, lng, new Date(ts * 1000), calculation));
+        }
     }
 
     /**
@@ -260,20 +280,18 @@ const SaturaAPI = (function () {
         const lat = Number(latitude);
         const lng = Number(longitude);
 
-        const params = {
-            latitude: lat,
-            longitude: lng,
-            method: SaturaConfig.API.method,
-            month: month,
-            year: year
-        };
+        const calculation = SaturaStorage.getCalculationSettings();
 
-        const response = await fetchWithFallback(
-            SaturaConfig.API.paths.calendar + '/' + year + '/' + month,
-            { latitude: lat, longitude: lng, method: SaturaConfig.API.method }
-        );
+        try {
+            const response = await fetchWithFallback(
+                SaturaConfig.API.paths.calendar + '/' + year + '/' + month,
+                { latitude: lat, longitude: lng, ...calculation }
+            );
 
-        return response.data;
+            return response.data;
+        } catch (error) {
+            return calculateOffline(error, () => SaturaAstronomy.calculateMonth(lat, lng, month, year, calculation));
+        }
     }
 
     /**
@@ -292,7 +310,7 @@ const SaturaAPI = (function () {
         const params = {
             latitude: lat,
             longitude: lng,
-            method: SaturaConfig.API.method
+            ...SaturaStorage.getCalculationSettings()
         };
 
         const response = await fetchWithFallback(
@@ -338,6 +356,82 @@ const SaturaAPI = (function () {
         return response.data;
     }
 
+    // ===========================================
+    // SERVER TIME API
+    // ===========================================
+
+    /**
+     * Fetch bypassing HTTP caches, noting when the request left and the response arrived
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object>} - { response, sentAt, receivedAt }
+     */
+    async function timedFetch(url, options = {}) {
+        const sentAt = Date.now();
+        const response = await fetchWithTimeout(url, { cache: 'no-store', ...options });
+        return { response, sentAt, receivedAt: Date.now() };
+    }
+
+    /**
+     * Read the server clock from Aladhan's currentTimestamp
+     * @param {string} zone - IANA time zone (required by the endpoint)
+     * @returns {Promise<Object>} - { serverTime (ms), sentAt, receivedAt, source: 'api' }
+     */
+    async function getServerTime(zone = SaturaConfig.LOCATION.defaultTimezone) {
+        const endpoints = SaturaConfig.API.endpoints;
+        const startIndex = getNextHealthyEndpoint();
+        let lastError = null;
+
+        for (let attempt = 0; attempt < Math.min(2, endpoints.length); attempt++) {
+            const endpointIndex = (startIndex + attempt) % endpoints.length;
+
+            try {
+                const url = buildUrl(endpoints[endpointIndex], SaturaConfig.API.paths.currentTimestamp, { zone });
+                const { response, sentAt, receivedAt } = await timedFetch(url);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const data = await response.json();
+                const seconds = Number(data.data);
+                if (data.code !== 200 || !Number.isFinite(seconds)) {
+                    throw new Error(`API Error: ${data.status || 'Invalid timestamp'}`);
+                }
+
+                markEndpointSuccess(endpointIndex);
+
+                // Whole seconds: the true time lies somewhere within that second
+                return { serverTime: seconds * 1000 + 500, sentAt, receivedAt, source: 'api' };
+            } catch (error) {
+                lastError = error;
+                SaturaConfig.log(`Server time failed for endpoint ${endpointIndex}: ${error.message}`);
+                markEndpointFailed(endpointIndex);
+            }
+        }
+
+        throw new Error(`Server time unavailable: ${lastError?.message || 'Unknown error'}`);
+    }
+
+    /**
+     * Read the web server's clock from the HTTP Date header.
+     * Same origin (cross-origin responses do not expose Date) and HEAD,
+     * which the Service Worker never answers from cache.
+     * @param {string} url - URL to probe (default: SaturaConfig.CLOCK.headerUrl)
+     * @returns {Promise<Object>} - { serverTime (ms), sentAt, receivedAt, source: 'header' }
+     */
+    async function getHeaderTime(url = SaturaConfig.CLOCK.headerUrl) {
+        const target = new URL(url, window.location.href).toString();
+        const { response, sentAt, receivedAt } = await timedFetch(target, { method: 'HEAD' });
+        const serverTime = Date.parse(response.headers?.get('Date') || '');
+
+        if (!Number.isFinite(serverTime)) {
+            throw new Error('Response has no Date header');
+        }
+
+        return { serverTime: serverTime + 500, sentAt, receivedAt, source: 'header' };
+    }
+
     // ===========================================
     // UTILITY FUNCTIONS
     // ===========================================
@@ -370,11 +464,12 @@ const SaturaAPI = (function () {
     /**
      * Calculate Imsak time from Fajr
      * @param {string} fajrTime - Fajr time in HH:MM format
+     * @param {number} offset - Minutes from Fajr (defaults to user's Imsak adjustment)
      * @returns {string} - Imsak time in HH:MM format
      */
-    function calculateImsak(fajrTime) {
+    function calculateImsak(fajrTime, offset = SaturaStorage.getPrayerAdjustments().imsak) {
         const fajrDate = parseTimeString(fajrTime);
-        fajrDate.setMinutes(fajrDate.getMinutes() + SaturaConfig.PRAYER.imsakOffset);
+        fajrDate.setMinutes(fajrDate.getMinutes() + offset);
 
         const hours = String(fajrDate.getHours()).padStart(2, '0');
         const minutes = String(fajrDate.getMinutes()).padStart(2, '0');
@@ -425,6 +520,10 @@ const SaturaAPI = (function () {
         gregorianToHijri,
         hijriToGregorian,
 
+        // Server Time
+        getServerTime,
+        getHeaderTime,
+
         // Utilities
         formatDateForAPI,
         parseTimeString,
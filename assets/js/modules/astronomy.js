@@ -0,0 +1,517 @@
+/**
+ * Satu Ramadhan - Astronomy Module
+ * Offline prayer times calculator based on solar position
+ * Produces the same {timings, date, meta} shape as the Aladhan API
+ */
+
+const SaturaAstronomy = (function () {
+    'use strict';
+
+    // Nama bulan & hari untuk objek tanggal (format Aladhan, bahasa Inggris)
+    const GREGORIAN_MONTHS = [
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // Nama metode lintang tinggi di meta respons Aladhan
+    const LATITUDE_ADJUSTMENT_NAMES = {
+        1: 'MIDDLE_OF_THE_NIGHT',
+        2: 'ONE_SEVENTH',
+        3: 'ANGLE_BASED'
+    };
+
+    // Perkiraan awal (jam) untuk iterasi perhitungan, sama seperti PrayTimes
+    const INITIAL_TIMES = {
+        fajr: 5,
+        sunrise: 6,
+        dhuhr: 12,
+        asr: 13,
+        sunset: 18,
+        isha: 18
+    };
+
+    // ===========================================
+    // MATH HELPERS (DEGREE BASED)
+    // ===========================================
+
+    function dtr(d) { return (d * Math.PI) / 180; }
+    function rtd(r) { return (r * 180) / Math.PI; }
+
+    function sin(d) { return Math.sin(dtr(d)); }
+    function cos(d) { return Math.cos(dtr(d)); }
+    function tan(d) { return Math.tan(dtr(d)); }
+
+    function arcsin(x) { return rtd(Math.asin(x)); }
+    function arccos(x) { return rtd(Math.acos(x)); }
+    function arccot(x) { return rtd(Math.atan(1 / x)); }
+    function arctan2(y, x) { return rtd(Math.atan2(y, x)); }
+
+    function fix(a, b) {
+        a = a - b * Math.floor(a / b);
+        return a < 0 ? a + b : a;
+    }
+
+    function fixAngle(a) { return fix(a, 360); }
+    function fixHour(a) { return fix(a, 24); }
+
+    /**
+     * Difference between two times in hours (wraps around midnight)
+     * @param {number} time1 - Start time (hours)
+     * @param {number} time2 - End time (hours)
+     * @returns {number}
+     */
+    function timeDiff(time1, time2) {
+        return fixHour(time2 - time1);
+    }
+
+    // ===========================================
+    // SOLAR POSITION
+    // ===========================================
+
+    /**
+     * Convert Gregorian date to Julian Day
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} - Julian Day
+     */
+    function julianDate(year, month, day) {
+        if (month <= 2) {
+            year -= 1;
+            month += 12;
+        }
+        const a = Math.floor(year / 100);
+        const b = 2 - a + Math.floor(a / 4);
+
+        return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+    }
+
+    /**
+     * Compute sun declination and equation of time
+     * Low-precision formulas from the U.S. Naval Observatory (~1 arcminute)
+     * @param {number} jd - Julian Day
+     * @returns {Object} - { declination (degrees), equation (hours) }
+     */
+    function sunPosition(jd) {
+        const d = jd - 2451545.0;
+        const g = fixAngle(357.529 + 0.98560028 * d);
+        const q = fixAngle(280.459 + 0.98564736 * d);
+        const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+
+        const e = 23.439 - 0.00000036 * d;
+
+        const ra = arctan2(cos(e) * sin(l), cos(l)) / 15;
+        const equation = q / 15 - fixHour(ra);
+        const declination = arcsin(sin(e) * sin(l));
+
+        return { declination, equation };
+    }
+
+    // ===========================================
+    // PRAYER TIME COMPONENTS
+    // ===========================================
+
+    /**
+     * Create a calculator bound to one day and location
+     * @param {number} jDate - Julian Day corrected for longitude
+     * @param {number} latitude - Latitude
+     * @returns {Object} - Component functions
+     */
+    function createDayCalculator(jDate, latitude) {
+        /**
+         * Local solar noon (hours, before timezone adjustment)
+         * @param {number} time - Day portion (0-1)
+         */
+        function midDay(time) {
+            const eqt = sunPosition(jDate + time).equation;
+            return fixHour(12 - eqt);
+        }
+
+        /**
+         * Time at which the sun reaches a given depression angle
+         * @param {number} angle - Angle below horizon (degrees)
+         * @param {number} time - Day portion (0-1)
+         * @param {boolean} ccw - True for before noon (morning)
+         */
+        function sunAngleTime(angle, time, ccw = false) {
+            const decl = sunPosition(jDate + time).declination;
+            const noon = midDay(time);
+            const t = arccos((-sin(angle) - sin(decl) * sin(latitude)) /
+                (cos(decl) * cos(latitude))) / 15;
+            return noon + (ccw ? -t : t);
+        }
+
+        /**
+         * Asr time for a given shadow factor
+         * @param {number} factor - 1 = Shafi'i, 2 = Hanafi
+         * @param {number} time - Day portion (0-1)
+         */
+        function asrTime(factor, time) {
+            const decl = sunPosition(jDate + time).declination;
+            const angle = -arccot(factor + tan(Math.abs(latitude - decl)));
+            return sunAngleTime(angle, time);
+        }
+
+        return { midDay, sunAngleTime, asrTime };
+    }
+
+    /**
+     * Portion of the night used by high-latitude rules
+     * @param {number} method - 1 = Middle of Night, 2 = One Seventh, 3 = Angle Based
+     * @param {number} angle - Twilight angle (degrees)
+     * @param {number} night - Night duration (hours)
+     * @returns {number} - Hours
+     */
+    function nightPortion(method, angle, night) {
+        let portion = 1 / 2;
+        if (method === 3) portion = angle / 60;
+        if (method === 2) portion = 1 / 7;
+        return portion * night;
+    }
+
+    /**
+     * Clamp a twilight time for high latitudes
+     * @param {number} time - Computed time (may be NaN)
+     * @param {number} base - Sunrise or sunset
+     * @param {number} angle - Twilight angle
+     * @param {number} night - Night duration
+     * @param {boolean} ccw - True for Fajr (before sunrise)
+     * @param {number} method - Latitude adjustment method
+     * @returns {number}
+     */
+    function adjustHighLatTime(time, base, angle, night, ccw, method) {
+        const portion = nightPortion(method, angle, night);
+        const diff = ccw ? timeDiff(time, base) : timeDiff(base, time);
+
+        if (isNaN(time) || diff > portion) {
+            return base + (ccw ? -portion : portion);
+        }
+        return time;
+    }
+
+    // ===========================================
+    // TIMEZONE
+    // ===========================================
+
+    /**
+     * Get UTC offset (hours) of an IANA timezone at a given instant
+     * Falls back to the device offset when Intl cannot resolve the zone
+     * @param {string} timeZone - IANA timezone (e.g. 'Asia/Jakarta')
+     * @param {Date} date - Instant to evaluate
+     * @returns {number} - Offset in hours
+     */
+    function getTimezoneOffset(timeZone, date = new Date()) {
+        if (!timeZone) {
+            return -date.getTimezoneOffset() / 60;
+        }
+
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+            const asUTC = Date.UTC(
+                Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+                Number(parts.hour) % 24, Number(parts.minute), Number(parts.second)
+            );
+            const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+            return Math.round((asUTC - wholeSeconds) / 60000) / 60;
+        } catch (e) {
+            return -date.getTimezoneOffset() / 60;
+        }
+    }
+
+    /**
+     * Resolve timezone for the active location
+     * Uses the province timezone table when a location is known
+     * @returns {string} - IANA timezone
+     */
+    function resolveTimezone() {
+        const location = typeof SaturaLocation !== 'undefined'
+            ? SaturaLocation.getCurrentLocation()
+            : null;
+        const provinceId = location?.province?.id || location?.regency?.province_id;
+
+        if (provinceId) {
+            return SaturaConfig.getTimezoneForProvince(provinceId);
+        }
+
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || SaturaConfig.LOCATION.defaultTimezone;
+        } catch (e) {
+            return SaturaConfig.LOCATION.defaultTimezone;
+        }
+    }
+
+    // ===========================================
+    // MAIN CALCULATION
+    // ===========================================
+
+    /**
+     * Build calculation parameters from options and config defaults
+     * Option names follow the Aladhan query parameters
+     * @param {Object} options - { method, school, latitudeAdjustmentMethod, midnightMode, elevation }
+     * @returns {Object} - Parameters
+     */
+    function buildParams(options = {}) {
+        const calc = SaturaConfig.CALCULATION;
+        const pick = (key) => (options[key] !== undefined && options[key] !== null
+            ? Number(options[key])
+            : calc.defaults[key]);
+
+        let methodId = options.method !== undefined && options.method !== null
+            ? Number(options.method)
+            : SaturaConfig.API.method;
+        if (!calc.methods[methodId]) {
+            methodId = SaturaConfig.API.method;
+        }
+        const method = calc.methods[methodId];
+
+        return {
+            methodId,
+            methodName: method.name,
+            fajr: method.params.fajr,
+            isha: method.params.isha,
+            ishaMinutes: method.params.ishaMinutes || 0,
+            maghrib: method.params.maghrib,
+            maghribMinutes: method.params.maghribMinutes || 0,
+            imsakMinutes: calc.imsakMinutes,
+            riseSetAngle: calc.riseSetAngle + 0.0347 * Math.sqrt(Math.max(0, Number(options.elevation) || 0)),
+            school: pick('school'),
+            latitudeAdjustmentMethod: pick('latitudeAdjustmentMethod'),
+            midnightMode: pick('midnightMode')
+        };
+    }
+
+    /**
+     * Compute raw prayer times (hours, local timezone) for a date
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @param {number} tzOffset - UTC offset in hours
+     * @param {Object} params - Calculation parameters
+     * @returns {Object} - Times in decimal hours
+     */
+    function computeTimes(latitude, longitude, year, month, day, tzOffset, params) {
+        const jDate = julianDate(year, month, day) - longitude / (15 * 24);
+        const calc = createDayCalculator(jDate, latitude);
+
+        // Convert initial guesses to day portion
+        const t = {};
+        Object.keys(INITIAL_TIMES).forEach(key => { t[key] = INITIAL_TIMES[key] / 24; });
+
+        const times = {
+            fajr: calc.sunAngleTime(params.fajr, t.fajr, true),
+            sunrise: calc.sunAngleTime(params.riseSetAngle, t.sunrise, true),
+            dhuhr: calc.midDay(t.dhuhr),
+            asr: calc.asrTime(params.school === 1 ? 2 : 1, t.asr),
+            sunset: calc.sunAngleTime(params.riseSetAngle, t.sunset),
+            maghrib: params.maghrib ? calc.sunAngleTime(params.maghrib, t.sunset) : NaN,
+            isha: params.isha ? calc.sunAngleTime(params.isha, t.isha) : NaN
+        };
+
+        // Shift from local solar time to timezone
+        Object.keys(times).forEach(key => {
+            times[key] += tzOffset - longitude / 15;
+        });
+
+        // High latitude adjustment (only for angle-based twilight)
+        if (params.latitudeAdjustmentMethod) {
+            const night = timeDiff(times.sunset, times.sunrise);
+            const method = params.latitudeAdjustmentMethod;
+
+            times.fajr = adjustHighLatTime(times.fajr, times.sunrise, params.fajr, night, true, method);
+            if (params.isha) {
+                times.isha = adjustHighLatTime(times.isha, times.sunset, params.isha, night, false, method);
+            }
+            if (params.maghrib) {
+                times.maghrib = adjustHighLatTime(times.maghrib, times.sunset, params.maghrib, night, false, method);
+            }
+        }
+
+        times.imsak = times.fajr - params.imsakMinutes / 60;
+        if (!params.maghrib) {
+            times.maghrib = times.sunset + params.maghribMinutes / 60;
+        }
+        if (!params.isha) {
+            times.isha = times.maghrib + params.ishaMinutes / 60;
+        }
+
+        times.midnight = params.midnightMode === 1
+            ? times.sunset + timeDiff(times.sunset, times.fajr) / 2
+            : times.sunset + timeDiff(times.sunset, times.sunrise) / 2;
+
+        return times;
+    }
+
+    /**
+     * Format decimal hours as HH:MM (rounded to nearest minute)
+     * @param {number} time - Decimal hours
+     * @returns {string}
+     */
+    function formatTime(time) {
+        if (isNaN(time)) return '-----';
+
+        const rounded = fixHour(time + 0.5 / 60);
+        const hours = Math.floor(rounded);
+        const minutes = Math.floor((rounded - hours) * 60);
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Build Aladhan-compatible date object
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {Object}
+     */
+    function buildDateInfo(year, month, day) {
+        const dd = String(day).padStart(2, '0');
+        const mm = String(month).padStart(2, '0');
+        const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+        return {
+            readable: `${dd} ${GREGORIAN_MONTHS[month - 1].slice(0, 3)} ${year}`,
+            timestamp: String(Math.floor(Date.UTC(year, month - 1, day) / 1000)),
+            gregorian: {
+                date: `${dd}-${mm}-${year}`,
+                format: 'DD-MM-YYYY',
+                day: dd,
+                weekday: { en: weekday },
+                month: { number: month, en: GREGORIAN_MONTHS[month - 1] },
+                year: String(year)
+            },
+            hijri: SaturaHijri.toAladhanFormat(new Date(year, month - 1, day))
+        };
+    }
+
+    /**
+     * Calculate prayer times for a date, in Aladhan response shape
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Date|string} date - Date (optional, defaults to today)
+     * @param {Object} options - { method, school, latitudeAdjustmentMethod, midnightMode, timezone, elevation }
+     * @returns {Object} - { timings, date, meta }
+     */
+    function calculate(latitude, longitude, date = null, options = {}) {
+        const target = date ? new Date(date) : new Date();
+        const year = target.getFullYear();
+        const month = target.getMonth() + 1;
+        const day = target.getDate();
+
+        const lat = Number(latitude);
+        const lng = Number(longitude);
+        const timezone = options.timezone || resolveTimezone();
+        const tzOffset = getTimezoneOffset(timezone, new Date(Date.UTC(year, month - 1, day, 12)));
+        const params = buildParams(options);
+
+        const times = computeTimes(lat, lng, year, month, day, tzOffset, params);
+
+        return {
+            timings: {
+                Fajr: formatTime(times.fajr),
+                Sunrise: formatTime(times.sunrise),
+                Dhuhr: formatTime(times.dhuhr),
+                Asr: formatTime(times.asr),
+                Sunset: formatTime(times.sunset),
+                Maghrib: formatTime(times.maghrib),
+                Isha: formatTime(times.isha),
+                Imsak: formatTime(times.imsak),
+                Midnight: formatTime(times.midnight)
+            },
+            date: buildDateInfo(year, month, day),
+            meta: {
+                latitude: lat,
+                longitude: lng,
+                timezone: timezone,
+                method: {
+                    id: params.methodId,
+                    name: params.methodName,
+                    params: { Fajr: params.fajr, Isha: params.isha || `${params.ishaMinutes} min` }
+                },
+                latitudeAdjustmentMethod: LATITUDE_ADJUSTMENT_NAMES[params.latitudeAdjustmentMethod] || 'NONE',
+                midnightMode: params.midnightMode === 1 ? 'JAFARI' : 'STANDARD',
+                school: params.school === 1 ? 'HANAFI' : 'STANDARD',
+                source: 'local'
+            }
+        };
+    }
+
+    /**
+     * Calculate prayer times for a whole Gregorian month
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {number} month - Month (1-12)
+     * @param {number} year - Year
+     * @param {Object} options - Same as calculate()
+     * @returns {Array} - Array of daily results
+     */
+    function calculateMonth(latitude, longitude, month, year, options = {}) {
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const results = [];
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            results.push(calculate(latitude, longitude, new Date(year, month - 1, day), options));
+        }
+
+        return results;
+    }
+
+    /**
+     * Minutes by which an observer's elevation brings sunrise earlier and
+     * sunset later: the horizon dips 0.0347 * sqrt(h) degrees (as in
+     * buildParams), divided by how fast the sun's altitude changes there
+     * @param {number} latitude - Latitude
+     * @param {Date} date - Date
+     * @param {number} elevation - Meters above the surrounding terrain
+     * @returns {number} - Minutes (0 for no elevation or no sunrise/sunset)
+     */
+    function getElevationCorrection(latitude, date, elevation) {
+        const height = Math.max(0, Number(elevation) || 0);
+        if (height === 0) return 0;
+
+        const jd = julianDate(date.getFullYear(), date.getMonth() + 1, date.getDate()) + 0.5;
+        const { declination } = sunPosition(jd);
+        const altitude = -SaturaConfig.CALCULATION.riseSetAngle;
+
+        const cosH = (sin(altitude) - sin(latitude) * sin(declination)) / (cos(latitude) * cos(declination));
+        if (Math.abs(cosH) >= 1) return 0;
+
+        const dip = 0.0347 * Math.sqrt(height);
+        const rate = cos(latitude) * cos(declination) * Math.sqrt(1 - cosH * cosH);
+        return (dip / rate / 15) * 60;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Prayer Times
+        calculate,
+        calculateMonth,
+        getElevationCorrection,
+
+        // Astronomy
+        julianDate,
+        sunPosition,
+
+        // Utility
+        getTimezoneOffset,
+        resolveTimezone,
+        formatTime
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaAstronomy;
+}
@@ -0,0 +1,407 @@
+/**
+ * Satu Ramadhan - Backup Module
+ * Export/import of the settings document as a checksum-signed file,
+ * plus a compact share link (and QR code) for moving to another device
+ */
+
+const SaturaBackup = (function () {
+    'use strict';
+
+    // ===========================================
+    // ENCODING HELPERS
+    // ===========================================
+
+    /**
+     * Serialize with sorted object keys so the checksum is stable
+     * @param {*} value - Any JSON value
+     * @returns {string}
+     */
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalJSON).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * SHA-256 hex digest of a string
+     * @param {string} text - Input
+     * @returns {Promise<string>}
+     */
+    async function sha256(text) {
+        if (!globalThis.crypto?.subtle) {
+            throw new Error('Browser tidak mendukung verifikasi checksum');
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Encode a UTF-8 string as base64url
+     * @param {string} text - Input
+     * @returns {string}
+     */
+    function toBase64Url(text) {
+        const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode base64url into a UTF-8 string
+     * @param {string} encoded - base64url input
+     * @returns {string}
+     */
+    function fromBase64Url(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    // ===========================================
+    // VALIDATION
+    // ===========================================
+
+    /**
+     * Validate incoming settings and describe anything that was replaced
+     * @param {Object} values - Raw settings from a backup
+     * @param {number} schemaVersion - Schema version the backup was made with
+     * @returns {Object} - { settings, warnings }
+     */
+    function validateIncoming(values, schemaVersion) {
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error('Isi cadangan tidak berisi pengaturan');
+        }
+
+        const { version, schema, labels } = SaturaConfig.SETTINGS;
+        const settings = SaturaStorage.validateSettings(values);
+        const warnings = [];
+
+        if (schemaVersion > version) {
+            warnings.push('Cadangan dibuat oleh versi aplikasi yang lebih baru; pengaturan yang tidak dikenal diabaikan.');
+        }
+
+        Object.keys(schema).forEach(key => {
+            if (values[key] !== undefined && canonicalJSON(values[key]) !== canonicalJSON(settings[key])) {
+                warnings.push(`${labels[key] || key} tidak valid, memakai nilai default.`);
+            }
+        });
+
+        return { settings, warnings };
+    }
+
+    // ===========================================
+    // FILE BACKUP
+    // ===========================================
+
+    /**
+     * Build a signed backup of the current settings document
+     * @returns {Promise<Object>} - Backup object
+     */
+    async function createBackup() {
+        const backup = {
+            format: SaturaConfig.BACKUP.format,
+            version: SaturaConfig.BACKUP.version,
+            schemaVersion: SaturaConfig.SETTINGS.version,
+            app: SaturaConfig.APP.version,
+            createdAt: new Date().toISOString(),
+            settings: SaturaStorage.getSettings()
+        };
+
+        backup.checksum = await sha256(canonicalJSON(backup));
+        return backup;
+    }
+
+    /**
+     * Download the current settings as a JSON file
+     * @returns {Promise<string>} - File name
+     */
+    async function exportFile() {
+        const backup = await createBackup();
+        const fileName = `satu-ramadhan-${backup.createdAt.slice(0, 10)}.json`;
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        SaturaConfig.log('Backup exported:', fileName);
+        return fileName;
+    }
+
+    /**
+     * Parse and verify a backup file's contents
+     * @param {string} text - File contents
+     * @returns {Promise<Object>} - { settings, warnings, createdAt, changes }
+     */
+    async function parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File bukan JSON yang valid');
+        }
+
+        if (backup?.format !== SaturaConfig.BACKUP.format) {
+            throw new Error('File ini bukan cadangan Satu Ramadhan');
+        }
+        if (Number(backup.version) > SaturaConfig.BACKUP.version) {
+            throw new Error('Format cadangan lebih baru dari aplikasi ini. Perbarui aplikasi terlebih dahulu.');
+        }
+
+        const { checksum, ...signed } = backup;
+        if (!checksum || checksum !== await sha256(canonicalJSON(signed))) {
+            throw new Error('Checksum tidak cocok, file cadangan rusak atau telah diubah');
+        }
+
+        const { settings, warnings } = validateIncoming(backup.settings, Number(backup.schemaVersion) || 1);
+
+        return {
+            settings,
+            warnings,
+            createdAt: backup.createdAt || null,
+            changes: diffSettings(SaturaStorage.getSettings(), settings)
+        };
+    }
+
+    /**
+     * Read and verify a backup from a File input
+     * @param {File} file - Selected file
+     * @returns {Promise<Object>} - See parseBackup
+     */
+    async function readFile(file) {
+        if (!file) {
+            throw new Error('Tidak ada file yang dipilih');
+        }
+        return parseBackup(await file.text());
+    }
+
+    // ===========================================
+    // SHARE LINK
+    // ===========================================
+
+    /**
+     * Build a share link carrying the current settings
+     * @returns {Promise<string>} - URL with #impor=<payload>
+     */
+    async function getShareUrl() {
+        const current = SaturaStorage.getSettings();
+        const defaults = SaturaStorage.validateSettings({});
+        const settings = {};
+
+        // Only non-default values travel; the receiver fills in defaults
+        Object.keys(current)
+            .filter(key => !SaturaConfig.BACKUP.shareExclude.includes(key))
+            .filter(key => canonicalJSON(current[key]) !== canonicalJSON(defaults[key]))
+            .forEach(key => { settings[key] = current[key]; });
+
+        if (settings.location) {
+            const { name, latitude, longitude, elevation, regencyId, provinceId } = settings.location;
+            settings.location = { name, latitude, longitude, elevation, regencyId, provinceId, source: 'manual' };
+        }
+
+        // Short keys keep the QR code small; 16 hex chars of SHA-256 catch typos/truncation
+        const payload = { v: SaturaConfig.SETTINGS.version, s: settings };
+        payload.c = (await sha256(canonicalJSON(payload))).slice(0, 16);
+
+        const { origin, pathname } = window.location;
+        return `${origin}${pathname}#${SaturaConfig.BACKUP.shareParam}=${toBase64Url(JSON.stringify(payload))}`;
+    }
+
+    /**
+     * Render the share link as an SVG QR code
+     * @param {string} url - Share URL
+     * @returns {string} - SVG markup
+     */
+    function getShareQR(url) {
+        return SaturaQRCode.toSVG(url, {
+            level: SaturaConfig.BACKUP.qrLevel,
+            label: 'QR code tautan pengaturan'
+        });
+    }
+
+    /**
+     * Extract the share payload from a URL hash
+     * @param {string} hash - e.g. window.location.hash
+     * @returns {string|null} - Encoded payload
+     */
+    function getSharePayload(hash = window.location.hash) {
+        const prefix = `#${SaturaConfig.BACKUP.shareParam}=`;
+        return hash && hash.startsWith(prefix) ? hash.slice(prefix.length) : null;
+    }
+
+    /**
+     * Decode and verify a share payload
+     * @param {string} encoded - base64url payload
+     * @returns {Promise<Object>} - { settings, warnings, changes }
+     */
+    async function parseSharePayload(encoded) {
+        let payload;
+        try {
+            payload = JSON.parse(fromBase64Url(encoded));
+        } catch (e) {
+            throw new Error('Tautan pengaturan tidak valid');
+        }
+
+        const { c: checksum, ...signed } = payload || {};
+        if (!checksum || checksum !== (await sha256(canonicalJSON(signed))).slice(0, 16)) {
+            throw new Error('Tautan pengaturan rusak atau terpotong');
+        }
+
+        // Device-specific settings stay as they are on this device
+        const current = SaturaStorage.getSettings();
+        const incoming = { ...SaturaStorage.validateSettings({}), ...payload.s };
+        SaturaConfig.BACKUP.shareExclude.forEach(key => { incoming[key] = current[key]; });
+
+        const { settings, warnings } = validateIncoming(incoming, Number(payload.v) || 1);
+
+        return {
+            settings,
+            warnings,
+            createdAt: null,
+            changes: diffSettings(current, settings)
+        };
+    }
+
+    // ===========================================
+    // DIFF & APPLY
+    // ===========================================
+
+    /**
+     * Human-readable value for the diff preview
+     * @param {string} key - Setting key
+     * @param {*} value - Setting value
+     * @returns {string}
+     */
+    function formatValue(key, value) {
+        const calc = SaturaConfig.CALCULATION;
+        const names = SaturaConfig.PRAYER.names;
+
+        if (value === null || value === undefined) return '-';
+
+        switch (key) {
+            case 'organization':
+                return value === 'nu' ? 'Nahdlatul Ulama' : 'Muhammadiyah';
+            case 'calculationMethod':
+                return calc.methods[value]?.name || String(value);
+            case 'asrSchool':
+                return calc.schools[value] || String(value);
+            case 'latitudeAdjustment':
+                return calc.latitudeAdjustments[value] || String(value);
+            case 'midnightMode':
+                return calc.midnightModes[value] || String(value);
+            case 'hijriMethod':
+                return SaturaConfig.HIJRI.methods[value] || String(value);
+            case 'hijriAdjustment':
+                return `${value > 0 ? '+' : ''}${value} hari`;
+            case 'notifications':
+            case 'compareLocations':
+                return value ? 'Ya' : 'Tidak';
+            case 'location':
+                return value.name || `${Number(value.latitude).toFixed(4)}, ${Number(value.longitude).toFixed(4)}`;
+            case 'fastingLog':
+                return `${Object.keys(value).length} hari`;
+            case 'qadhaLedger': {
+                const missed = Object.values(value.ramadhan || {})
+                    .reduce((total, days) => total + Object.values(days).filter(status => status !== 'puasa').length, 0) +
+                    Object.values(value.manual || {}).reduce((total, count) => total + Number(count), 0);
+                return `${missed} hari tidak puasa, ${(value.paid || []).length} hari diqadha`;
+            }
+            case 'savedLocations':
+                return value.map(place => place.label).join(', ') || '-';
+            case 'prayerAdjustments':
+                return Object.entries(value)
+                    .filter(([name, minutes]) => minutes !== SaturaConfig.PRAYER.adjustments[name])
+                    .map(([name, minutes]) => `${names[name] || name} ${minutes > 0 ? '+' : ''}${minutes}`)
+                    .join(', ') || 'Default';
+            case 'reminders':
+                return Object.entries(value)
+                    .filter(([, reminder]) => reminder?.enabled)
+                    .map(([name, reminder]) => reminder.lead ? `${names[name] || name} (-${reminder.lead}m)` : names[name] || name)
+                    .join(', ') || 'Default';
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    /**
+     * Comparable form of a setting (location metadata is ignored)
+     * @param {string} key - Setting key
+     * @param {*} value - Setting value
+     * @returns {string}
+     */
+    function compareValue(key, value) {
+        if (key === 'location' && value) {
+            const { name, latitude, longitude, elevation, regencyId } = value;
+            return canonicalJSON({ name, latitude, longitude, elevation: elevation || 0, regencyId });
+        }
+        return canonicalJSON(value ?? null);
+    }
+
+    /**
+     * List settings that differ between two documents
+     * @param {Object} current - Settings on this device
+     * @param {Object} incoming - Settings to import
+     * @returns {Array} - [{ key, label, from, to }]
+     */
+    function diffSettings(current, incoming) {
+        const labels = SaturaConfig.SETTINGS.labels;
+
+        return Object.keys(SaturaConfig.SETTINGS.schema)
+            .filter(key => compareValue(key, current[key]) !== compareValue(key, incoming[key]))
+            .map(key => ({
+                key,
+                label: labels[key] || key,
+                from: formatValue(key, current[key]),
+                to: formatValue(key, incoming[key])
+            }));
+    }
+
+    /**
+     * Replace the settings document with verified settings
+     * @param {Object} settings - Settings from parseBackup/parseSharePayload
+     */
+    function applyBackup(settings) {
+        SaturaStorage.saveSettings(settings);
+        SaturaConfig.log('Backup applied');
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // File backup
+        createBackup,
+        exportFile,
+        parseBackup,
+        readFile,
+
+        // Share link
+        getShareUrl,
+        getShareQR,
+        getSharePayload,
+        parseSharePayload,
+
+        // Diff & apply
+        diffSettings,
+        applyBackup
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaBackup;
+}
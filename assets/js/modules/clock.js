@@ -0,0 +1,141 @@
+/**
+ * Satu Ramadhan - Clock Module
+ * Measures how far the device clock is off from server time and
+ * provides a corrected "now" for the header clock, countdowns and reminders
+ */
+
+const SaturaClock = (function () {
+    'use strict';
+
+    // Last measurement: { offset (server - device, ms), source, roundTrip, syncedAt }
+    let state = null;
+    let syncing = null;
+
+    // ===========================================
+    // STATE
+    // ===========================================
+
+    /**
+     * Restore the last measurement (the skew of a device clock barely changes between visits)
+     * @returns {Object|null}
+     */
+    function restore() {
+        if (!state) {
+            state = SaturaStorage.get(SaturaConfig.CACHE.keys.clockOffset, null);
+        }
+        return state;
+    }
+
+    /**
+     * Server time minus device time
+     * @returns {number} - Milliseconds (0 when never measured)
+     */
+    function getOffset() {
+        return restore()?.offset || 0;
+    }
+
+    /**
+     * Current time, corrected for the device clock skew
+     * @returns {Date}
+     */
+    function now() {
+        return new Date(Date.now() + getOffset());
+    }
+
+    /**
+     * Convert a true instant to the device clock (for timers and triggers
+     * that the browser fires against Date.now())
+     * @param {number} timestamp - Epoch milliseconds (server time)
+     * @returns {number} - Epoch milliseconds (device time)
+     */
+    function toDeviceTime(timestamp) {
+        return timestamp - getOffset();
+    }
+
+    // ===========================================
+    // SYNC
+    // ===========================================
+
+    /**
+     * Take one clock sample: Aladhan currentTimestamp, HTTP Date header as fallback
+     * @returns {Promise<Object>} - { serverTime, sentAt, receivedAt, source }
+     */
+    async function sample() {
+        const zone = typeof SaturaPrayer !== 'undefined'
+            ? SaturaPrayer.getTimezone()
+            : SaturaConfig.LOCATION.defaultTimezone;
+
+        try {
+            return await SaturaAPI.getServerTime(zone);
+        } catch (error) {
+            SaturaConfig.log('Clock: API unavailable, trying Date header:', error.message);
+            return await SaturaAPI.getHeaderTime();
+        }
+    }
+
+    /**
+     * Measure and store the device clock offset.
+     * Assumes the server read its clock halfway through the round trip.
+     * @returns {Promise<Object>} - Status (see getStatus)
+     */
+    async function sync() {
+        if (syncing) return syncing;
+
+        syncing = (async () => {
+            const { serverTime, sentAt, receivedAt, source } = await sample();
+            const roundTrip = receivedAt - sentAt;
+
+            if (roundTrip > SaturaConfig.CLOCK.maxRoundTrip) {
+                throw new Error(`Clock sample too slow (${roundTrip} ms)`);
+            }
+
+            const measured = Math.round(serverTime - (sentAt + receivedAt) / 2);
+            const offset = Math.abs(measured) < SaturaConfig.CLOCK.ignoreBelow ? 0 : measured;
+
+            state = { offset, source, roundTrip, syncedAt: Date.now() };
+            SaturaStorage.set(SaturaConfig.CACHE.keys.clockOffset, state, SaturaConfig.CACHE.duration.clockOffset);
+
+            SaturaConfig.log(`Clock offset ${offset} ms (${source}, round trip ${roundTrip} ms)`);
+            return getStatus();
+        })();
+
+        try {
+            return await syncing;
+        } finally {
+            syncing = null;
+        }
+    }
+
+    /**
+     * Clock status
+     * @returns {Object} - { offset, source, syncedAt, isSynced, isSkewed }
+     */
+    function getStatus() {
+        const current = restore();
+        const offset = current?.offset || 0;
+
+        return {
+            offset,
+            source: current?.source || null,
+            syncedAt: current?.syncedAt || null,
+            isSynced: Boolean(current),
+            isSkewed: Math.abs(offset) > SaturaConfig.CLOCK.warnThreshold
+        };
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        now,
+        getOffset,
+        toDeviceTime,
+        sync,
+        getStatus
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaClock;
+}
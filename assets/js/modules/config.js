@@ -45,13 +45,42 @@ const SaturaConfig = (function () {
         }
     };
 
+    // ===========================================
+    // CLOCK SYNC CONFIGURATION
+    // ===========================================
+    const CLOCK = {
+        // Ukur ulang selisih jam perangkat terhadap server (milliseconds)
+        syncInterval: 6 * 60 * 60 * 1000,
+
+        // Sampel dengan waktu tempuh lebih lama dari ini diabaikan (kurang akurat)
+        maxRoundTrip: 5000,
+
+        // Selisih di bawah ini dianggap nol (resolusi server 1 detik)
+        ignoreBelow: 1000,
+
+        // Peringatkan pengguna bila jam perangkat selisih lebih dari ini
+        warnThreshold: 60 * 1000,
+
+        // Sumber cadangan header HTTP `Date` (same-origin, tidak dilayani Service Worker)
+        headerUrl: './'
+    };
+
     // ===========================================
     // PRAYER TIME CONFIGURATION
     // ===========================================
     const PRAYER = {
-        // Offset waktu imsak dari Subuh (dalam menit)
-        // Negatif berarti sebelum Subuh
-        imsakOffset: -10,
+        // Penyesuaian waktu default (ihtiyath, dalam menit), dapat diubah di Pengaturan
+        // imsak adalah offset dari Subuh (negatif berarti sebelum Subuh),
+        // lainnya menggeser hasil perhitungan (positif berarti lebih lambat)
+        adjustments: {
+            imsak: -10,
+            fajr: 0,
+            sunrise: 0,
+            dhuhr: 0,
+            asr: 0,
+            maghrib: 0,
+            isha: 0
+        },
 
         // Nama waktu sholat untuk display (Bahasa Indonesia)
         names: {
@@ -89,6 +118,396 @@ const SaturaConfig = (function () {
         ramadhanImportant: ['imsak', 'fajr', 'maghrib']
     };
 
+    // ===========================================
+    // LOCAL CALCULATION CONFIGURATION
+    // ===========================================
+    const CALCULATION = {
+        // Parameter metode, mengikuti definisi Aladhan (ID = parameter `method`)
+        // fajr/isha/maghrib dalam derajat depresi matahari,
+        // ishaMinutes/maghribMinutes dalam menit setelah Maghrib/terbenam
+        methods: {
+            20: { name: 'Kementerian Agama Republik Indonesia', params: { fajr: 20, isha: 18 } },
+            17: { name: 'JAKIM (Malaysia)', params: { fajr: 20, isha: 18 } },
+            11: { name: 'MUIS (Singapura)', params: { fajr: 20, isha: 18 } },
+            3: { name: 'Muslim World League', params: { fajr: 18, isha: 17 } },
+            2: { name: 'ISNA (Amerika Utara)', params: { fajr: 15, isha: 15 } },
+            4: { name: 'Umm Al-Qura (Makkah)', params: { fajr: 18.5, ishaMinutes: 90 } },
+            5: { name: 'Egyptian General Authority of Survey', params: { fajr: 19.5, isha: 17.5 } },
+            1: { name: 'University of Islamic Sciences, Karachi', params: { fajr: 18, isha: 18 } },
+            8: { name: 'Gulf Region', params: { fajr: 19.5, ishaMinutes: 90 } },
+            9: { name: 'Kuwait', params: { fajr: 18, isha: 17.5 } },
+            10: { name: 'Qatar', params: { fajr: 18, ishaMinutes: 90 } },
+            16: { name: 'Dubai', params: { fajr: 18.2, isha: 18.2 } },
+            23: { name: 'Kementerian Wakaf (Yordania)', params: { fajr: 18, isha: 18, maghribMinutes: 5 } },
+            13: { name: 'Diyanet İşleri Başkanlığı (Turki)', params: { fajr: 18, isha: 17 } },
+            12: { name: 'Union Organization Islamic de France', params: { fajr: 12, isha: 12 } },
+            14: { name: 'Spiritual Administration of Muslims of Russia', params: { fajr: 16, isha: 15 } },
+            15: { name: 'Moonsighting Committee Worldwide', params: { fajr: 18, isha: 18 } },
+            18: { name: 'Tunisia', params: { fajr: 18, isha: 18 } },
+            19: { name: 'Algeria', params: { fajr: 18, isha: 17 } },
+            21: { name: 'Morocco', params: { fajr: 19, isha: 17 } },
+            22: { name: 'Comunidade Islamica de Lisboa', params: { fajr: 18, ishaMinutes: 77, maghribMinutes: 3 } },
+            7: { name: 'Institute of Geophysics, University of Tehran', params: { fajr: 17.7, isha: 14, maghrib: 4.5 } },
+            0: { name: 'Shia Ithna-Ashari (Jafari)', params: { fajr: 16, isha: 14, maghrib: 4 } }
+        },
+
+        // Mazhab Ashar (parameter `school` Aladhan)
+        schools: {
+            0: 'Syafi\'i, Maliki, Hanbali',
+            1: 'Hanafi'
+        },
+
+        // Aturan lintang tinggi (parameter `latitudeAdjustmentMethod` Aladhan)
+        latitudeAdjustments: {
+            1: 'Tengah Malam',
+            2: 'Sepertujuh Malam',
+            3: 'Berbasis Sudut'
+        },
+
+        // Mode tengah malam (parameter `midnightMode` Aladhan)
+        midnightModes: {
+            0: 'Standar (Terbenam - Terbit)',
+            1: 'Jafari (Terbenam - Subuh)'
+        },
+
+        // Nilai default, sama dengan default Aladhan
+        defaults: {
+            school: 0,
+            latitudeAdjustmentMethod: 3,
+            midnightMode: 0
+        },
+
+        // Imsak = Subuh - 10 menit (default Aladhan)
+        imsakMinutes: 10,
+
+        // Sudut terbit/terbenam (refraksi + semi-diameter matahari)
+        riseSetAngle: 0.833
+    };
+
+    // ===========================================
+    // NOTIFICATION CONFIGURATION
+    // ===========================================
+    const NOTIFICATION = {
+        // Pengingat default per waktu (lead = menit sebelum waktu tiba)
+        // Imsak dengan lead 30 menit berfungsi sebagai alarm bangun sahur
+        reminders: {
+            imsak: { enabled: true, lead: 30 },
+            fajr: { enabled: true, lead: 0 },
+            dhuhr: { enabled: true, lead: 0 },
+            asr: { enabled: true, lead: 0 },
+            maghrib: { enabled: true, lead: 0 },
+            isha: { enabled: true, lead: 0 }
+        },
+
+        // Batas lead time yang dapat dipilih (menit)
+        maxLead: 120,
+        leadStep: 5,
+
+        // Pesan tambahan per waktu selama Ramadhan
+        messages: {
+            imsak: 'Segera selesaikan sahur Anda.',
+            maghrib: 'Selamat berbuka puasa.'
+        },
+
+        // Notifikasi yang terlambat (tab ditangguhkan atau SW sempat tidur) masih ditampilkan dalam batas ini
+        graceMinutes: 10,
+
+        // Jadwal yang dipasang pengingatnya (hari ini + besok)
+        days: 2
+    };
+
+    // ===========================================
+    // HIJRI CALENDAR CONFIGURATION
+    // ===========================================
+    const HIJRI = {
+        // Nama bulan Hijriah
+        months: [
+            'Muharram',
+            'Safar',
+            'Rabiul Awal',
+            'Rabiul Akhir',
+            'Jumadil Awal',
+            'Jumadil Akhir',
+            'Rajab',
+            'Sya\'ban',
+            'Ramadhan',
+            'Syawal',
+            'Dzulqa\'dah',
+            'Dzulhijjah'
+        ],
+
+        // Nama hari dalam bahasa Arab
+        days: {
+            'Sunday': 'Ahad',
+            'Monday': 'Senin',
+            'Tuesday': 'Selasa',
+            'Wednesday': 'Rabu',
+            'Thursday': 'Kamis',
+            'Friday': 'Jumat',
+            'Saturday': 'Sabtu'
+        },
+
+        // Bulan Ramadhan (index 0-based = 8, 1-based = 9)
+        ramadhanMonth: 9,
+
+        // Metode konversi lokal (lihat SaturaHijri)
+        // Umm al-Qura memakai tabel 1400-1500 H, di luar itu kembali ke tabular
+        methods: {
+            ummalqura: 'Umm al-Qura',
+            tabular: 'Tabular (aritmetika)'
+        },
+
+        // Koreksi hari yang dapat dipilih pengguna
+        adjustments: [-2, -1, 0, 1, 2]
+    };
+
+    // ===========================================
+    // HISAB (MOON VISIBILITY) CONFIGURATION
+    // ===========================================
+    const HISAB = {
+        // Kriteria awal bulan, dievaluasi saat matahari terbenam di lokasi pengguna,
+        // atau di titik-titik nasional bila kriteria ditandai `national`
+        // Tinggi = toposentrik tanpa refraksi; elongasi = geosentrik
+        criteria: {
+            wujudulHilal: {
+                name: 'Wujudul Hilal',
+                description: 'Ijtimak sebelum maghrib dan piringan atas bulan di atas ufuk',
+                minAltitude: 0,
+                upperLimb: true
+            },
+            mabims: {
+                name: 'MABIMS',
+                description: 'Tinggi hilal minimal 3° dan elongasi minimal 6,4°',
+                minAltitude: 3,
+                minElongation: 6.4,
+                national: true
+            }
+        },
+
+        // Titik ujung wilayah Indonesia untuk kriteria `national`: seperti Kemenag
+        // (wilayatul hukmi), awal bulan berlaku bila kriteria terpenuhi di salah satunya
+        nationalPoints: [
+            { name: 'Pulau Benggala', latitude: 5.80, longitude: 94.97, timezone: 'Asia/Jakarta' },
+            { name: 'Pulau Rondo', latitude: 6.08, longitude: 95.11, timezone: 'Asia/Jakarta' },
+            { name: 'Pulau Miangas', latitude: 5.56, longitude: 126.58, timezone: 'Asia/Makassar' },
+            { name: 'Pulau Ndana', latitude: -11.01, longitude: 122.87, timezone: 'Asia/Makassar' },
+            { name: 'Sota, Merauke', latitude: -8.43, longitude: 141.02, timezone: 'Asia/Jayapura' }
+        ],
+
+        // Kriteria yang dipakai tiap organisasi
+        organizations: {
+            muhammadiyah: 'wujudulHilal',
+            nu: 'mabims'
+        }
+    };
+
+    // ===========================================
+    // ISLAMIC EVENTS CONFIGURATION
+    // ===========================================
+    const EVENTS = {
+        // Acara tahunan berdasarkan bulan & tanggal Hijriah
+        annual: [
+            { id: 'tasua', name: 'Tasu\'a', month: 1, day: 9, type: 'puasa', description: 'Puasa sunnah 9 Muharram' },
+            { id: 'asyura', name: 'Asyura', month: 1, day: 10, type: 'puasa', description: 'Puasa sunnah 10 Muharram' },
+            { id: 'nisfuSyaban', name: 'Nisfu Sya\'ban', month: 8, day: 15, type: 'malam', description: 'Pertengahan bulan Sya\'ban' },
+            { id: 'ramadhan', name: 'Awal Ramadhan', month: 9, day: 1, type: 'puasa', description: 'Hari pertama puasa Ramadhan' },
+            { id: 'idulFitri', name: 'Idul Fitri', month: 10, day: 1, type: 'hari-raya', description: '1 Syawal' },
+            { id: 'arafah', name: 'Hari Arafah', month: 12, day: 9, type: 'puasa', description: 'Puasa sunnah 9 Dzulhijjah' },
+            { id: 'idulAdha', name: 'Idul Adha', month: 12, day: 10, type: 'hari-raya', description: '10 Dzulhijjah' }
+        ],
+
+        // Puasa ayyamul bidh (13-15 tiap bulan, kecuali Ramadhan)
+        // 13 Dzulhijjah adalah hari tasyrik, sehingga digeser ke 14-16
+        ayyamulBidh: {
+            name: 'Ayyamul Bidh',
+            type: 'puasa',
+            days: [13, 14, 15],
+            exceptions: { 12: [14, 15, 16] },
+            skipMonths: [9],
+            // Cukup tampilkan beberapa bulan berikutnya agar daftar tidak penuh
+            occurrences: 2
+        },
+
+        // Label jenis acara
+        types: {
+            'puasa': 'Puasa',
+            'hari-raya': 'Hari Raya',
+            'malam': 'Malam Istimewa'
+        },
+
+        // Rentang acara tahunan yang ditampilkan (bulan Hijriah ke depan)
+        monthsAhead: 12
+    };
+
+    // ===========================================
+    // SUNNAH FASTING CONFIGURATION
+    // ===========================================
+    // Arafah, Tasu'a, Asyura & ayyamul bidh mengikuti EVENTS
+    const FASTING = {
+        // Puasa Senin & Kamis (Date.getDay())
+        weekly: { id: 'seninKamis', name: 'Senin-Kamis', days: [1, 4] },
+
+        // Enam hari Syawal, boleh dimulai sejak 2 Syawal
+        syawal: { id: 'syawal', name: 'Enam Hari Syawal', month: 10, fromDay: 2, target: 6 },
+
+        // Hari diharamkan berpuasa (bulan: [tanggal]): Idul Fitri, Idul Adha, hari tasyrik
+        forbidden: { 10: [1], 12: [10, 11, 12, 13] }
+    };
+
+    // ===========================================
+    // QADHA (MISSED FASTS) CONFIGURATION
+    // ===========================================
+    const QADHA = {
+        // Alasan tidak berpuasa: wajib qadha dan/atau fidyah
+        reasons: {
+            sakit: { name: 'Sakit', qadha: true, fidyah: false },
+            safar: { name: 'Safar (bepergian)', qadha: true, fidyah: false },
+            haid: { name: 'Haid / nifas', qadha: true, fidyah: false },
+            // Pendapat Syafi'i: bila khawatir pada anak, qadha sekaligus fidyah
+            hamil: { name: 'Hamil / menyusui', qadha: true, fidyah: true },
+            lansia: { name: 'Lanjut usia / sakit menahun', qadha: false, fidyah: true },
+            lainnya: { name: 'Lainnya', qadha: true, fidyah: false }
+        },
+
+        // Fidyah: 1 mud makanan pokok per hari; nominal mengikuti acuan BAZNAS (sesuaikan daerah)
+        fidyah: {
+            perDay: 60000,
+            mudKg: 0.675
+        },
+
+        // Pengingat sisa qadha saat Rajab & Sya'ban (menjelang Ramadhan)
+        reminderMonths: [7, 8],
+
+        // Tahun Hijriah ke belakang yang bisa diisi manual
+        manualYears: 5
+    };
+
+    // ===========================================
+    // SETTINGS SCHEMA
+    // ===========================================
+    const SETTINGS = {
+        // Versi dokumen pengaturan; naikkan bersama migrasi baru di SaturaStorage
+        version: 2,
+
+        // Skema: tipe, nilai default, dan (opsional) daftar nilai yang diizinkan
+        schema: {
+            theme: { type: 'string', default: 'auto', enum: ['auto', 'light', 'dark'] },
+            language: { type: 'string', default: 'id', enum: ['id'] },
+            organization: { type: 'string', default: 'nu', enum: ['nu', 'muhammadiyah'] },
+            calculationMethod: {
+                type: 'number',
+                default: API.method,
+                enum: Object.keys(CALCULATION.methods).map(Number)
+            },
+            asrSchool: {
+                type: 'number',
+                default: CALCULATION.defaults.school,
+                enum: Object.keys(CALCULATION.schools).map(Number)
+            },
+            latitudeAdjustment: {
+                type: 'number',
+                default: CALCULATION.defaults.latitudeAdjustmentMethod,
+                enum: Object.keys(CALCULATION.latitudeAdjustments).map(Number)
+            },
+            midnightMode: {
+                type: 'number',
+                default: CALCULATION.defaults.midnightMode,
+                enum: Object.keys(CALCULATION.midnightModes).map(Number)
+            },
+            prayerAdjustments: { type: 'object', default: PRAYER.adjustments },
+            notifications: { type: 'boolean', default: false },
+            reminders: { type: 'object', default: {} },
+
+            // { name, latitude, longitude, regencyId, provinceId, source, timestamp }
+            location: { type: 'object', default: null },
+
+            // [{ id, label, name, latitude, longitude, regencyId, provinceId, source }]
+            savedLocations: { type: 'array', default: [] },
+            compareLocations: { type: 'boolean', default: false },
+
+            // Kalender Hijriah lokal dan koreksi hari (mengikuti pengumuman setempat)
+            hijriMethod: { type: 'string', default: 'ummalqura', enum: Object.keys(HIJRI.methods) },
+            hijriAdjustment: { type: 'number', default: 0, enum: HIJRI.adjustments },
+
+            // Puasa sunnah yang sudah dijalani: { 'YYYY-MM-DD': { types, hijri: 'YYYY-MM-DD' } }
+            fastingLog: { type: 'object', default: {} },
+
+            // Utang puasa Ramadhan: { ramadhan: { tahun: { hari: status } }, manual: { tahun: jumlah }, paid: ['YYYY-MM-DD'] }
+            qadhaLedger: { type: 'object', default: { ramadhan: {}, manual: {}, paid: [] } }
+        },
+
+        // Batas penyesuaian waktu per sholat (menit, ke dua arah)
+        maxAdjustment: 60,
+
+        // Label untuk pratinjau perubahan saat impor
+        labels: {
+            theme: 'Tema',
+            language: 'Bahasa',
+            organization: 'Organisasi',
+            calculationMethod: 'Metode perhitungan',
+            asrSchool: 'Mazhab Ashar',
+            latitudeAdjustment: 'Aturan lintang tinggi',
+            midnightMode: 'Tengah malam',
+            prayerAdjustments: 'Penyesuaian waktu',
+            notifications: 'Pengingat aktif',
+            reminders: 'Pengaturan pengingat',
+            location: 'Lokasi',
+            savedLocations: 'Lokasi tersimpan',
+            compareLocations: 'Bandingkan lokasi',
+            hijriMethod: 'Kalender Hijriah',
+            hijriAdjustment: 'Koreksi tanggal Hijriah',
+            fastingLog: 'Catatan puasa sunnah',
+            qadhaLedger: 'Utang puasa (qadha)'
+        }
+    };
+
+    // ===========================================
+    // BACKUP CONFIGURATION
+    // ===========================================
+    const BACKUP = {
+        // Penanda & versi format file cadangan
+        format: 'satura-backup',
+        version: 1,
+
+        // Parameter hash untuk tautan berbagi (#impor=...)
+        shareParam: 'impor',
+
+        // Pengaturan khusus perangkat / pribadi yang tidak ikut dibagikan
+        shareExclude: ['notifications', 'fastingLog', 'qadhaLedger'],
+
+        // Level koreksi kesalahan QR untuk tautan berbagi
+        qrLevel: 'M'
+    };
+
+    // ===========================================
+    // EXPORT CONFIGURATION
+    // ===========================================
+    const EXPORT = {
+        // Awalan nama file unduhan (jadwal-imsakiyah-1447h-kota-bandung.csv)
+        filePrefix: 'jadwal-imsakiyah',
+
+        // Kolom CSV & lembar cetak (key = kunci waktu dari API)
+        columns: [
+            { key: 'Imsak', label: 'Imsak' },
+            { key: 'Fajr', label: 'Subuh' },
+            { key: 'Sunrise', label: 'Terbit' },
+            { key: 'Dhuhr', label: 'Dzuhur' },
+            { key: 'Asr', label: 'Ashar' },
+            { key: 'Maghrib', label: 'Maghrib' },
+            { key: 'Isha', label: 'Isya' }
+        ],
+
+        // Acara kalender per hari (durasi & alarm dalam menit sebelum waktu tiba)
+        // Alarm Imsak 30 menit sebelumnya berfungsi sebagai pengingat sahur
+        events: [
+            { id: 'imsak', key: 'Imsak', title: 'Imsak', duration: 10, alarms: [30, 0] },
+            { id: 'maghrib', key: 'Maghrib', title: 'Maghrib (Berbuka Puasa)', duration: 15, alarms: [10, 0] }
+        ],
+
+        // Saran interval pembaruan untuk aplikasi kalender yang berlangganan
+        refreshInterval: 'P1D'
+    };
+
     // ===========================================
     // CACHE CONFIGURATION
     // ===========================================
@@ -100,19 +519,37 @@ const SaturaConfig = (function () {
             database: 'satura-db-v1'
         },
 
+        // IndexedDB bersama page & Service Worker (harus sama dengan IDB di sw.js)
+        indexedDB: {
+            name: 'satura',
+            version: 1,
+            stores: {
+                schedules: 'schedules',
+                locations: 'locations',
+                settings: 'settings'
+            }
+        },
+
         // Durasi cache dalam milliseconds
         duration: {
             prayerTimes: 24 * 60 * 60 * 1000,    // 24 jam
             hijriDate: 24 * 60 * 60 * 1000,      // 24 jam
             location: 7 * 24 * 60 * 60 * 1000,   // 7 hari
-            database: 30 * 24 * 60 * 60 * 1000   // 30 hari
+            database: 30 * 24 * 60 * 60 * 1000,  // 30 hari
+            ramadhanPack: 60 * 24 * 60 * 60 * 1000, // 60 hari (sebulan Ramadhan + cadangan)
+            clockOffset: 7 * 24 * 60 * 60 * 1000   // 7 hari
         },
 
         // LocalStorage keys
         keys: {
             userLocation: 'satura_user_location',
             prayerCache: 'satura_prayer_cache',
+            ramadhanPack: 'satura_ramadhan_pack',
+            syncedDay: 'satura_synced_day',
+            idbMigrated: 'satura_idb_migrated',
             settings: 'satura_settings',
+            qadhaReminder: 'satura_qadha_reminder',
+            clockOffset: 'satura_clock_offset',
             lastUpdate: 'satura_last_update'
         }
     };
@@ -132,6 +569,22 @@ const SaturaConfig = (function () {
             longitude: 106.834091
         },
 
+        // Jumlah maksimum lokasi tersimpan (pengalih lokasi cepat)
+        maxSaved: 10,
+
+        // Jumlah kabupaten/kota terdekat yang disimpan sebagai kandidat saat deteksi GPS
+        nearbyCount: 3,
+
+        // Lokasi kustom (koordinat bebas, Plus Code, pilih di peta)
+        custom: {
+            // Batas peta Indonesia (derajat)
+            bounds: { north: 6.5, south: -11.5, west: 94.5, east: 141.5 },
+            // Perbesaran peta maksimum
+            maxZoom: 32,
+            // Ketinggian maksimum yang diterima (meter, Puncak Jaya ± 4884 m)
+            maxElevation: 5000
+        },
+
         // Geolocation options
         geoOptions: {
             enableHighAccuracy: true,
@@ -161,9 +614,30 @@ const SaturaConfig = (function () {
             '81': 'Asia/Jayapura', '82': 'Asia/Jayapura',
             '91': 'Asia/Jayapura', '92': 'Asia/Jayapura', '93': 'Asia/Jayapura',
             '94': 'Asia/Jayapura', '95': 'Asia/Jayapura', '96': 'Asia/Jayapura'
+        },
+
+        // Singkatan zona waktu Indonesia
+        timezoneLabels: {
+            'Asia/Jakarta': 'WIB',
+            'Asia/Makassar': 'WITA',
+            'Asia/Jayapura': 'WIT'
         }
     };
 
+    // ===========================================
+    // QIBLA CONFIGURATION
+    // ===========================================
+    const QIBLA = {
+        // Koordinat Ka'bah, Masjidil Haram
+        kaaba: { latitude: 21.422487, longitude: 39.826206 },
+
+        // Arah mata angin (searah jarum jam dari utara)
+        cardinals: ['Utara', 'Timur Laut', 'Timur', 'Tenggara', 'Selatan', 'Barat Daya', 'Barat', 'Barat Laut'],
+
+        // Penghalusan bacaan kompas (0-1, makin kecil makin halus)
+        smoothing: 0.2
+    };
+
     // ===========================================
     // DATABASE CONFIGURATION
     // ===========================================
@@ -172,9 +646,23 @@ const SaturaConfig = (function () {
         paths: {
             provinces: './database/province.json',
             regencies: './database/regency.json',
-            ramadhan: './database/ramadhan.json'
+            ramadhan: './database/ramadhan.json',
+            // Kecamatan (+ kelurahan/desa) per provinsi, dimuat saat dibutuhkan
+            districts: './database/district/{province}.json',
+            // Batas wilayah kabupaten/kota (GeoJSON disederhanakan, gzip), opsional
+            boundaries: './database/boundary/regency.json.gz',
+            // Garis pantai Indonesia untuk peta lokasi (Natural Earth, domain publik)
+            outline: './database/boundary/indonesia.json'
         },
 
+        // Jumlah kabupaten/kota terdekat (centroid) yang provinsinya
+        // ikut dimuat saat mencari kecamatan terdekat (area perbatasan)
+        nearestDistrictCandidates: 5,
+
+        // Jumlah kecamatan/kelurahan terdekat yang diperiksa agar sesuai
+        // dengan kabupaten/kota hasil pencocokan batas wilayah
+        boundaryMatchCandidates: 10,
+
         // Field names dalam database
         fields: {
             province: {
@@ -189,10 +677,105 @@ const SaturaConfig = (function () {
                 name: 'name',
                 latitude: 'latitude',
                 longitude: 'longitude'
+            },
+            district: {
+                id: 'id',
+                regencyId: 'regency_id',
+                name: 'name',
+                latitude: 'latitude',
+                longitude: 'longitude',
+                villages: 'villages'
             }
         }
     };
 
+    // ===========================================
+    // SEARCH CONFIGURATION
+    // ===========================================
+    const SEARCH = {
+        // Panjang minimum kueri & jumlah hasil maksimum per tingkat wilayah
+        minLength: 2,
+        maxResults: 20,
+
+        // Toleransi salah ketik: 1 huruf mulai 4 karakter, 2 huruf mulai 7 karakter
+        typo: {
+            oneEdit: 4,
+            twoEdits: 7
+        },
+
+        // Singkatan & sebutan populer (sudah huruf kecil, tanpa titik) → kata lengkap
+        aliases: {
+            kab: 'kabupaten',
+            kec: 'kecamatan',
+            kel: 'kelurahan',
+            ds: 'desa',
+            prov: 'provinsi',
+            adm: 'administrasi',
+            kep: 'kepulauan',
+            kepl: 'kepulauan',
+            jkt: 'jakarta',
+            jakpus: 'jakarta pusat',
+            jakut: 'jakarta utara',
+            jakbar: 'jakarta barat',
+            jaksel: 'jakarta selatan',
+            jaktim: 'jakarta timur',
+            jogja: 'yogyakarta',
+            jogya: 'yogyakarta',
+            jogjakarta: 'yogyakarta',
+            yogya: 'yogyakarta',
+            diy: 'daerah istimewa yogyakarta',
+            bdg: 'bandung',
+            sby: 'surabaya',
+            smg: 'semarang',
+            mlg: 'malang',
+            mks: 'makassar',
+            plg: 'palembang',
+            pku: 'pekanbaru',
+            bpp: 'balikpapan',
+            bjm: 'banjarmasin',
+            dps: 'denpasar',
+            tangsel: 'tangerang selatan',
+            jabar: 'jawa barat',
+            jateng: 'jawa tengah',
+            jatim: 'jawa timur',
+            sumut: 'sumatera utara',
+            sumbar: 'sumatera barat',
+            sumsel: 'sumatera selatan',
+            kalbar: 'kalimantan barat',
+            kalteng: 'kalimantan tengah',
+            kalsel: 'kalimantan selatan',
+            kaltim: 'kalimantan timur',
+            kaltara: 'kalimantan utara',
+            sulut: 'sulawesi utara',
+            sulteng: 'sulawesi tengah',
+            sulsel: 'sulawesi selatan',
+            sultra: 'sulawesi tenggara',
+            sulbar: 'sulawesi barat',
+            ntb: 'nusa tenggara barat',
+            ntt: 'nusa tenggara timur',
+            babel: 'bangka belitung',
+            kepri: 'kepulauan riau',
+            malut: 'maluku utara',
+            pabar: 'papua barat'
+        },
+
+        // Kata penanda tingkat wilayah (ikut dicocokkan, tidak disorot)
+        levelKeywords: {
+            province: ['provinsi'],
+            regency: ['kabupaten'],   // kota sudah tertulis di nama ("Kota Bandung")
+            district: ['kecamatan'],
+            village: ['kelurahan', 'desa']
+        },
+
+        // Label tingkat wilayah pada hasil pencarian
+        levelLabels: {
+            province: 'Provinsi',
+            regency: 'Kabupaten/Kota',
+            district: 'Kecamatan',
+            village: 'Kelurahan/Desa'
+        }
+    };
+
     // ===========================================
     // APP CONFIGURATION
     // ===========================================
@@ -208,6 +791,13 @@ const SaturaConfig = (function () {
         // Update interval untuk countdown (milliseconds)
         countdownInterval: 1000,
 
+        // Background sync jadwal oleh Service Worker (hari ini + 7 hari ke depan)
+        backgroundSync: {
+            tag: 'sync-prayer-times',
+            days: 8,
+            periodicInterval: 12 * 60 * 60 * 1000   // 12 jam
+        },
+
         // Date format
         dateFormat: {
             display: 'DD MMMM YYYY',
@@ -237,52 +827,29 @@ const SaturaConfig = (function () {
         }
     };
 
-    // ===========================================
-    // HIJRI CALENDAR CONFIGURATION
-    // ===========================================
-    const HIJRI = {
-        // Nama bulan Hijriah
-        months: [
-            'Muharram',
-            'Safar',
-            'Rabiul Awal',
-            'Rabiul Akhir',
-            'Jumadil Awal',
-            'Jumadil Akhir',
-            'Rajab',
-            'Sya\'ban',
-            'Ramadhan',
-            'Syawal',
-            'Dzulqa\'dah',
-            'Dzulhijjah'
-        ],
-
-        // Nama hari dalam bahasa Arab
-        days: {
-            'Sunday': 'Ahad',
-            'Monday': 'Senin',
-            'Tuesday': 'Selasa',
-            'Wednesday': 'Rabu',
-            'Thursday': 'Kamis',
-            'Friday': 'Jumat',
-            'Saturday': 'Sabtu'
-        },
-
-        // Bulan Ramadhan (index 0-based = 8, 1-based = 9)
-        ramadhanMonth: 9
-    };
-
     // ===========================================
     // PUBLIC API
     // ===========================================
     return {
         API,
+        CLOCK,
         PRAYER,
+        CALCULATION,
+        NOTIFICATION,
+        SETTINGS,
+        BACKUP,
+        EXPORT,
         CACHE,
         LOCATION,
+        QIBLA,
         DATABASE,
+        SEARCH,
         APP,
         HIJRI,
+        HISAB,
+        EVENTS,
+        FASTING,
+        QADHA,
         AUTHOR,
 
         // Helper untuk mendapatkan API endpoint berdasarkan index
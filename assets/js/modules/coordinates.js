@@ -0,0 +1,351 @@
+/**
+ * Satu Ramadhan - Coordinates Module
+ * Parses free-form coordinates (decimal degrees, degrees-minutes-seconds,
+ * Plus Codes) and formats points back for display
+ */
+
+const SaturaCoordinates = (function () {
+    'use strict';
+
+    // Open Location Code digits and the size of each pair (degrees)
+    const CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+    const PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+    const PLUS_CODE = /^([23456789CFGHJMPQRVWX]{2,8})\+([23456789CFGHJMPQRVWX]*)$/;
+
+    // Indonesian hemisphere abbreviations (Lintang Utara/Selatan, Bujur Timur/Barat)
+    const HEMISPHERES = [['LU', 'N'], ['LS', 'S'], ['BT', 'E'], ['BB', 'W'], ['U', 'N'], ['T', 'E'], ['B', 'W']];
+
+    const NUMBER = /^[-+]?\d+(?:\.\d+)?$/;
+    const UNITS = ['°', "'", '"'];
+
+    function round(value) {
+        return Math.round(value * 1e6) / 1e6;
+    }
+
+    // ===========================================
+    // DEGREES
+    // ===========================================
+
+    /**
+     * Uppercase, unify degree/prime symbols, hemisphere letters and decimal commas
+     * @param {string} text - User input
+     * @returns {string}
+     */
+    function normalizeInput(text) {
+        let value = String(text || '')
+            .trim()
+            .toUpperCase()
+            .replace(/[\u2033\u201C\u201D]|''/g, '"')
+            .replace(/[\u2032\u2018\u2019`\u00B4]/g, "'")
+            .replace(/[\u00BA\u02DA]/g, '°')
+            .replace(/\u2212/g, '-');
+
+        // "-6,2088 106,8456": two decimal commas and no dots
+        if (!value.includes('.') && (value.match(/\d,\d/g) || []).length === 2) {
+            value = value.replace(/(\d),(\d)/g, '$1.$2');
+        }
+
+        for (const [from, to] of HEMISPHERES) {
+            value = value.replace(new RegExp(`(?<![A-Z])${from}(?![A-Z])`, 'g'), to);
+        }
+
+        return value;
+    }
+
+    /**
+     * Split input into two angles. A number continues the current angle
+     * (as minutes, then seconds) only after a ° or ' mark, or in unmarked
+     * "6 12 30 S 106 48 0 E" input where the hemisphere letters delimit.
+     * @param {string} value - Normalized input
+     * @returns {Array} - [{ parts: ['6', '12', '30'], hemisphere: 'S'|null }]
+     */
+    function splitAngles(value) {
+        const tokens = value.match(/[-+]?\d+(?:\.\d+)?|[°'"NSEW,;]|\S/g) || [];
+        const loose = !/[°'",;]/.test(value) && /[NSEW]/.test(value);
+        const angles = [];
+        let angle = null;
+        let last = null;
+
+        const close = () => {
+            if (angle?.parts.length) angles.push(angle);
+            angle = null;
+        };
+
+        for (const token of tokens) {
+            if (NUMBER.test(token)) {
+                const previous = angle?.parts[angle.parts.length - 1];
+                const continues = previous !== undefined &&
+                    angle.parts.length < 3 &&
+                    (UNITS.includes(last) || loose) &&
+                    !previous.includes('.') &&
+                    Number(token) < 60;
+
+                if (previous !== undefined && !continues) close();
+                angle = angle || { parts: [], hemisphere: null, marked: false };
+                angle.parts.push(token);
+            } else if (UNITS.includes(token)) {
+                if (!angle?.parts.length) throw new Error('Format koordinat tidak dikenali');
+                if (token !== '°') angle.marked = true;
+            } else if ('NSEW'.includes(token)) {
+                if (angle?.parts.length && !angle.hemisphere) {
+                    angle.hemisphere = token;
+                    close();
+                } else {
+                    close();
+                    angle = { parts: [], hemisphere: token, marked: false };
+                }
+            } else if (token === ',' || token === ';') {
+                close();
+            } else {
+                throw new Error('Format koordinat tidak dikenali');
+            }
+            last = token;
+        }
+
+        close();
+        return angles;
+    }
+
+    /**
+     * Signed decimal degrees of one angle
+     * @param {Object} angle - { parts, hemisphere }
+     * @returns {number}
+     */
+    function toDegrees({ parts, hemisphere }) {
+        const [degrees, minutes = 0, seconds = 0] = parts.map(Number);
+
+        if (minutes >= 60 || seconds >= 60 || minutes < 0 || seconds < 0) {
+            throw new Error('Menit dan detik harus kurang dari 60');
+        }
+
+        const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+        const negative = parts[0].startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+        return negative ? -value : value;
+    }
+
+    /**
+     * Parse decimal degrees or DMS ("-6.2088, 106.8456", "6°12'31.7\"S 106°50'44.2\"E",
+     * "6 12 31.7 LS 106 50 44.2 BT"). Latitude comes first unless the
+     * hemisphere letters say otherwise.
+     * @param {string} text - User input
+     * @returns {Object} - { latitude, longitude, format: 'decimal'|'dms' }
+     */
+    function parseDegrees(text) {
+        const angles = splitAngles(normalizeInput(text));
+        if (angles.length !== 2) {
+            throw new Error('Format koordinat tidak dikenali');
+        }
+
+        const axis = (angle) => {
+            if (angle.hemisphere === 'N' || angle.hemisphere === 'S') return 'lat';
+            if (angle.hemisphere === 'E' || angle.hemisphere === 'W') return 'lng';
+            return null;
+        };
+
+        let [first, second] = angles;
+        if (axis(first) && axis(first) === axis(second)) {
+            throw new Error('Format koordinat tidak dikenali');
+        }
+        if (axis(first) === 'lng' || axis(second) === 'lat') {
+            [first, second] = [second, first];
+        }
+
+        return {
+            latitude: round(toDegrees(first)),
+            longitude: round(toDegrees(second)),
+            format: angles.some(angle => angle.parts.length > 1 || angle.marked) ? 'dms' : 'decimal'
+        };
+    }
+
+    // ===========================================
+    // PLUS CODES
+    // ===========================================
+
+    /**
+     * Decode a full Plus Code to the center of its area
+     * @param {string} code - Full code ("6P58QQ2C+XX")
+     * @returns {Object} - { latitude, longitude }
+     */
+    function decodePlusCode(code) {
+        const digits = code.toUpperCase().replace('+', '');
+        let latitude = -90;
+        let longitude = -180;
+        let latSize = 0;
+        let lngSize = 0;
+
+        for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+            latSize = lngSize = PAIR_RESOLUTIONS[i / 2];
+            latitude += CODE_ALPHABET.indexOf(digits[i]) * latSize;
+            longitude += CODE_ALPHABET.indexOf(digits[i + 1]) * lngSize;
+        }
+
+        // Grid refinement: each digit is a 4 x 5 cell
+        for (const digit of digits.slice(10)) {
+            const index = CODE_ALPHABET.indexOf(digit);
+            latSize /= 5;
+            lngSize /= 4;
+            latitude += Math.floor(index / 4) * latSize;
+            longitude += (index % 4) * lngSize;
+        }
+
+        return {
+            latitude: latitude + latSize / 2,
+            longitude: longitude + lngSize / 2
+        };
+    }
+
+    /**
+     * Encode a point as a 10-digit Plus Code (~14 m)
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {string} - e.g. "6P58QQ2C+XX"
+     */
+    function encodePlusCode(latitude, longitude) {
+        const scale = 1 / PAIR_RESOLUTIONS[PAIR_RESOLUTIONS.length - 1];
+        let lat = Math.min(Math.floor((Math.max(-90, latitude) + 90) * scale), 180 * scale - 1);
+        let lng = Math.floor(((((longitude + 180) % 360) + 360) % 360) * scale);
+        const latDigits = [];
+        const lngDigits = [];
+
+        for (let i = 0; i < PAIR_RESOLUTIONS.length; i++) {
+            latDigits.unshift(CODE_ALPHABET[lat % 20]);
+            lngDigits.unshift(CODE_ALPHABET[lng % 20]);
+            lat = Math.floor(lat / 20);
+            lng = Math.floor(lng / 20);
+        }
+
+        const code = latDigits.map((digit, i) => digit + lngDigits[i]).join('');
+        return `${code.slice(0, 8)}+${code.slice(8)}`;
+    }
+
+    /**
+     * Parse a full or short Plus Code. Short codes ("QQ2C+XX Jakarta") are
+     * recovered as the matching area nearest the reference point; any
+     * locality text after the code is ignored.
+     * @param {string} text - User input
+     * @param {Object} reference - { latitude, longitude } for short codes
+     * @returns {Object|null} - { latitude, longitude, format: 'pluscode' }, null when not a Plus Code
+     */
+    function parsePlusCode(text, reference = null) {
+        const code = String(text || '').trim().split(/[\s,]+/)[0].toUpperCase();
+        const match = code.match(PLUS_CODE);
+        if (!match) return null;
+
+        const prefix = match[1];
+        if (prefix.length % 2 !== 0 || match[2].length === 1) {
+            throw new Error('Plus Code tidak valid');
+        }
+
+        if (prefix.length === 8) {
+            if (CODE_ALPHABET.indexOf(prefix[0]) > 8 || CODE_ALPHABET.indexOf(prefix[1]) > 17) {
+                throw new Error('Plus Code tidak valid');
+            }
+            const point = decodePlusCode(code);
+            return { latitude: round(point.latitude), longitude: round(point.longitude), format: 'pluscode' };
+        }
+
+        if (!reference) {
+            throw new Error('Plus Code pendek memerlukan lokasi acuan');
+        }
+
+        const padding = 8 - prefix.length;
+        const resolution = Math.pow(20, 2 - padding / 2);
+        const half = resolution / 2;
+        const point = decodePlusCode(encodePlusCode(reference.latitude, reference.longitude).slice(0, padding) + code);
+
+        if (reference.latitude + half < point.latitude && point.latitude - resolution >= -90) {
+            point.latitude -= resolution;
+        } else if (reference.latitude - half > point.latitude && point.latitude + resolution <= 90) {
+            point.latitude += resolution;
+        }
+
+        if (reference.longitude + half < point.longitude) {
+            point.longitude -= resolution;
+        } else if (reference.longitude - half > point.longitude) {
+            point.longitude += resolution;
+        }
+
+        return { latitude: round(point.latitude), longitude: round(point.longitude), format: 'pluscode' };
+    }
+
+    // ===========================================
+    // PARSE & FORMAT
+    // ===========================================
+
+    /**
+     * Parse coordinates in any supported format
+     * @param {string} text - Decimal degrees, DMS or Plus Code
+     * @param {Object} reference - { latitude, longitude } to recover short Plus Codes (optional)
+     * @returns {Object} - { latitude, longitude, format }
+     */
+    function parse(text, reference = null) {
+        if (!String(text || '').trim()) {
+            throw new Error('Masukkan koordinat');
+        }
+
+        const point = parsePlusCode(text, reference) || parseDegrees(text);
+
+        if (!Number.isFinite(point.latitude) || Math.abs(point.latitude) > 90) {
+            throw new Error('Lintang harus antara -90 dan 90');
+        }
+        if (!Number.isFinite(point.longitude) || Math.abs(point.longitude) > 180) {
+            throw new Error('Bujur harus antara -180 dan 180');
+        }
+
+        return point;
+    }
+
+    /**
+     * Format as decimal degrees
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {number} digits - Decimal places
+     * @returns {string} - "-6.208800, 106.845600"
+     */
+    function formatDecimal(latitude, longitude, digits = 6) {
+        return `${Number(latitude).toFixed(digits)}, ${Number(longitude).toFixed(digits)}`;
+    }
+
+    /**
+     * Format one angle as degrees, minutes and seconds (0.1")
+     * @param {number} value - Decimal degrees
+     * @param {Array<string>} hemispheres - [positive, negative] labels
+     * @returns {string}
+     */
+    function formatAngle(value, [positive, negative]) {
+        const tenths = Math.round(Math.abs(value) * 36000);
+        const degrees = Math.floor(tenths / 36000);
+        const minutes = Math.floor((tenths % 36000) / 600);
+        const seconds = (tenths % 600) / 10;
+
+        return `${degrees}°${minutes}'${seconds.toFixed(1)}" ${value < 0 ? negative : positive}`;
+    }
+
+    /**
+     * Format as DMS with Indonesian hemisphere labels
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {string} - "6°12'31.7\" LS, 106°50'44.2\" BT"
+     */
+    function formatDMS(latitude, longitude) {
+        return `${formatAngle(latitude, ['LU', 'LS'])}, ${formatAngle(longitude, ['BT', 'BB'])}`;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        parse,
+        parseDegrees,
+        parsePlusCode,
+        encodePlusCode,
+        decodePlusCode,
+        formatDecimal,
+        formatDMS
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaCoordinates;
+}
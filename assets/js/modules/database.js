@@ -1,6 +1,7 @@
 /**
  * Satu Ramadhan - Database Module
- * Local database handler for province.json and regency.json
+ * Local database handler for province.json, regency.json, the
+ * per-province district (kecamatan/kelurahan) files and regency boundaries
  * Provides load, search, and filter functions for regional data
  */
 
@@ -10,6 +11,20 @@ const SaturaDatabase = (function () {
     // Cache untuk data database
     let provincesCache = null;
     let regenciesCache = null;
+    // Districts per province (loaded on demand): provinceId -> Array
+    const districtsCache = new Map();
+    const districtRequests = new Map();
+    // k-d trees for nearest lookups, built once per data set: key -> tree
+    const spatialIndex = new Map();
+    // Regency boundary polygons: [{ id, bbox, polygons }], [] when not available
+    let boundariesCache = null;
+    let boundariesPromise = null;
+    // Country outline for the location map: [{ polygons }], [] when not available
+    let outlineCache = null;
+    let outlinePromise = null;
+    // Search lists: places tagged with their parents' names ("bandung jabar")
+    let regencySearchList = null;
+    const districtSearchLists = new Map();
     let isLoading = false;
     let loadPromise = null;
 
@@ -71,6 +86,212 @@ const SaturaDatabase = (function () {
         }
     }
 
+    /**
+     * Load the districts (with their villages) of one province.
+     * Provinces without a district file resolve to an empty list,
+     * so lookups fall back to regency level.
+     * @param {string} provinceId - Province ID
+     * @returns {Promise<Array>} - Array of districts
+     */
+    async function loadDistricts(provinceId) {
+        if (!provinceId) {
+            return [];
+        }
+
+        if (districtsCache.has(provinceId)) {
+            return districtsCache.get(provinceId);
+        }
+
+        if (districtRequests.has(provinceId)) {
+            return districtRequests.get(provinceId);
+        }
+
+        const request = (async () => {
+            try {
+                SaturaConfig.log(`Loading districts database (province ${provinceId})...`);
+                const response = await fetch(SaturaConfig.DATABASE.paths.districts.replace('{province}', provinceId));
+
+                if (response.status === 404) {
+                    SaturaConfig.log(`No district data for province ${provinceId}`);
+                    districtsCache.set(provinceId, []);
+                    return [];
+                }
+
+                if (!response.ok) {
+                    throw new Error(`Failed to load districts: ${response.status}`);
+                }
+
+                const districts = await response.json();
+                districtsCache.set(provinceId, districts);
+                SaturaConfig.log(`Loaded ${districts.length} districts (province ${provinceId})`);
+                return districts;
+
+            } catch (error) {
+                SaturaConfig.error('Error loading districts:', error);
+                throw error;
+            } finally {
+                districtRequests.delete(provinceId);
+            }
+        })();
+
+        districtRequests.set(provinceId, request);
+        return request;
+    }
+
+    /**
+     * Load the simplified regency boundaries (GeoJSON, usually gzip-compressed).
+     * The file is optional: when it is missing, cannot be decompressed or fails
+     * to load, an empty list is returned and lookups use centroids instead.
+     * @returns {Promise<Array>} - [{ id, bbox: [minLng, minLat, maxLng, maxLat], polygons }]
+     */
+    async function loadBoundaries() {
+        if (boundariesCache) {
+            return boundariesCache;
+        }
+
+        if (boundariesPromise) {
+            return boundariesPromise;
+        }
+
+        boundariesPromise = (async () => {
+            try {
+                SaturaConfig.log('Loading regency boundaries...');
+                const response = await fetch(SaturaConfig.DATABASE.paths.boundaries);
+
+                if (response.status === 404) {
+                    SaturaConfig.log('No regency boundaries, using centroids');
+                    boundariesCache = [];
+                    return boundariesCache;
+                }
+
+                if (!response.ok) {
+                    throw new Error(`Failed to load boundaries: ${response.status}`);
+                }
+
+                const geojson = JSON.parse(await readCompressed(response));
+                boundariesCache = geojson.features
+                    .map(feature => toBoundary(feature))
+                    .filter(Boolean);
+
+                SaturaConfig.log(`Loaded ${boundariesCache.length} regency boundaries`);
+                return boundariesCache;
+
+            } catch (error) {
+                // Not cached, so the next lookup retries (e.g. after coming back online)
+                SaturaConfig.error('Error loading boundaries:', error);
+                return [];
+            } finally {
+                boundariesPromise = null;
+            }
+        })();
+
+        return boundariesPromise;
+    }
+
+    /**
+     * Load the country outline (GeoJSON MultiPolygon) drawn as land on the
+     * location map. Optional like the boundaries: an empty list when missing.
+     * @returns {Promise<Array>} - [{ polygons }]
+     */
+    async function loadOutline() {
+        if (outlineCache) {
+            return outlineCache;
+        }
+
+        if (outlinePromise) {
+            return outlinePromise;
+        }
+
+        outlinePromise = (async () => {
+            try {
+                const response = await fetch(SaturaConfig.DATABASE.paths.outline);
+
+                if (response.status === 404) {
+                    outlineCache = [];
+                    return outlineCache;
+                }
+
+                if (!response.ok) {
+                    throw new Error(`Failed to load outline: ${response.status}`);
+                }
+
+                const geometry = JSON.parse(await readCompressed(response)).geometry;
+                outlineCache = geometry?.type === 'MultiPolygon' ? [{ polygons: geometry.coordinates }] : [];
+                return outlineCache;
+
+            } catch (error) {
+                SaturaConfig.error('Error loading outline:', error);
+                return [];
+            } finally {
+                outlinePromise = null;
+            }
+        })();
+
+        return outlinePromise;
+    }
+
+    /**
+     * Response body as text, gunzipped when it is still compressed
+     * (servers that send Content-Encoding: gzip hand over plain bytes)
+     * @param {Response} response - Fetch response
+     * @returns {Promise<string>}
+     */
+    async function readCompressed(response) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+        if (!isGzip) {
+            return new TextDecoder().decode(bytes);
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('DecompressionStream not supported');
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return await new Response(stream).text();
+    }
+
+    /**
+     * GeoJSON feature to a boundary entry with its bounding box
+     * @param {Object} feature - Feature with properties.id and a (Multi)Polygon
+     * @returns {Object|null} - { id, bbox, polygons }
+     */
+    function toBoundary(feature) {
+        const geometry = feature?.geometry;
+        const id = String(feature?.properties?.id || '');
+
+        let polygons = null;
+        if (geometry?.type === 'Polygon') polygons = [geometry.coordinates];
+        if (geometry?.type === 'MultiPolygon') polygons = geometry.coordinates;
+        if (!id || !polygons) return null;
+
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        for (const polygon of polygons) {
+            for (const [lng, lat] of polygon[0]) {
+                bbox[0] = Math.min(bbox[0], lng);
+                bbox[1] = Math.min(bbox[1], lat);
+                bbox[2] = Math.max(bbox[2], lng);
+                bbox[3] = Math.max(bbox[3], lat);
+            }
+        }
+
+        return { id, bbox, polygons };
+    }
+
+    /**
+     * Province of a regency, district or village ID. The first 4 digits of a
+     * Kemendagri code are the regency; its province comes from regency.json
+     * (regencies of the newer Papua provinces keep their old "91xx" codes).
+     * @param {string} id - Regency, district or village ID
+     * @returns {Promise<string|null>} - Province ID
+     */
+    async function getProvinceIdOf(id) {
+        const regencies = await loadRegencies();
+        const regencyId = String(id || '').slice(0, 4);
+        return regencies.find(r => r.id === regencyId)?.province_id || null;
+    }
+
     /**
      * Load all database files
      * @returns {Promise<Object>} - Object containing provinces and regencies
@@ -93,6 +314,8 @@ const SaturaDatabase = (function () {
             loadProvinces(),
             loadRegencies()
         ]).then(([provinces, regencies]) => {
+            getIndex('province', provinces);
+            getIndex('regency', regencies);
             isLoading = false;
             loadPromise = null;
             return { provinces, regencies };
@@ -181,65 +404,156 @@ const SaturaDatabase = (function () {
         return regencies.filter(r => r.province_id === provinceId);
     }
 
+    // ===========================================
+    // DISTRICT FUNCTIONS
+    // ===========================================
+
+    /**
+     * Get all districts in a regency
+     * @param {string} regencyId - Regency ID
+     * @returns {Promise<Array>} - Array of districts in the regency
+     */
+    async function getDistrictsByRegency(regencyId) {
+        const districts = await loadDistricts(await getProvinceIdOf(regencyId));
+        return districts.filter(d => d.regency_id === regencyId);
+    }
+
+    /**
+     * Get district by ID
+     * @param {string} id - District ID
+     * @returns {Promise<Object|null>} - District object or null
+     */
+    async function getDistrictById(id) {
+        const districts = await loadDistricts(await getProvinceIdOf(id));
+        return districts.find(d => d.id === id) || null;
+    }
+
+    /**
+     * Get all villages (kelurahan/desa) in a district
+     * @param {string} districtId - District ID
+     * @returns {Promise<Array>} - Array of villages (empty if the data has none)
+     */
+    async function getVillagesByDistrict(districtId) {
+        const district = await getDistrictById(districtId);
+        return (district?.villages || []).map(v => ({ ...v, district_id: district.id }));
+    }
+
     // ===========================================
     // SEARCH FUNCTIONS
     // ===========================================
 
     /**
-     * Search provinces by name
-     * @param {string} query - Search query
-     * @returns {Promise<Array>} - Matching provinces
+     * Regencies tagged with their province name (built once)
+     * @returns {Promise<Array>}
      */
-    async function searchProvinces(query) {
-        if (!query || query.length < 2) {
-            return [];
+    async function getRegencySearchList() {
+        if (!regencySearchList) {
+            const [provinces, regencies] = await Promise.all([loadProvinces(), loadRegencies()]);
+            const provinceNames = new Map(provinces.map(p => [p.id, p.name]));
+            regencySearchList = regencies.map(r => ({ ...r, province_name: provinceNames.get(r.province_id) || '' }));
         }
+        return regencySearchList;
+    }
 
-        const provinces = await loadProvinces();
-        const searchQuery = query.toLowerCase();
+    /**
+     * Districts and villages of a loaded province, tagged with their parents' names
+     * @param {string} provinceId - Province ID
+     * @returns {Promise<Object>} - { districts, villages }
+     */
+    async function getDistrictSearchList(provinceId) {
+        const districts = districtsCache.get(provinceId) || [];
+        const cached = districtSearchLists.get(provinceId);
+        if (cached && cached.source === districts) {
+            return cached;
+        }
 
-        return provinces.filter(p =>
-            p.name.toLowerCase().includes(searchQuery)
-        );
+        const regencyNames = new Map((await getRegencySearchList()).map(r => [r.id, r]));
+        const list = { source: districts, districts: [], villages: [] };
+
+        for (const district of districts) {
+            const regency = regencyNames.get(district.regency_id);
+            const parents = { regency_name: regency?.name || '', province_name: regency?.province_name || '' };
+
+            list.districts.push({ ...district, ...parents });
+            for (const village of district.villages || []) {
+                list.villages.push({ ...village, district_id: district.id, district_name: district.name, ...parents });
+            }
+        }
+
+        districtSearchLists.set(provinceId, list);
+        return list;
+    }
+
+    /**
+     * Search provinces by name
+     * @param {string} query - Search query (see SaturaSearch.search)
+     * @returns {Promise<Array>} - Matching provinces, best first, with score and highlight
+     */
+    async function searchProvinces(query) {
+        return SaturaSearch.search(await loadProvinces(), query, { level: 'province' });
     }
 
     /**
      * Search regencies by name
-     * @param {string} query - Search query
+     * @param {string} query - Search query (see SaturaSearch.search)
      * @param {string} provinceId - Optional province ID to filter
-     * @returns {Promise<Array>} - Matching regencies
+     * @returns {Promise<Array>} - Matching regencies, best first, with province_name, score and highlight
      */
     async function searchRegencies(query, provinceId = null) {
-        if (!query || query.length < 2) {
-            return [];
-        }
-
-        const regencies = await loadRegencies();
-        const searchQuery = query.toLowerCase();
+        const regencies = await getRegencySearchList();
+        const results = SaturaSearch.search(regencies, query, {
+            level: 'regency',
+            limit: provinceId ? regencies.length : SaturaConfig.SEARCH.maxResults
+        });
 
-        let results = regencies.filter(r =>
-            r.name.toLowerCase().includes(searchQuery)
-        );
+        return provinceId
+            ? results.filter(r => r.province_id === provinceId).slice(0, SaturaConfig.SEARCH.maxResults)
+            : results;
+    }
 
+    /**
+     * Search districts and villages by name.
+     * Without a province, only provinces already loaded are searched
+     * (the current location's and any browsed in the dropdowns).
+     * @param {string} query - Search query (see SaturaSearch.search)
+     * @param {string} provinceId - Optional province ID to load and search
+     * @returns {Promise<Object>} - Object with districts and villages arrays, best first
+     */
+    async function searchDistricts(query, provinceId = null) {
         if (provinceId) {
-            results = results.filter(r => r.province_id === provinceId);
+            await loadDistricts(provinceId);
         }
 
-        return results;
+        const provinceIds = provinceId ? [provinceId] : [...districtsCache.keys()];
+        const lists = await Promise.all(provinceIds.map(id => getDistrictSearchList(id)));
+        const byScore = (a, b) => b.score - a.score;
+        const limit = SaturaConfig.SEARCH.maxResults;
+
+        return {
+            districts: lists
+                .flatMap(list => SaturaSearch.search(list.districts, query, { level: 'district' }))
+                .sort(byScore)
+                .slice(0, limit),
+            villages: lists
+                .flatMap(list => SaturaSearch.search(list.villages, query, { level: 'village' }))
+                .sort(byScore)
+                .slice(0, limit)
+        };
     }
 
     /**
-     * Search all locations (provinces and regencies)
+     * Search all locations (provinces, regencies, districts and villages)
      * @param {string} query - Search query
-     * @returns {Promise<Object>} - Object with provinces and regencies arrays
+     * @returns {Promise<Object>} - Object with provinces, regencies, districts and villages arrays
      */
     async function searchAll(query) {
-        const [provinces, regencies] = await Promise.all([
+        const [provinces, regencies, { districts, villages }] = await Promise.all([
             searchProvinces(query),
-            searchRegencies(query)
+            searchRegencies(query),
+            searchDistricts(query)
         ]);
 
-        return { provinces, regencies };
+        return { provinces, regencies, districts, villages };
     }
 
     // ===========================================
@@ -277,42 +591,267 @@ const SaturaDatabase = (function () {
         return degrees * (Math.PI / 180);
     }
 
+    // ===========================================
+    // SPATIAL INDEX
+    // ===========================================
+
     /**
-     * Find the nearest regency to given coordinates
-     * @param {number} latitude - User's latitude
-     * @param {number} longitude - User's longitude
-     * @returns {Promise<Object>} - Nearest regency with distance
+     * Point on the unit sphere. The straight-line (chord) distance between two
+     * such points grows with the great-circle distance, so the k-d tree can
+     * compare plain squared distances and still rank places as haversine would.
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Array<number>} - [x, y, z]
      */
-    async function findNearestRegency(latitude, longitude) {
-        const regencies = await loadRegencies();
+    function toVector(latitude, longitude) {
+        const phi = toRadians(latitude);
+        const lambda = toRadians(longitude);
+        return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    }
+
+    function squaredDistance(a, b) {
+        return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+    }
 
-        let nearest = null;
-        let minDistance = Infinity;
+    /**
+     * Build a k-d tree node (median split, cycling x/y/z)
+     * @param {Array} points - [{ item, vector }]
+     * @param {number} depth - Tree depth
+     * @returns {Object|null} - { point, axis, left, right }
+     */
+    function buildNode(points, depth) {
+        if (points.length === 0) {
+            return null;
+        }
+
+        const axis = depth % 3;
+        points.sort((a, b) => a.vector[axis] - b.vector[axis]);
+        const middle = points.length >> 1;
+
+        return {
+            point: points[middle],
+            axis,
+            left: buildNode(points.slice(0, middle), depth + 1),
+            right: buildNode(points.slice(middle + 1), depth + 1)
+        };
+    }
+
+    /**
+     * Get (building once) the k-d tree for a list of places.
+     * Keyed by level (and province for districts/villages); cleared with the data.
+     * @param {string} key - Index key, e.g. "regency" or "district:94"
+     * @param {Array} items - Places with latitude/longitude
+     * @returns {Object|null} - Tree root
+     */
+    function getIndex(key, items) {
+        if (!spatialIndex.has(key)) {
+            const points = items
+                .filter(item => item.latitude && item.longitude)
+                .map(item => ({ item, vector: toVector(item.latitude, item.longitude) }));
+
+            spatialIndex.set(key, buildNode(points, 0));
+            SaturaConfig.log(`Spatial index "${key}": ${points.length} points`);
+        }
+        return spatialIndex.get(key);
+    }
+
+    /**
+     * Collect the k nearest points of a subtree into best (sorted, nearest first)
+     * @param {Object} node - Tree node
+     * @param {Array<number>} target - Query vector
+     * @param {number} k - Number of neighbours
+     * @param {Array} best - [{ point, squared }]
+     */
+    function searchNode(node, target, k, best) {
+        if (!node) {
+            return;
+        }
+
+        const squared = squaredDistance(node.point.vector, target);
+        if (best.length < k || squared < best[best.length - 1].squared) {
+            best.push({ point: node.point, squared });
+            best.sort((a, b) => a.squared - b.squared);
+            if (best.length > k) best.pop();
+        }
+
+        const delta = target[node.axis] - node.point.vector[node.axis];
+        const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+
+        searchNode(near, target, k, best);
+
+        // The other side can only hold closer points if the split plane is closer
+        if (best.length < k || delta * delta < best[best.length - 1].squared) {
+            searchNode(far, target, k, best);
+        }
+    }
+
+    /**
+     * k nearest places in a tree
+     * @param {Object} tree - Tree root
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {number} k - Number of places
+     * @returns {Array} - Places with distance (km), nearest first
+     */
+    function queryIndex(tree, latitude, longitude, k) {
+        const best = [];
+        searchNode(tree, toVector(latitude, longitude), k, best);
+
+        return best.map(({ point }) => ({
+            ...point.item,
+            distance: Math.round(calculateDistance(latitude, longitude, point.item.latitude, point.item.longitude) * 100) / 100
+        }));
+    }
+
+    /**
+     * Villages of a province's districts, tagged with their district
+     * @param {Array} districts - Districts of one province
+     * @returns {Array} - Villages with district_id
+     */
+    function flattenVillages(districts) {
+        return districts.flatMap(d => (d.villages || []).map(v => ({ ...v, district_id: d.id })));
+    }
+
+    // ===========================================
+    // BOUNDARIES (POINT IN POLYGON)
+    // ===========================================
 
-        for (const regency of regencies) {
-            // Skip regencies without coordinates
-            if (!regency.latitude || !regency.longitude) {
-                continue;
+    /**
+     * Whether a point lies inside a ring (ray casting)
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {Array} ring - [[lng, lat], ...]
+     * @returns {boolean}
+     */
+    function isInRing(lng, lat, ring) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+                inside = !inside;
             }
+        }
 
-            const distance = calculateDistance(
-                latitude, longitude,
-                regency.latitude, regency.longitude
-            );
+        return inside;
+    }
 
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearest = {
-                    ...regency,
-                    distance: Math.round(distance * 100) / 100 // Round to 2 decimals
-                };
+    /**
+     * Whether a point lies inside a polygon (outer ring minus holes)
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {Array} polygon - [outerRing, ...holes]
+     * @returns {boolean}
+     */
+    function isInPolygon(lng, lat, [outer, ...holes]) {
+        return isInRing(lng, lat, outer) && !holes.some(hole => isInRing(lng, lat, hole));
+    }
+
+    /**
+     * Find the regency whose boundary contains the coordinates
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Promise<Object|null>} - Regency, or null (no boundary data, or a point at sea/abroad)
+     */
+    async function findRegencyAt(latitude, longitude) {
+        const [boundaries, regencies] = await Promise.all([loadBoundaries(), loadRegencies()]);
+
+        const match = boundaries.find(({ bbox, polygons }) =>
+            longitude >= bbox[0] && latitude >= bbox[1] &&
+            longitude <= bbox[2] && latitude <= bbox[3] &&
+            polygons.some(polygon => isInPolygon(longitude, latitude, polygon))
+        );
+
+        return match ? regencies.find(r => r.id === match.id) || null : null;
+    }
+
+    // ===========================================
+    // NEAREST LOOKUP
+    // ===========================================
+
+    /**
+     * Find the k nearest places of one level.
+     * Districts and villages are searched in the provinces of the few nearest
+     * regency centroids, so a point near a provincial border (or far from its
+     * own regency centroid) still resolves; provinces that fail to load are skipped.
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} options - { level: 'province'|'regency'|'district'|'village', k }
+     * @returns {Promise<Array>} - Places with distance (km), nearest first
+     */
+    async function findNearest(latitude, longitude, { level = 'regency', k = 1 } = {}) {
+        switch (level) {
+            case 'province':
+                return queryIndex(getIndex('province', await loadProvinces()), latitude, longitude, k);
+
+            case 'regency':
+                return queryIndex(getIndex('regency', await loadRegencies()), latitude, longitude, k);
+
+            case 'district':
+            case 'village': {
+                const candidates = await findNearest(latitude, longitude, {
+                    level: 'regency',
+                    k: SaturaConfig.DATABASE.nearestDistrictCandidates
+                });
+                const provinceIds = [...new Set(candidates.map(r => r.province_id))];
+
+                const results = await Promise.all(provinceIds.map(async (provinceId) => {
+                    // Not indexed on failure, so a later retry can still build it
+                    const districts = await loadDistricts(provinceId).catch(() => null);
+                    if (!districts) return [];
+
+                    const items = level === 'district' ? districts : flattenVillages(districts);
+                    return queryIndex(getIndex(`${level}:${provinceId}`, items), latitude, longitude, k);
+                }));
+
+                return results.flat().sort((a, b) => a.distance - b.distance).slice(0, k);
             }
+
+            default:
+                throw new Error(`Unknown location level: ${level}`);
         }
+    }
+
+    /**
+     * Find the regency of given coordinates: the one whose boundary contains
+     * the point, otherwise the nearest centroid
+     * @param {number} latitude - User's latitude
+     * @param {number} longitude - User's longitude
+     * @returns {Promise<Object>} - Regency with distance (to its centroid) and matchedBy ('boundary'|'centroid')
+     */
+    async function findNearestRegency(latitude, longitude) {
+        const containing = await findRegencyAt(latitude, longitude);
+
+        if (containing) {
+            const distance = calculateDistance(latitude, longitude, containing.latitude, containing.longitude);
+            SaturaConfig.log(`Regency by boundary: ${containing.name}`);
+            return { ...containing, distance: Math.round(distance * 100) / 100, matchedBy: 'boundary' };
+        }
+
+        const [nearest = null] = await findNearest(latitude, longitude, { level: 'regency' });
 
         if (nearest) {
             SaturaConfig.log(`Nearest regency: ${nearest.name} (${nearest.distance} km)`);
         }
 
+        return nearest ? { ...nearest, matchedBy: 'centroid' } : null;
+    }
+
+    /**
+     * Find the nearest district to given coordinates
+     * @param {number} latitude - User's latitude
+     * @param {number} longitude - User's longitude
+     * @returns {Promise<Object|null>} - Nearest district with distance, or null without district data
+     */
+    async function findNearestDistrict(latitude, longitude) {
+        const [nearest = null] = await findNearest(latitude, longitude, { level: 'district' });
+
+        if (nearest) {
+            SaturaConfig.log(`Nearest district: ${nearest.name} (${nearest.distance} km)`);
+        }
+
         return nearest;
     }
 
@@ -323,51 +862,67 @@ const SaturaDatabase = (function () {
      * @returns {Promise<Object>} - Nearest province with distance
      */
     async function findNearestProvince(latitude, longitude) {
-        const provinces = await loadProvinces();
-
-        let nearest = null;
-        let minDistance = Infinity;
-
-        for (const province of provinces) {
-            if (!province.latitude || !province.longitude) {
-                continue;
-            }
-
-            const distance = calculateDistance(
-                latitude, longitude,
-                province.latitude, province.longitude
-            );
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearest = {
-                    ...province,
-                    distance: Math.round(distance * 100) / 100
-                };
-            }
-        }
-
+        const [nearest = null] = await findNearest(latitude, longitude, { level: 'province' });
         return nearest;
     }
 
     /**
-     * Find nearest location (regency and province) from coordinates
+     * Find nearest location (village, district, regency and province) from coordinates.
+     * A regency boundary containing the point is authoritative and only its own
+     * districts/villages qualify. Without one, the finest level with data decides
+     * the ones above it: the district is the nearest village's district, the
+     * regency the district's own regency (not the nearest regency centroid).
      * @param {number} latitude - User's latitude
      * @param {number} longitude - User's longitude
-     * @returns {Promise<Object>} - Object with regency and province data
+     * @returns {Promise<Object>} - Object with village, district, regency and province data
      */
     async function findNearestLocation(latitude, longitude) {
-        const [regency, provinces] = await Promise.all([
+        const k = SaturaConfig.DATABASE.boundaryMatchCandidates;
+        const [nearestRegency, villages, districts, provinces, regencies] = await Promise.all([
             findNearestRegency(latitude, longitude),
-            loadProvinces()
+            findNearest(latitude, longitude, { level: 'village', k }),
+            findNearest(latitude, longitude, { level: 'district', k }),
+            loadProvinces(),
+            loadRegencies()
         ]);
 
+        const byBoundary = nearestRegency?.matchedBy === 'boundary';
+        const inRegency = (regencyId) => !byBoundary || regencyId === nearestRegency.id;
+
+        // The first 4 digits of a district ID are its regency
+        const village = villages.find(v => inRegency(v.district_id.slice(0, 4))) || null;
+        let district = districts.find(d => inRegency(d.regency_id)) || null;
+
+        if (village && village.district_id !== district?.id) {
+            const parent = await getDistrictById(village.district_id);
+            if (parent) {
+                district = {
+                    ...parent,
+                    distance: Math.round(calculateDistance(latitude, longitude, parent.latitude, parent.longitude) * 100) / 100
+                };
+            }
+        }
+
+        let regency = nearestRegency;
+        if (district && !byBoundary) {
+            const parent = regencies.find(r => r.id === district.regency_id);
+            if (parent) {
+                regency = {
+                    ...parent,
+                    distance: Math.round(calculateDistance(latitude, longitude, parent.latitude, parent.longitude) * 100) / 100,
+                    matchedBy: 'district'
+                };
+            }
+        }
+
         let province = null;
         if (regency) {
             province = provinces.find(p => p.id === regency.province_id) || null;
         }
 
         return {
+            village,
+            district,
             regency,
             province,
             coordinates: {
@@ -377,6 +932,10 @@ const SaturaDatabase = (function () {
         };
     }
 
+    // ===========================================
+    // LOCATION BY ID
+    // ===========================================
+
     /**
      * Get location data by regency ID (includes province)
      * @param {string} regencyId - Regency ID
@@ -401,6 +960,30 @@ const SaturaDatabase = (function () {
         };
     }
 
+    /**
+     * Get location data by district ID (includes regency and province)
+     * @param {string} districtId - District ID
+     * @returns {Promise<Object|null>} - Location data or null
+     */
+    async function getLocationByDistrictId(districtId) {
+        const district = await getDistrictById(districtId);
+
+        if (!district) {
+            return null;
+        }
+
+        const location = await getLocationByRegencyId(district.regency_id);
+
+        return {
+            ...location,
+            district,
+            coordinates: {
+                latitude: district.latitude,
+                longitude: district.longitude
+            }
+        };
+    }
+
     // ===========================================
     // UTILITY FUNCTIONS
     // ===========================================
@@ -415,7 +998,9 @@ const SaturaDatabase = (function () {
             provincesLoaded: provincesCache !== null,
             regenciesLoaded: regenciesCache !== null,
             provincesCount: provincesCache?.length || 0,
-            regenciesCount: regenciesCache?.length || 0
+            regenciesCount: regenciesCache?.length || 0,
+            districtProvincesLoaded: [...districtsCache.keys()],
+            boundariesCount: boundariesCache?.length || 0
         };
     }
 
@@ -425,6 +1010,11 @@ const SaturaDatabase = (function () {
     function clearCache() {
         provincesCache = null;
         regenciesCache = null;
+        districtsCache.clear();
+        districtSearchLists.clear();
+        regencySearchList = null;
+        spatialIndex.clear();
+        boundariesCache = null;
         loadPromise = null;
         SaturaConfig.log('Database cache cleared');
     }
@@ -445,6 +1035,8 @@ const SaturaDatabase = (function () {
         // Loading
         loadAll,
         preload,
+        loadBoundaries,
+        loadOutline,
 
         // Provinces
         getProvinces,
@@ -457,17 +1049,28 @@ const SaturaDatabase = (function () {
         getRegencyByName,
         getRegenciesByProvince,
 
+        // Districts & villages
+        loadDistricts,
+        getDistrictsByRegency,
+        getDistrictById,
+        getVillagesByDistrict,
+
         // Search
         searchProvinces,
         searchRegencies,
+        searchDistricts,
         searchAll,
 
         // Location/Coordinates
         calculateDistance,
+        findNearest,
+        findRegencyAt,
         findNearestRegency,
+        findNearestDistrict,
         findNearestProvince,
         findNearestLocation,
         getLocationByRegencyId,
+        getLocationByDistrictId,
 
         // Utility
         getStatus,
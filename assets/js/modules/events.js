@@ -0,0 +1,222 @@
+/**
+ * Satu Ramadhan - Events Module
+ * Yearly Islamic events (Idul Fitri, Idul Adha, Arafah, Asyura, ...) per organization
+ * Month starts come from official dates in ramadhan.json, otherwise from hisab
+ */
+
+const SaturaEvents = (function () {
+    'use strict';
+
+    // Official month starts: { 'YYYY-MM' (Hijri): { muhammadiyah: 'YYYY-MM-DD', nu: 'YYYY-MM-DD' } }
+    let officialStarts = {};
+
+    // Hisab results, keyed by Hijri month, organization and place
+    const startCache = new Map();
+
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
+    function monthKey(year, month) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    function parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    function addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    function startOfDay(date) {
+        const result = new Date(date);
+        result.setHours(0, 0, 0, 0);
+        return result;
+    }
+
+    // Instant of midnight at the saved location on a calendar date
+    function locationMidnight(date) {
+        const day = String(date.getDate()).padStart(2, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        return SaturaPrayer.toTimestamp(`${day}-${month}-${date.getFullYear()}`, '00:00');
+    }
+
+    /**
+     * Normalize a Hijri month that may be out of 1-12
+     * @param {number} year - Hijri year
+     * @param {number} month - Month, may be < 1 or > 12
+     * @returns {Object} - { year, month }
+     */
+    function normalizeMonth(year, month) {
+        const index = year * 12 + (month - 1);
+        return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+    }
+
+    // ===========================================
+    // MONTH STARTS
+    // ===========================================
+
+    /**
+     * Register official month starts (sidang isbat) from ramadhan.json
+     * Reads `awalBulan` ({ 'YYYY-MM': { org: 'YYYY-MM-DD' } }) and `tanggalSatuRamadhan`
+     * @param {Object} data - Parsed ramadhan.json (or null)
+     */
+    function setOfficialDates(data) {
+        officialStarts = {};
+        startCache.clear();
+        if (!data) return;
+
+        Object.entries(data.awalBulan || {}).forEach(([key, dates]) => {
+            officialStarts[key] = { ...dates };
+        });
+
+        if (data.tahunHijriah && data.tanggalSatuRamadhan) {
+            const key = monthKey(Number(data.tahunHijriah), SaturaConfig.HIJRI.ramadhanMonth);
+            officialStarts[key] = { ...data.tanggalSatuRamadhan, ...officialStarts[key] };
+        }
+    }
+
+    /**
+     * First day of a Hijri month for an organization
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {string} org - 'muhammadiyah' or 'nu'
+     * @param {Object} place - { latitude, longitude } (default: saved location)
+     * @returns {Object} - { date, source: 'official'|'hisab' }
+     */
+    function getMonthStart(year, month, org, place = {}) {
+        const key = monthKey(year, month);
+        const official = officialStarts[key]?.[org];
+        if (official) {
+            return { date: parseDate(official), source: 'official' };
+        }
+
+        const loc = place.latitude != null ? place : SaturaStorage.getLocation();
+        const cacheKey = `${key}:${org}:${SaturaStorage.getCoordsScope(loc)}`;
+        if (!startCache.has(cacheKey)) {
+            const criterion = SaturaConfig.HISAB.organizations[org];
+            const result = SaturaHilal.getMonthStart(year, month, criterion, place);
+            startCache.set(cacheKey, { date: result.date, source: 'hisab' });
+        }
+
+        const cached = startCache.get(cacheKey);
+        return { date: new Date(cached.date), source: cached.source };
+    }
+
+    // ===========================================
+    // EVENTS
+    // ===========================================
+
+    /**
+     * Build one event occurrence
+     * @param {Object} def - Event definition from SaturaConfig.EVENTS
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month
+     * @param {Array} days - Hijri days covered (first..last)
+     * @param {string} org - Organization
+     * @param {Object} place - Place for hisab
+     * @returns {Object}
+     */
+    function buildOccurrence(def, year, month, days, org, place) {
+        const { date, source } = getMonthStart(year, month, org, place);
+
+        return {
+            id: `${def.id}-${monthKey(year, month)}`,
+            key: def.id,
+            name: def.name,
+            type: def.type,
+            description: def.description,
+            start: addDays(date, days[0] - 1),
+            end: addDays(date, days[days.length - 1] - 1),
+            hijri: { year, month, days, monthName: SaturaConfig.HIJRI.months[month - 1] },
+            source
+        };
+    }
+
+    /**
+     * List upcoming (and ongoing) events
+     * @param {Object} options - { org, place, from, monthsAhead }
+     * @returns {Array} - Occurrences sorted by start date
+     */
+    function getUpcoming(options = {}) {
+        const config = SaturaConfig.EVENTS;
+        const org = options.org || SaturaStorage.getSetting('organization', 'nu');
+        const place = options.place || {};
+        const from = startOfDay(options.from || SaturaPrayer.getLocationDate());
+        const monthsAhead = options.monthsAhead ?? config.monthsAhead;
+        const bidh = config.ayyamulBidh;
+
+        const today = SaturaHijri.toHijri(from);
+        const events = [];
+        let bidhCount = 0;
+
+        // Start one month back: the local calendar may run ahead of hisab
+        for (let offset = -1; offset <= monthsAhead; offset++) {
+            const { year, month } = normalizeMonth(today.year, today.month + offset);
+
+            config.annual
+                .filter(def => def.month === month)
+                .forEach(def => events.push(buildOccurrence(def, year, month, [def.day], org, place)));
+
+            if (bidhCount < bidh.occurrences && !bidh.skipMonths.includes(month)) {
+                const days = bidh.exceptions[month] || bidh.days;
+                const occurrence = buildOccurrence({
+                    id: 'ayyamulBidh',
+                    name: bidh.name,
+                    type: bidh.type,
+                    description: `Puasa sunnah ${days[0]}-${days[days.length - 1]} ${SaturaConfig.HIJRI.months[month - 1]}`
+                }, year, month, days, org, place);
+
+                if (occurrence.end >= from) {
+                    events.push(occurrence);
+                    bidhCount++;
+                }
+            }
+        }
+
+        return events
+            .filter(event => event.end >= from)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Countdown to an event's first day (midnight at the saved location)
+     * @param {Object} event - Occurrence from getUpcoming()
+     * @param {Date} now - Reference time
+     * @returns {Object} - { state: 'upcoming'|'today'|'ongoing', days, hours, minutes, seconds }
+     */
+    function getCountdown(event, now = SaturaClock.now()) {
+        const today = SaturaPrayer.getLocationDate(0, undefined, now);
+        if (event.start <= today) {
+            return { state: event.start.getTime() === today.getTime() ? 'today' : 'ongoing', days: 0, hours: 0, minutes: 0, seconds: 0 };
+        }
+
+        const diff = locationMidnight(event.start) - now;
+        return {
+            state: 'upcoming',
+            days: Math.floor(diff / 86400000),
+            hours: Math.floor((diff % 86400000) / 3600000),
+            minutes: Math.floor((diff % 3600000) / 60000),
+            seconds: Math.floor((diff % 60000) / 1000)
+        };
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        setOfficialDates,
+        getMonthStart,
+        getUpcoming,
+        getCountdown
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaEvents;
+}
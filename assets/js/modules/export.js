@@ -0,0 +1,517 @@
+/**
+ * Satu Ramadhan - Export Module
+ * Client-side exports of the 30-day Ramadhan schedule:
+ * print-optimised A4 sheet, CSV, iCalendar (.ics) and per-regency calendar feeds
+ */
+
+const SaturaExport = (function () {
+    'use strict';
+
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
+    const WEEKDAYS = ['Minggu', 'Senin', 'Selasa', 'Rabu', 'Kamis', 'Jumat', 'Sabtu'];
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    function escapeHTML(str) {
+        if (str === null || str === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(str);
+        return div.innerHTML;
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD
+     * @param {Date} date - Date
+     * @returns {string}
+     */
+    function toDateKey(date) {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Clean HH:MM from a timing value ("04:32 (WIB)" → "04:32")
+     * @param {string} value - Timing value
+     * @returns {string} - HH:MM or '' if missing
+     */
+    function cleanTime(value) {
+        const time = String(value || '').split(' ')[0];
+        return /^\d{1,2}:\d{2}$/.test(time) ? time : '';
+    }
+
+    /**
+     * File name for an export
+     * @param {Object} meta - Export metadata
+     * @param {string} extension - File extension without dot
+     * @returns {string}
+     */
+    function getFileName(meta, extension) {
+        const slug = String(meta.location || 'lokasi')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        return `${SaturaConfig.EXPORT.filePrefix}-${meta.hijriYear}h-${slug || 'lokasi'}.${extension}`;
+    }
+
+    // ===========================================
+    // CSV
+    // ===========================================
+
+    function csvCell(value) {
+        const text = String(value ?? '');
+        return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build the schedule as CSV (UTF-8 with BOM so spreadsheet apps read it correctly)
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata
+     * @returns {string}
+     */
+    function toCSV(days, meta) {
+        const { columns } = SaturaConfig.EXPORT;
+        const zone = meta.zoneLabel ? ` (${meta.zoneLabel})` : '';
+
+        const rows = [
+            ['Ramadhan', 'Tanggal', 'Hari', ...columns.map(column => column.label + zone)],
+            ...days.map(({ day, date, timings }) => [
+                day,
+                toDateKey(date),
+                WEEKDAYS[date.getDay()],
+                ...columns.map(column => cleanTime(timings[column.key]))
+            ])
+        ];
+
+        return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // ===========================================
+    // ICALENDAR
+    // ===========================================
+
+    /**
+     * Escape a TEXT value (RFC 5545 §3.3.11)
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    function icsText(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets without splitting UTF-8 characters
+     * @param {string} line - Content line
+     * @returns {string}
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines start with a space, which counts towards the limit
+            const limit = parts.length ? 74 : 75;
+            if (octets + size > limit) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += char;
+            octets += size;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Format an instant as an iCalendar UTC date-time
+     * @param {Date} date - Instant
+     * @returns {string} - YYYYMMDDTHHMMSSZ
+     */
+    function toICSDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Wall-clock HH:MM (plus minutes) on a calendar date, as fields read with getUTC*
+     * @param {Date} date - Calendar date
+     * @param {string} time - HH:MM
+     * @param {number} plusMinutes - Minutes to add
+     * @returns {Date}
+     */
+    function wallClock(date, time, plusMinutes = 0) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes + plusMinutes));
+    }
+
+    /**
+     * Format a wall-clock time as an iCalendar local date-time (used with TZID)
+     * @param {Date} wall - Result of wallClock()
+     * @returns {string} - YYYYMMDDTHHMMSS
+     */
+    function toICSLocal(wall) {
+        return toICSDate(wall).replace('Z', '');
+    }
+
+    /**
+     * Wall-clock HH:MM on a local date in a time zone, as an instant
+     * @param {Date} date - Calendar date
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA time zone
+     * @returns {Date}
+     */
+    function zonedInstant(date, time, timeZone) {
+        const wall = wallClock(date, time);
+        const offset = SaturaAstronomy.getTimezoneOffset(timeZone, new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12)));
+
+        return new Date(wall.getTime() - offset * 3600000);
+    }
+
+    /**
+     * UTC offset of a time zone as ±HHMM
+     * @param {string} timeZone - IANA time zone
+     * @param {Date} date - Reference date
+     * @returns {string}
+     */
+    function formatOffset(timeZone, date) {
+        const offset = SaturaAstronomy.getTimezoneOffset(timeZone, date);
+        const minutes = Math.round(Math.abs(offset) * 60);
+        return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+    }
+
+    /**
+     * VTIMEZONE for an Indonesian zone (fixed offset, no daylight saving)
+     * @param {string} timeZone - Asia/Jakarta, Asia/Makassar or Asia/Jayapura
+     * @param {Date} date - Reference date
+     * @returns {Array} - Content lines
+     */
+    function buildTimezone(timeZone, date) {
+        const offset = formatOffset(timeZone, date);
+
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timeZone}`,
+            `X-LIC-LOCATION:${timeZone}`,
+            'BEGIN:STANDARD',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            `TZNAME:${SaturaConfig.LOCATION.timezoneLabels[timeZone]}`,
+            'DTSTART:19700101T000000',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    }
+
+    /**
+     * Reminder before an event
+     * @param {string} title - Event title
+     * @param {number} minutes - Minutes before the start
+     * @returns {Array} - Content lines
+     */
+    function buildAlarm(title, minutes) {
+        return [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${icsText(minutes ? `${title} ${minutes} menit lagi` : `Waktu ${title}`)}`,
+            `TRIGGER:${minutes ? `-PT${minutes}M` : 'PT0M'}`,
+            'END:VALARM'
+        ];
+    }
+
+    /**
+     * Build Imsak & Maghrib events (with reminders) as an iCalendar file.
+     * Indonesian zones are written with their TZID so calendar apps keep the
+     * times in WIB/WITA/WIT; any other zone falls back to UTC.
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata (regencyId makes UIDs stable per regency)
+     * @returns {string}
+     */
+    function toICS(days, meta) {
+        const stamp = toICSDate(new Date());
+        const place = meta.regencyId || `${Number(meta.latitude).toFixed(4)},${Number(meta.longitude).toFixed(4)}`;
+        const calendarName = `Imsakiyah Ramadhan ${meta.hijriYear} H - ${meta.location}`;
+        const tzid = SaturaConfig.LOCATION.timezoneLabels[meta.timeZone] ? meta.timeZone : null;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${SaturaConfig.APP.name}//Jadwal Imsakiyah//ID`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${icsText(calendarName)}`,
+            `X-PUBLISHED-TTL:${SaturaConfig.EXPORT.refreshInterval}`,
+            `REFRESH-INTERVAL;VALUE=DURATION:${SaturaConfig.EXPORT.refreshInterval}`
+        ];
+
+        if (tzid) {
+            lines.push(`X-WR-TIMEZONE:${tzid}`, ...buildTimezone(tzid, days[0]?.date || new Date()));
+        }
+
+        days.forEach(({ day, date, timings }) => {
+            SaturaConfig.EXPORT.events.forEach(event => {
+                const time = cleanTime(timings[event.key]);
+                if (!time) return;
+
+                const start = tzid
+                    ? `DTSTART;TZID=${tzid}:${toICSLocal(wallClock(date, time))}`
+                    : `DTSTART:${toICSDate(zonedInstant(date, time, meta.timeZone))}`;
+                const end = tzid
+                    ? `DTEND;TZID=${tzid}:${toICSLocal(wallClock(date, time, event.duration))}`
+                    : `DTEND:${toICSDate(new Date(zonedInstant(date, time, meta.timeZone).getTime() + event.duration * 60000))}`;
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    // Stable per day/event/place so re-importing updates instead of duplicating
+                    `UID:${toDateKey(date)}-${event.id}-${place}@satu-ramadhan`,
+                    `DTSTAMP:${stamp}`,
+                    start,
+                    end,
+                    `SUMMARY:${icsText(`${event.title} - ${day} Ramadhan ${meta.hijriYear} H`)}`,
+                    `DESCRIPTION:${icsText(`${event.title} ${time} ${meta.zoneLabel || ''} · ${meta.location} · ${meta.organization}`)}`,
+                    `LOCATION:${icsText(meta.location)}`,
+                    `GEO:${Number(meta.latitude).toFixed(6)};${Number(meta.longitude).toFixed(6)}`,
+                    'TRANSP:TRANSPARENT',
+                    ...(event.alarms || []).flatMap(minutes => buildAlarm(event.title, minutes)),
+                    'END:VEVENT'
+                );
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // ===========================================
+    // REGENCY FEED
+    // ===========================================
+
+    /**
+     * Ramadhan days for a regency from the database, without the network:
+     * cached schedules for that place when present, otherwise calculated locally
+     * @param {Object} regency - Regency from SaturaDatabase ({ id, province_id, name, latitude, longitude })
+     * @param {Date} startDate - 1 Ramadhan
+     * @param {number} count - Number of days
+     * @returns {Array} - [{ day, date, timings }]
+     */
+    function getRegencyDays(regency, startDate, count = 30) {
+        const coords = { latitude: Number(regency.latitude), longitude: Number(regency.longitude) };
+        const calculation = {
+            ...SaturaStorage.getCalculationSettings(),
+            timezone: SaturaConfig.getTimezoneForProvince(regency.province_id)
+        };
+
+        return Array.from({ length: count }, (_, i) => {
+            const date = new Date(startDate);
+            date.setDate(startDate.getDate() + i);
+
+            const cached = SaturaStorage.getPrayerCache(toDateKey(date), coords);
+            let timings;
+
+            if (cached?.timings) {
+                // Cached schedules are keyed locally and already adjusted
+                timings = {};
+                Object.entries(SaturaConfig.PRAYER.apiMapping).forEach(([apiKey, localKey]) => {
+                    if (cached.timings[localKey]) timings[apiKey] = cached.timings[localKey].time;
+                });
+            } else {
+                timings = SaturaPrayer.getAdjustedTimings(
+                    SaturaAstronomy.calculate(coords.latitude, coords.longitude, date, calculation)
+                );
+            }
+
+            return { day: i + 1, date, timings };
+        });
+    }
+
+    /**
+     * Build a regency's Ramadhan calendar with Imsak & Maghrib reminders
+     * @param {Object} regency - Regency from SaturaDatabase
+     * @param {Object} options - { startDate, hijriYear, organization, province }
+     * @returns {Object} - { fileName, content }
+     */
+    function buildRegencyFeed(regency, options) {
+        const timeZone = SaturaConfig.getTimezoneForProvince(regency.province_id);
+        const meta = {
+            location: options.province ? `${regency.name}, ${options.province}` : regency.name,
+            regencyId: regency.id,
+            latitude: regency.latitude,
+            longitude: regency.longitude,
+            organization: options.organization,
+            hijriYear: options.hijriYear,
+            timeZone,
+            zoneLabel: SaturaConfig.LOCATION.timezoneLabels[timeZone] || timeZone
+        };
+
+        return {
+            fileName: getFileName({ ...meta, location: regency.name }, 'ics'),
+            content: toICS(getRegencyDays(regency, options.startDate), meta)
+        };
+    }
+
+    // ===========================================
+    // PRINT (A4)
+    // ===========================================
+
+    /**
+     * Build the printable imsakiyah sheet
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata
+     * @returns {string} - HTML
+     */
+    function buildPrintHTML(days, meta) {
+        const { columns } = SaturaConfig.EXPORT;
+        const today = new Date().toDateString();
+        const first = days[0]?.date;
+        const last = days[days.length - 1]?.date;
+        const range = first && last
+            ? `${first.toLocaleDateString('id-ID', { day: 'numeric', month: 'long' })} – ${last.toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' })}`
+            : '';
+
+        const rows = days.map(({ day, date, timings }) => `
+            <tr class="${date.toDateString() === today ? 'is-today' : ''}">
+                <td>${day}</td>
+                <td>${WEEKDAYS[date.getDay()]}</td>
+                <td>${date.toLocaleDateString('id-ID', { day: 'numeric', month: 'short' })}</td>
+                ${columns.map(column => `<td>${cleanTime(timings[column.key]) || '-'}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        return `
+            <header class="print-sheet__header">
+                <p class="print-sheet__eyebrow">Jadwal Imsakiyah</p>
+                <h1 class="print-sheet__title">Ramadhan ${escapeHTML(meta.hijriYear)} H / ${escapeHTML(first?.getFullYear() || '')} M</h1>
+                <p class="print-sheet__location">${escapeHTML(meta.location)}</p>
+                <dl class="print-sheet__meta">
+                    <div><dt>Penetapan</dt><dd>${escapeHTML(meta.organization)}</dd></div>
+                    <div><dt>Periode</dt><dd>${escapeHTML(range)}</dd></div>
+                    <div><dt>Koordinat</dt><dd>${Number(meta.latitude).toFixed(4)}, ${Number(meta.longitude).toFixed(4)}</dd></div>
+                    <div><dt>Zona waktu</dt><dd>${escapeHTML(meta.zoneLabel || meta.timeZone)}</dd></div>
+                </dl>
+            </header>
+            <table class="print-sheet__table">
+                <thead>
+                    <tr>
+                        <th>Ramadhan</th>
+                        <th>Hari</th>
+                        <th>Tanggal</th>
+                        ${columns.map(column => `<th>${escapeHTML(column.label)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <footer class="print-sheet__footer">
+                ${meta.method ? `Metode: ${escapeHTML(meta.method)} · ` : ''}Dicetak ${new Date().toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' })} · ${escapeHTML(SaturaConfig.APP.name)}
+            </footer>
+        `;
+    }
+
+    /**
+     * Render the sheet into a container and open the print dialog
+     * @param {HTMLElement} container - Print sheet element
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata
+     */
+    function print(container, days, meta) {
+        container.innerHTML = buildPrintHTML(days, meta);
+        window.print();
+    }
+
+    // ===========================================
+    // DOWNLOAD
+    // ===========================================
+
+    /**
+     * Save generated content as a file
+     * @param {string} content - File contents
+     * @param {string} fileName - File name
+     * @param {string} type - MIME type
+     */
+    function download(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        SaturaConfig.log('Schedule exported:', fileName);
+    }
+
+    /**
+     * Download the schedule as CSV
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata
+     * @returns {string} - File name
+     */
+    function downloadCSV(days, meta) {
+        const fileName = getFileName(meta, 'csv');
+        download(toCSV(days, meta), fileName, 'text/csv;charset=utf-8');
+        return fileName;
+    }
+
+    /**
+     * Download Imsak & Maghrib events as an iCalendar file
+     * @param {Array} days - [{ day, date, timings }]
+     * @param {Object} meta - Export metadata
+     * @returns {string} - File name
+     */
+    function downloadICS(days, meta) {
+        const fileName = getFileName(meta, 'ics');
+        download(toICS(days, meta), fileName, 'text/calendar;charset=utf-8');
+        return fileName;
+    }
+
+    /**
+     * Download a regency's Ramadhan calendar
+     * @param {Object} regency - Regency from SaturaDatabase
+     * @param {Object} options - Same as buildRegencyFeed()
+     * @returns {string} - File name
+     */
+    function downloadRegencyFeed(regency, options) {
+        const { fileName, content } = buildRegencyFeed(regency, options);
+        download(content, fileName, 'text/calendar;charset=utf-8');
+        return fileName;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Builders
+        toCSV,
+        toICS,
+        buildPrintHTML,
+
+        // Actions
+        print,
+        downloadCSV,
+        downloadICS,
+
+        // Regency feed
+        getRegencyDays,
+        buildRegencyFeed,
+        downloadRegencyFeed
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaExport;
+}
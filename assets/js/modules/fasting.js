@@ -0,0 +1,191 @@
+/**
+ * Satu Ramadhan - Sunnah Fasting Module
+ * Marks sunnah fasting days (Senin-Kamis, ayyamul bidh, Arafah, Asyura, six Syawal days)
+ * from the Hijri dates in the prayer schedule, and keeps a per-day checklist
+ */
+
+const SaturaFasting = (function () {
+    'use strict';
+
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
+    function formatDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    function formatHijriKey(hijri) {
+        return `${hijri.year}-${String(hijri.month).padStart(2, '0')}-${String(hijri.day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Read a Hijri date in Aladhan format (schedule.date.hijri) as numbers
+     * @param {Object} hijri - { day, month: { number }, year }
+     * @returns {Object|null} - { day, month, year, monthName }
+     */
+    function readHijri(hijri) {
+        const day = Number(hijri?.day);
+        const month = Number(hijri?.month?.number);
+        const year = Number(hijri?.year);
+        if (!day || !month || !year) return null;
+
+        return { day, month, year, monthName: SaturaConfig.HIJRI.months[month - 1] };
+    }
+
+    /**
+     * Parse a schedule's Gregorian date (DD-MM-YYYY)
+     * @param {Object} schedule - Processed prayer schedule
+     * @returns {Date|null}
+     */
+    function getScheduleDate(schedule) {
+        const value = schedule?.date?.gregorian?.date;
+        if (!value) return null;
+
+        const [day, month, year] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // ===========================================
+    // FASTING DAYS
+    // ===========================================
+
+    /**
+     * Sunnah fasting reasons for one day
+     * @param {Date} date - Gregorian date
+     * @param {Object} hijri - { day, month, year }
+     * @returns {Array} - [{ id, name }], empty in Ramadhan and on forbidden days
+     */
+    function getDayTypes(date, hijri) {
+        const config = SaturaConfig.FASTING;
+        const bidh = SaturaConfig.EVENTS.ayyamulBidh;
+
+        if (!hijri || hijri.month === SaturaConfig.HIJRI.ramadhanMonth) return [];
+        if (config.forbidden[hijri.month]?.includes(hijri.day)) return [];
+
+        const types = SaturaConfig.EVENTS.annual
+            .filter(def => def.type === 'puasa' && def.month === hijri.month && def.day === hijri.day)
+            .map(def => ({ id: def.id, name: def.name }));
+
+        if (hijri.month === config.syawal.month && hijri.day >= config.syawal.fromDay) {
+            types.push({ id: config.syawal.id, name: config.syawal.name });
+        }
+
+        if (!bidh.skipMonths.includes(hijri.month) &&
+            (bidh.exceptions[hijri.month] || bidh.days).includes(hijri.day)) {
+            types.push({ id: 'ayyamulBidh', name: bidh.name });
+        }
+
+        if (config.weekly.days.includes(date.getDay())) {
+            types.push({ id: config.weekly.id, name: config.weekly.name });
+        }
+
+        return types;
+    }
+
+    /**
+     * Build the fasting plan for a Gregorian month
+     * @param {number} year - Gregorian year
+     * @param {number} month - Gregorian month (1-12)
+     * @param {Array} schedules - Processed schedules for the month (may be empty when offline)
+     * @returns {Array} - [{ date, dateKey, hijri, types, imsak, maghrib, done }] for sunnah days only
+     */
+    function getMonthPlan(year, month, schedules = []) {
+        const byDate = new Map();
+        schedules.forEach(schedule => {
+            const date = getScheduleDate(schedule);
+            if (date) byDate.set(formatDateKey(date), schedule);
+        });
+
+        const log = getLog();
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const plan = [];
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(year, month - 1, day);
+            const dateKey = formatDateKey(date);
+            const schedule = byDate.get(dateKey);
+
+            // Prefer the schedule's Hijri date; fall back to the local calendar
+            const hijri = readHijri(schedule?.date?.hijri) || readHijri(SaturaHijri.toAladhanFormat(date));
+            const types = getDayTypes(date, hijri);
+            if (!types.length) continue;
+
+            plan.push({
+                date,
+                dateKey,
+                hijri,
+                types,
+                imsak: schedule?.timings?.imsak?.time || null,
+                maghrib: schedule?.timings?.maghrib?.time || null,
+                done: Boolean(log[dateKey])
+            });
+        }
+
+        return plan;
+    }
+
+    // ===========================================
+    // CHECKLIST
+    // ===========================================
+
+    /**
+     * Get the fasting log
+     * @returns {Object} - { 'YYYY-MM-DD': { types, hijri } }
+     */
+    function getLog() {
+        return SaturaStorage.getSetting('fastingLog', {}) || {};
+    }
+
+    /**
+     * Check a day off (or undo it)
+     * @param {Object} day - Plan entry from getMonthPlan()
+     * @param {boolean} done - Whether the day was fasted
+     */
+    function setDone(day, done) {
+        const log = { ...getLog() };
+
+        if (done) {
+            log[day.dateKey] = { types: day.types.map(type => type.id), hijri: formatHijriKey(day.hijri) };
+        } else {
+            delete log[day.dateKey];
+        }
+
+        SaturaStorage.setSetting('fastingLog', log);
+    }
+
+    /**
+     * Six Syawal days progress for a Hijri year
+     * @param {number} hijriYear - Hijri year
+     * @returns {Object} - { done, target }
+     */
+    function getSyawalProgress(hijriYear) {
+        const syawal = SaturaConfig.FASTING.syawal;
+        const prefix = `${hijriYear}-${String(syawal.month).padStart(2, '0')}-`;
+
+        const done = Object.values(getLog())
+            .filter(entry => entry?.hijri?.startsWith(prefix) && entry.types?.includes(syawal.id))
+            .length;
+
+        return { done: Math.min(done, syawal.target), target: syawal.target };
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        getDayTypes,
+        getMonthPlan,
+        getLog,
+        setDone,
+        getSyawalProgress
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaFasting;
+}
@@ -0,0 +1,392 @@
+/**
+ * Satu Ramadhan - Hijri Calendar Module
+ * Local Gregorian <-> Hijri conversion (Umm al-Qura table + tabular arithmetic)
+ * The Aladhan API is only used as an optional cross-check
+ */
+
+const SaturaHijri = (function () {
+    'use strict';
+
+    // ===========================================
+    // CALENDAR DATA
+    // ===========================================
+
+    // Umm al-Qura month lengths, one 12-bit mask per year (bit n set = month n+1 has 30 days)
+    const UMM_AL_QURA = {
+        startYear: 1400,
+        startJDN: 2444199, // 1 Muharram 1400 = 21 November 1979
+        months: [
+            0xAA5, 0xA4B, 0x497, 0x937, 0x2B6, 0x975, 0xD69, 0xD52, 0xC95, 0x92B,
+            0x25B, 0x4DB, 0x9D5, 0x5D2, 0xDA5, 0xD4A, 0xA95, 0x54D, 0xAAD, 0x3AA,
+            0xBD2, 0xBC4, 0xB89, 0xA95, 0x52D, 0x5AD, 0xB6A, 0x6D4, 0xDC9, 0xD92,
+            0xAA6, 0x956, 0x2AE, 0x56D, 0x36A, 0xB55, 0xAAA, 0x94D, 0x49D, 0x95D,
+            0x2BA, 0x5B5, 0x5AA, 0xD55, 0xA9A, 0x92E, 0x26E, 0x55D, 0xADA, 0x6D4,
+            0x6A5, 0xB27, 0xA4D, 0x4AD, 0x56D, 0xB5A, 0x754, 0xF49, 0xE92, 0xD26,
+            0xA56, 0x356, 0x6B5, 0xBAA, 0xB92, 0xB25, 0x68B, 0xA9B, 0x55A, 0xADA,
+            0x5B4, 0xDA9, 0xB52, 0xA9A, 0x536, 0x276, 0x575, 0xAF2, 0x6D4, 0x6A9,
+            0x555, 0x2AD, 0x4BD, 0x9BA, 0x574, 0xB69, 0xB52, 0xA95, 0x52D, 0xA5D,
+            0x4DA, 0xAD9, 0x6B2, 0xE95, 0xE2A, 0xC96, 0x92E, 0xAAD, 0x56A, 0xD65,
+            0xD4A
+        ]
+    };
+
+    // JDN of 1 Muharram 1 AH in the civil (Friday) epoch, 16 July 622
+    const TABULAR_EPOCH = 1948440;
+
+    // First day (JDN) of each Umm al-Qura year, plus the day after the table ends
+    let yearStarts = null;
+
+    // ===========================================
+    // JULIAN DAY NUMBER
+    // ===========================================
+
+    /**
+     * Convert a Gregorian date to a Julian Day Number
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} - JDN
+     */
+    function gregorianToJDN(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+            Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    }
+
+    /**
+     * Convert a Julian Day Number to a Gregorian date
+     * @param {number} jdn - JDN
+     * @returns {Object} - { year, month, day }
+     */
+    function jdnToGregorian(jdn) {
+        const a = jdn + 32044;
+        const b = Math.floor((4 * a + 3) / 146097);
+        const c = a - Math.floor(146097 * b / 4);
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+
+        return {
+            year: 100 * b + d - 4800 + Math.floor(m / 10),
+            month: m + 3 - 12 * Math.floor(m / 10),
+            day: e - Math.floor((153 * m + 2) / 5) + 1
+        };
+    }
+
+    /**
+     * JDN of a Date's local calendar day
+     * @param {Date} date - Date
+     * @returns {number} - JDN
+     */
+    function dateToJDN(date) {
+        return gregorianToJDN(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    }
+
+    /**
+     * Normalize a Gregorian date input to a local Date
+     * Strings are read as calendar days so they never shift across timezones.
+     * @param {Date|string} value - Date, 'DD-MM-YYYY' (Aladhan) or 'YYYY-MM-DD'
+     * @returns {Date}
+     */
+    function toDate(value) {
+        if (typeof value === 'string') {
+            const parts = value.split('-').map(Number);
+            if (parts.length === 3 && parts.every(Number.isFinite)) {
+                const [year, month, day] = parts[0] > 31 ? parts : parts.reverse();
+                return new Date(year, month - 1, day);
+            }
+        }
+        return new Date(value);
+    }
+
+    // ===========================================
+    // TABULAR CALENDAR
+    // ===========================================
+
+    /**
+     * Tabular (30-year cycle) Hijri date to JDN
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} - JDN
+     */
+    function tabularToJDN(year, month, day) {
+        return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+            Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1;
+    }
+
+    /**
+     * JDN to tabular Hijri date
+     * @param {number} jdn - JDN
+     * @returns {Object} - { year, month, day }
+     */
+    function jdnToTabular(jdn) {
+        const year = Math.floor((30 * (jdn - TABULAR_EPOCH) + 10646) / 10631);
+        const month = Math.min(12, Math.ceil((jdn - 29 - tabularToJDN(year, 1, 1)) / 29.5) + 1);
+        const day = jdn - tabularToJDN(year, month, 1) + 1;
+
+        return { year, month, day };
+    }
+
+    // ===========================================
+    // UMM AL-QURA CALENDAR
+    // ===========================================
+
+    /**
+     * Check whether a Hijri year is covered by the Umm al-Qura table
+     * @param {number} year - Hijri year
+     * @returns {boolean}
+     */
+    function isInTable(year) {
+        return year >= UMM_AL_QURA.startYear &&
+            year < UMM_AL_QURA.startYear + UMM_AL_QURA.months.length;
+    }
+
+    function getTableMonthLength(year, month) {
+        const mask = UMM_AL_QURA.months[year - UMM_AL_QURA.startYear];
+        return (mask >> (month - 1)) & 1 ? 30 : 29;
+    }
+
+    function getYearStarts() {
+        if (!yearStarts) {
+            yearStarts = [UMM_AL_QURA.startJDN];
+            UMM_AL_QURA.months.forEach((mask, i) => {
+                let length = 0;
+                for (let month = 1; month <= 12; month++) {
+                    length += getTableMonthLength(UMM_AL_QURA.startYear + i, month);
+                }
+                yearStarts.push(yearStarts[i] + length);
+            });
+        }
+        return yearStarts;
+    }
+
+    /**
+     * Umm al-Qura Hijri date to JDN (year must be in the table)
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} - JDN
+     */
+    function tableToJDN(year, month, day) {
+        let jdn = getYearStarts()[year - UMM_AL_QURA.startYear];
+        for (let m = 1; m < month; m++) {
+            jdn += getTableMonthLength(year, m);
+        }
+        return jdn + day - 1;
+    }
+
+    /**
+     * JDN to Umm al-Qura Hijri date
+     * @param {number} jdn - JDN
+     * @returns {Object|null} - { year, month, day } or null outside the table
+     */
+    function jdnToTable(jdn) {
+        const starts = getYearStarts();
+        if (jdn < starts[0] || jdn >= starts[starts.length - 1]) {
+            return null;
+        }
+
+        let index = 0;
+        while (starts[index + 1] <= jdn) index++;
+
+        const year = UMM_AL_QURA.startYear + index;
+        let remaining = jdn - starts[index];
+        let month = 1;
+        while (remaining >= getTableMonthLength(year, month)) {
+            remaining -= getTableMonthLength(year, month);
+            month++;
+        }
+
+        return { year, month, day: remaining + 1 };
+    }
+
+    // ===========================================
+    // PUBLIC FUNCTIONS
+    // ===========================================
+
+    /**
+     * Resolve conversion options from user settings
+     * @param {Object} options - { method, adjustment } overrides
+     * @returns {Object} - { method: 'ummalqura'|'tabular', adjustment: -2..2 }
+     */
+    function getOptions(options = {}) {
+        return {
+            method: options.method || SaturaStorage.getSetting('hijriMethod', 'ummalqura'),
+            adjustment: Number(options.adjustment ?? SaturaStorage.getSetting('hijriAdjustment', 0)) || 0
+        };
+    }
+
+    /**
+     * Convert a Gregorian date to Hijri
+     * @param {Date|string} date - Gregorian date or DD-MM-YYYY / YYYY-MM-DD (default: today)
+     * @param {Object} options - { method, adjustment } (default: user settings)
+     * @returns {Object} - { year, month, day, monthName, method }
+     */
+    function toHijri(date = new Date(), options = {}) {
+        const { method, adjustment } = getOptions(options);
+        const jdn = dateToJDN(toDate(date)) + adjustment;
+
+        const table = method === 'ummalqura' ? jdnToTable(jdn) : null;
+        const hijri = table || jdnToTabular(jdn);
+
+        return {
+            ...hijri,
+            monthName: SaturaConfig.HIJRI.months[hijri.month - 1],
+            method: table ? 'ummalqura' : 'tabular'
+        };
+    }
+
+    /**
+     * Convert a Hijri date to Gregorian
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {number} day - Day of month
+     * @param {Object} options - { method, adjustment } (default: user settings)
+     * @returns {Date} - Local midnight of the Gregorian day
+     */
+    function toGregorian(year, month, day = 1, options = {}) {
+        const { method, adjustment } = getOptions(options);
+        const jdn = method === 'ummalqura' && isInTable(year)
+            ? tableToJDN(year, month, day)
+            : tabularToJDN(year, month, day);
+
+        const g = jdnToGregorian(jdn - adjustment);
+        return new Date(g.year, g.month - 1, g.day);
+    }
+
+    /**
+     * Number of days in a Hijri month
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {Object} options - { method }
+     * @returns {number} - 29 or 30
+     */
+    function getMonthLength(year, month, options = {}) {
+        const { method } = getOptions(options);
+        if (method === 'ummalqura' && isInTable(year)) {
+            return getTableMonthLength(year, month);
+        }
+
+        const next = month === 12 ? tabularToJDN(year + 1, 1, 1) : tabularToJDN(year, month + 1, 1);
+        return next - tabularToJDN(year, month, 1);
+    }
+
+    /**
+     * Gregorian date of 1 Ramadhan
+     * @param {number} year - Hijri year
+     * @param {Object} options - { method, adjustment }
+     * @returns {Date}
+     */
+    function getRamadhanStart(year, options = {}) {
+        return toGregorian(year, SaturaConfig.HIJRI.ramadhanMonth, 1, options);
+    }
+
+    /**
+     * Check whether a date falls in Ramadhan
+     * @param {Date|string} date - Gregorian date or DD-MM-YYYY / YYYY-MM-DD (default: today)
+     * @param {Object} options - { method, adjustment }
+     * @returns {boolean}
+     */
+    function isRamadhan(date = new Date(), options = {}) {
+        return toHijri(date, options).month === SaturaConfig.HIJRI.ramadhanMonth;
+    }
+
+    /**
+     * Day of Ramadhan for a date
+     * @param {Date|string} date - Gregorian date or DD-MM-YYYY / YYYY-MM-DD (default: today)
+     * @param {Object} options - { method, adjustment }
+     * @returns {number|null} - 1-30, or null outside Ramadhan
+     */
+    function getRamadhanDay(date = new Date(), options = {}) {
+        const hijri = toHijri(date, options);
+        return hijri.month === SaturaConfig.HIJRI.ramadhanMonth ? hijri.day : null;
+    }
+
+    /**
+     * Format a Hijri date for display
+     * @param {Object} hijri - Result of toHijri()
+     * @returns {string} - e.g. "1 Ramadhan 1447 H"
+     */
+    function format(hijri) {
+        return `${hijri.day} ${hijri.monthName} ${hijri.year} H`;
+    }
+
+    /**
+     * Hijri date in Aladhan response shape (for locally calculated schedules)
+     * @param {Date|string} date - Gregorian date
+     * @returns {Object} - { date, day, month: { number, en }, year, designation }
+     */
+    function toAladhanFormat(date) {
+        const hijri = toHijri(date);
+        const dd = String(hijri.day).padStart(2, '0');
+        const mm = String(hijri.month).padStart(2, '0');
+
+        return {
+            date: `${dd}-${mm}-${hijri.year}`,
+            format: 'DD-MM-YYYY',
+            day: dd,
+            month: { number: hijri.month, en: hijri.monthName },
+            year: String(hijri.year),
+            designation: { abbreviated: 'AH', expanded: 'Anno Hegirae' },
+            method: hijri.method
+        };
+    }
+
+    /**
+     * Compare the local date with a Hijri date returned by Aladhan
+     * @param {Object} apiHijri - Aladhan `date.hijri` object
+     * @param {Date|string} date - Gregorian date it belongs to
+     * @returns {Object|null} - { local, api, match } or null without API data
+     */
+    function crossCheck(apiHijri, date = new Date()) {
+        if (!apiHijri?.day || !apiHijri?.month?.number || !apiHijri?.year) {
+            return null;
+        }
+
+        const local = toHijri(toDate(date));
+        const api = {
+            year: Number(apiHijri.year),
+            month: Number(apiHijri.month.number),
+            day: Number(apiHijri.day)
+        };
+        const match = local.year === api.year && local.month === api.month && local.day === api.day;
+
+        if (!match) {
+            SaturaConfig.log(`Hijri mismatch: local ${local.day}-${local.month}-${local.year} (${local.method}), ` +
+                `API ${api.day}-${api.month}-${api.year}`);
+        }
+
+        return { local, api, match };
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Conversion
+        toHijri,
+        toGregorian,
+        getMonthLength,
+        toAladhanFormat,
+
+        // Ramadhan
+        getRamadhanStart,
+        isRamadhan,
+        getRamadhanDay,
+
+        // Utility
+        format,
+        crossCheck,
+        gregorianToJDN,
+        jdnToGregorian
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaHijri;
+}
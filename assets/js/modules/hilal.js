@@ -0,0 +1,521 @@
+/**
+ * Satu Ramadhan - Hilal Module
+ * Moon visibility (hisab) for the start of Hijri months
+ * Conjunction, sunset and hilal altitude/elongation based on Meeus,
+ * "Astronomical Algorithms" (2nd ed.), chapters 12, 22, 25, 40, 47 and 49
+ */
+
+const SaturaHilal = (function () {
+    'use strict';
+
+    // ===========================================
+    // PERIODIC TERMS
+    // ===========================================
+
+    // Bujur & jarak bulan (Meeus tabel 47.A): [D, M, M', F, Σl, Σr]
+    const MOON_LR_TERMS = [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+        [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+        [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+        [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+        [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+        [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+        [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+    ];
+
+    // Lintang bulan (Meeus tabel 47.B): [D, M, M', F, Σb]
+    const MOON_B_TERMS = [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+        [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+        [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+        [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+        [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+        [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+        [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+        [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+        [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+        [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+        [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+        [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+        [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, -2, 0, -1, 176],
+        [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+        [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [4, -2, 0, 1, 107]
+    ];
+
+    // Koreksi tambahan fase bulan (Meeus bab 49): [koefisien, A0, laju per lunasi]
+    const PLANETARY_TERMS = [
+        [0.000325, 299.77, 0.107408], [0.000165, 251.88, 0.016321],
+        [0.000164, 251.83, 26.651886], [0.000126, 349.42, 36.412478],
+        [0.000110, 84.66, 18.206239], [0.000062, 141.74, 53.303771],
+        [0.000060, 207.14, 2.453732], [0.000056, 154.84, 7.306860],
+        [0.000047, 34.52, 27.261239], [0.000042, 207.19, 0.121824],
+        [0.000040, 291.34, 1.844379], [0.000037, 161.72, 24.198154],
+        [0.000035, 239.56, 25.513099], [0.000023, 331.55, 3.592518]
+    ];
+
+    const J2000 = 2451545.0;
+    const SYNODIC_MONTH = 29.530588861;
+    const EARTH_RADIUS_KM = 6378.14;
+
+    // ===========================================
+    // MATH HELPERS (DEGREE BASED)
+    // ===========================================
+
+    function dtr(d) { return (d * Math.PI) / 180; }
+    function rtd(r) { return (r * 180) / Math.PI; }
+
+    function sin(d) { return Math.sin(dtr(d)); }
+    function cos(d) { return Math.cos(dtr(d)); }
+
+    function fixAngle(a) {
+        a = a % 360;
+        return a < 0 ? a + 360 : a;
+    }
+
+    // ===========================================
+    // TIME
+    // ===========================================
+
+    /**
+     * Convert a Date to Julian Day (UT)
+     * @param {Date} date - Instant
+     * @returns {number}
+     */
+    function dateToJD(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    /**
+     * Convert a Julian Day (UT) to a Date
+     * @param {number} jd - Julian Day
+     * @returns {Date}
+     */
+    function jdToDate(jd) {
+        return new Date(Math.round((jd - 2440587.5) * 86400000));
+    }
+
+    /**
+     * ΔT = TT - UT in seconds (Espenak & Meeus polynomials)
+     * @param {number} jd - Julian Day
+     * @returns {number}
+     */
+    function deltaT(jd) {
+        const y = 2000 + (jd - J2000) / 365.25;
+        const t = y - 2000;
+        const u = (y - 1820) / 100;
+
+        if (y >= 1986 && y < 2005) {
+            return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 +
+                0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+        }
+        if (y >= 2005 && y < 2050) {
+            return 62.92 + 0.32217 * t + 0.005589 * t * t;
+        }
+        if (y >= 2050 && y < 2150) {
+            return -20 + 32 * u * u - 0.5628 * (2150 - y);
+        }
+        return -20 + 32 * u * u;
+    }
+
+    // ===========================================
+    // EPHEMERIS
+    // ===========================================
+
+    /**
+     * Nutation in longitude and true obliquity (Meeus bab 22, presisi 0.5")
+     * @param {number} T - Julian centuries (TT) since J2000
+     * @returns {Object} - { deltaPsi, obliquity } in degrees
+     */
+    function nutation(T) {
+        const omega = 125.04452 - 1934.136261 * T;
+        const L = 280.4665 + 36000.7698 * T;
+        const Lm = 218.3165 + 481267.8813 * T;
+
+        const deltaPsi = (-17.20 * sin(omega) - 1.32 * sin(2 * L) - 0.23 * sin(2 * Lm) + 0.21 * sin(2 * omega)) / 3600;
+        const deltaEps = (9.20 * cos(omega) + 0.57 * cos(2 * L) + 0.10 * cos(2 * Lm) - 0.09 * cos(2 * omega)) / 3600;
+        const eps0 = 23.439291111 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T ** 3) / 3600;
+
+        return { deltaPsi, obliquity: eps0 + deltaEps };
+    }
+
+    /**
+     * Apparent geocentric ecliptic longitude of the sun (Meeus bab 25, ~0.01°)
+     * @param {number} T - Julian centuries (TT) since J2000
+     * @param {Object} nut - Result of nutation()
+     * @returns {Object} - { longitude, latitude }
+     */
+    function sunEcliptic(T, nut) {
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(M) +
+            (0.019993 - 0.000101 * T) * sin(2 * M) + 0.000289 * sin(3 * M);
+
+        // Aberasi -20.4898" dan nutasi
+        return { longitude: fixAngle(L0 + C - 0.00569 + nut.deltaPsi), latitude: 0 };
+    }
+
+    /**
+     * Apparent geocentric ecliptic position of the moon (Meeus bab 47)
+     * @param {number} T - Julian centuries (TT) since J2000
+     * @param {Object} nut - Result of nutation()
+     * @returns {Object} - { longitude, latitude, distance (km) }
+     */
+    function moonEcliptic(T, nut) {
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841 - T ** 4 / 65194000;
+        const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868 - T ** 4 / 113065000;
+        const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T ** 3 / 24490000;
+        const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699 - T ** 4 / 14712000;
+        const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000 + T ** 4 / 863310000;
+        const A1 = 119.75 + 131.849 * T;
+        const A2 = 53.09 + 479264.290 * T;
+        const A3 = 313.45 + 481266.484 * T;
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+        const eccentricity = (m) => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+
+        let sumL = 0;
+        let sumR = 0;
+        MOON_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+            const arg = d * D + m * M + mp * Mp + f * F;
+            const e = eccentricity(m);
+            sumL += l * e * sin(arg);
+            sumR += r * e * cos(arg);
+        });
+
+        let sumB = 0;
+        MOON_B_TERMS.forEach(([d, m, mp, f, b]) => {
+            sumB += b * eccentricity(m) * sin(d * D + m * M + mp * Mp + f * F);
+        });
+
+        sumL += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+        sumB += -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) +
+            127 * sin(Lp - Mp) - 115 * sin(Lp + Mp);
+
+        return {
+            longitude: fixAngle(Lp + sumL / 1000000 + nut.deltaPsi),
+            latitude: sumB / 1000000,
+            distance: 385000.56 + sumR / 1000
+        };
+    }
+
+    /**
+     * Ecliptic to equatorial coordinates
+     * @param {number} lambda - Ecliptic longitude
+     * @param {number} beta - Ecliptic latitude
+     * @param {number} eps - Obliquity
+     * @returns {Object} - { ra, dec } in degrees
+     */
+    function toEquatorial(lambda, beta, eps) {
+        const ra = rtd(Math.atan2(sin(lambda) * cos(eps) - Math.tan(dtr(beta)) * sin(eps), cos(lambda)));
+        const dec = rtd(Math.asin(sin(beta) * cos(eps) + cos(beta) * sin(eps) * sin(lambda)));
+        return { ra: fixAngle(ra), dec };
+    }
+
+    /**
+     * Apparent sidereal time at Greenwich (Meeus bab 12)
+     * @param {number} jd - Julian Day (UT)
+     * @param {Object} nut - Result of nutation()
+     * @returns {number} - Degrees
+     */
+    function siderealTime(jd, nut) {
+        const T = (jd - J2000) / 36525;
+        const mean = 280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T * T - T ** 3 / 38710000;
+        return fixAngle(mean + nut.deltaPsi * cos(nut.obliquity));
+    }
+
+    /**
+     * Sun and moon positions for an instant
+     * @param {number} jd - Julian Day (UT)
+     * @returns {Object} - { sun, moon, nut }
+     */
+    function ephemeris(jd) {
+        const T = (jd + deltaT(jd) / 86400 - J2000) / 36525;
+        const nut = nutation(T);
+        return { sun: sunEcliptic(T, nut), moon: moonEcliptic(T, nut), nut };
+    }
+
+    /**
+     * Topocentric altitude of a body (Meeus bab 13 & 40, tanpa refraksi)
+     * @param {Object} eq - { ra, dec } geocentric
+     * @param {number} jd - Julian Day (UT)
+     * @param {Object} place - { latitude, longitude }
+     * @param {Object} nut - Result of nutation()
+     * @param {number} distance - Distance in km (omit for the sun)
+     * @returns {number} - Altitude in degrees
+     */
+    function altitude(eq, jd, place, nut, distance = null) {
+        const lat = place.latitude;
+        let hourAngle = siderealTime(jd, nut) + place.longitude - eq.ra;
+        let dec = eq.dec;
+
+        if (distance) {
+            const u = Math.atan(0.99664719 * Math.tan(dtr(lat)));
+            const rhoSin = 0.99664719 * Math.sin(u);
+            const rhoCos = Math.cos(u);
+            const sinPi = EARTH_RADIUS_KM / distance;
+
+            const deltaRa = Math.atan2(-rhoCos * sinPi * sin(hourAngle), cos(dec) - rhoCos * sinPi * cos(hourAngle));
+            dec = rtd(Math.atan2((sin(dec) - rhoSin * sinPi) * Math.cos(deltaRa), cos(dec) - rhoCos * sinPi * cos(hourAngle)));
+            hourAngle -= rtd(deltaRa);
+        }
+
+        return rtd(Math.asin(sin(lat) * sin(dec) + cos(lat) * cos(dec) * cos(hourAngle)));
+    }
+
+    // ===========================================
+    // EVENTS
+    // ===========================================
+
+    /**
+     * True new moon (ijtimak) for lunation k (Meeus bab 49)
+     * @param {number} k - Lunation number, 0 = January 2000
+     * @returns {number} - Julian Day (UT)
+     */
+    function newMoon(k) {
+        const T = k / 1236.85;
+        const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+        const M = 2.5534 + 29.10535670 * k - 0.0000014 * T * T - 0.00000011 * T ** 3;
+        const Mp = 201.5643 + 385.81693528 * k + 0.0107582 * T * T + 0.00001238 * T ** 3 - 0.000000058 * T ** 4;
+        const F = 160.7108 + 390.67050284 * k - 0.0016118 * T * T - 0.00000227 * T ** 3 + 0.000000011 * T ** 4;
+        const omega = 124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3;
+
+        let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T * T - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+
+        jde += -0.40720 * sin(Mp) + 0.17241 * E * sin(M) + 0.01608 * sin(2 * Mp) +
+            0.01039 * sin(2 * F) + 0.00739 * E * sin(Mp - M) - 0.00514 * E * sin(Mp + M) +
+            0.00208 * E * E * sin(2 * M) - 0.00111 * sin(Mp - 2 * F) - 0.00057 * sin(Mp + 2 * F) +
+            0.00056 * E * sin(2 * Mp + M) - 0.00042 * sin(3 * Mp) + 0.00042 * E * sin(M + 2 * F) +
+            0.00038 * E * sin(M - 2 * F) - 0.00024 * E * sin(2 * Mp - M) - 0.00017 * sin(omega) -
+            0.00007 * sin(Mp + 2 * M) + 0.00004 * sin(2 * Mp - 2 * F) + 0.00004 * sin(3 * M) +
+            0.00003 * sin(Mp + M - 2 * F) + 0.00003 * sin(2 * Mp + 2 * F) - 0.00003 * sin(Mp + M + 2 * F) +
+            0.00003 * sin(Mp - M + 2 * F) - 0.00002 * sin(Mp - M - 2 * F) - 0.00002 * sin(3 * Mp + M) +
+            0.00002 * sin(4 * Mp);
+
+        PLANETARY_TERMS.forEach(([coefficient, a0, rate], i) => {
+            const a = a0 + rate * k - (i === 0 ? 0.009173 * T * T : 0);
+            jde += coefficient * sin(a);
+        });
+
+        return jde - deltaT(jde) / 86400;
+    }
+
+    /**
+     * Sunset for a local civil day
+     * Bisection between local solar noon and midnight on the sun's apparent altitude
+     * @param {number} jdn - Julian Day Number of the local date
+     * @param {Object} place - { latitude, longitude }
+     * @returns {number|null} - Julian Day (UT), or null if the sun does not set
+     */
+    function sunset(jdn, place) {
+        const target = -SaturaConfig.CALCULATION.riseSetAngle;
+        const sunAltitude = (jd) => {
+            const { sun, nut } = ephemeris(jd);
+            return altitude(toEquatorial(sun.longitude, sun.latitude, nut.obliquity), jd, place, nut);
+        };
+
+        let low = jdn - place.longitude / 360;
+        let high = low + 0.5;
+        if (sunAltitude(low) < target || sunAltitude(high) > target) return null;
+
+        for (let i = 0; i < 30; i++) {
+            const mid = (low + high) / 2;
+            if (sunAltitude(mid) > target) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    // ===========================================
+    // PUBLIC FUNCTIONS
+    // ===========================================
+
+    /**
+     * Resolve place and timezone, defaulting to the active location
+     * @param {Object} place - { latitude, longitude, timezone }
+     * @returns {Object}
+     */
+    function resolvePlace(place = {}) {
+        const saved = SaturaStorage.getLocation();
+        const fallback = SaturaConfig.LOCATION.default;
+        const latitude = Number(place.latitude ?? saved?.latitude ?? fallback.latitude);
+        const longitude = Number(place.longitude ?? saved?.longitude ?? fallback.longitude);
+
+        return {
+            latitude,
+            longitude,
+            timezone: place.timezone || SaturaAstronomy.resolveTimezone()
+        };
+    }
+
+    /**
+     * Local calendar day (JDN) of an instant in a timezone
+     * @param {number} jd - Julian Day (UT)
+     * @param {string} timezone - IANA timezone
+     * @returns {number}
+     */
+    function localJDN(jd, timezone) {
+        const offset = SaturaAstronomy.getTimezoneOffset(timezone, jdToDate(jd));
+        return Math.floor(jd + offset / 24 + 0.5);
+    }
+
+    /**
+     * Conjunction (ijtimak) that ends the month before a Hijri month
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12) whose start is sought
+     * @returns {Date}
+     */
+    function getConjunction(year, month) {
+        // Tabular start is always within two days of the real new moon
+        const approx = SaturaHijri.toGregorian(year, month, 1, { method: 'tabular', adjustment: 0 });
+        const k = Math.round((dateToJD(approx) - 1 - 2451550.09766) / SYNODIC_MONTH);
+        return jdToDate(newMoon(k));
+    }
+
+    /**
+     * Hilal data at sunset on a local date
+     * @param {Date} conjunction - Conjunction instant
+     * @param {number} jdn - Julian Day Number of the evening to observe
+     * @param {Object} place - Resolved place
+     * @returns {Object|null} - Observation, or null without a sunset
+     */
+    function observe(conjunction, jdn, place) {
+        const set = sunset(jdn, place);
+        if (set === null) return null;
+
+        const { sun, moon, nut } = ephemeris(set);
+        const moonEq = toEquatorial(moon.longitude, moon.latitude, nut.obliquity);
+        const moonAltitude = altitude(moonEq, set, place, nut, moon.distance);
+        const elongation = rtd(Math.acos(cos(moon.latitude) * cos(moon.longitude - sun.longitude)));
+        const conjunctionJD = dateToJD(conjunction);
+
+        return {
+            sunset: jdToDate(set),
+            altitude: moonAltitude,
+            elongation,
+            semidiameter: 358473400 / moon.distance / 3600,
+            age: (set - conjunctionJD) * 24,
+            afterConjunction: set > conjunctionJD
+        };
+    }
+
+    /**
+     * Check an observation against a criterion
+     * @param {Object} observation - Result of observe()
+     * @param {Object} criterion - Entry of SaturaConfig.HISAB.criteria
+     * @returns {boolean}
+     */
+    function meetsCriterion(observation, criterion) {
+        if (!observation?.afterConjunction) return false;
+
+        const altitude = observation.altitude + (criterion.upperLimb ? observation.semidiameter : 0);
+        return altitude > criterion.minAltitude &&
+            (!criterion.minElongation || observation.elongation >= criterion.minElongation);
+    }
+
+    /**
+     * Compute the first day of a Hijri month under a criterion
+     * The evening of the conjunction's local date is treated as the 29th;
+     * if the hilal fails there, the month before is completed to 30 days (istikmal).
+     * Criteria marked `national` ignore the place and use the most favourable
+     * of SaturaConfig.HISAB.nationalPoints instead.
+     * @param {number} year - Hijri year
+     * @param {number} month - Hijri month (1-12)
+     * @param {string} criterionId - Key of SaturaConfig.HISAB.criteria
+     * @param {Object} place - { latitude, longitude, timezone } (default: active location)
+     * @returns {Object} - { date, dateString, conjunction, observation, criterion, istikmal }
+     */
+    function getMonthStart(year, month, criterionId, place = {}) {
+        const criterion = SaturaConfig.HISAB.criteria[criterionId];
+        if (!criterion) {
+            throw new Error(`Unknown hisab criterion: ${criterionId}`);
+        }
+
+        const conjunction = getConjunction(year, month);
+        const places = criterion.national ? SaturaConfig.HISAB.nationalPoints : [place];
+
+        // The earliest start wins: meeting the criterion at one point is enough
+        const best = places
+            .map(point => {
+                const resolved = resolvePlace(point);
+                const evening = localJDN(dateToJD(conjunction), resolved.timezone);
+                const observation = observe(conjunction, evening, resolved);
+                const visible = meetsCriterion(observation, criterion);
+                return { jdn: evening + (visible ? 1 : 2), observation, visible };
+            })
+            .reduce((best, result) => result.jdn < best.jdn ? result : best);
+
+        const start = SaturaHijri.jdnToGregorian(best.jdn);
+        const date = new Date(start.year, start.month - 1, start.day);
+
+        return {
+            date,
+            dateString: `${start.year}-${String(start.month).padStart(2, '0')}-${String(start.day).padStart(2, '0')}`,
+            conjunction,
+            observation: best.observation,
+            criterion: criterionId,
+            istikmal: !best.visible
+        };
+    }
+
+    /**
+     * Compute 1 Ramadhan for an organization
+     * @param {number} year - Hijri year
+     * @param {string} org - 'muhammadiyah' or 'nu'
+     * @param {Object} place - { latitude, longitude, timezone } (default: active location)
+     * @returns {Object} - See getMonthStart()
+     */
+    function getRamadhanStart(year, org, place = {}) {
+        const criterionId = SaturaConfig.HISAB.organizations[org];
+        return getMonthStart(year, SaturaConfig.HIJRI.ramadhanMonth, criterionId, place);
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Hisab
+        getConjunction,
+        getMonthStart,
+        getRamadhanStart,
+        meetsCriterion,
+
+        // Astronomy
+        newMoon,
+        deltaT,
+        dateToJD,
+        jdToDate
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaHilal;
+}
@@ -118,15 +118,19 @@ const SaturaLocation = (function () {
             // Get GPS coordinates
             const coords = await getGPSCoordinates();
 
-            // Find nearest location from database
-            const location = await SaturaDatabase.findNearestLocation(
-                coords.latitude,
-                coords.longitude
-            );
+            // Find nearest location, plus the next closest regencies as candidates
+            const [location, nearby] = await Promise.all([
+                SaturaDatabase.findNearestLocation(coords.latitude, coords.longitude),
+                SaturaDatabase.findNearest(coords.latitude, coords.longitude, {
+                    level: 'regency',
+                    k: SaturaConfig.LOCATION.nearbyCount
+                })
+            ]);
 
             if (location.regency) {
                 currentLocation = {
                     ...location,
+                    nearby,
                     source: 'gps',
                     gpsCoordinates: coords,
                     timestamp: Date.now()
@@ -291,14 +295,15 @@ const SaturaLocation = (function () {
      * Set location by custom coordinates
      * @param {number} latitude - Latitude
      * @param {number} longitude - Longitude
+     * @param {number} elevation - Meters above the surrounding terrain (optional)
      * @returns {Promise<Object>} - Location data
      */
-    async function setLocationByCoordinates(latitude, longitude) {
+    async function setLocationByCoordinates(latitude, longitude, elevation = 0) {
         const location = await SaturaDatabase.findNearestLocation(latitude, longitude);
 
         currentLocation = {
             ...location,
-            customCoordinates: { latitude, longitude },
+            customCoordinates: { latitude, longitude, elevation: Math.max(0, Number(elevation) || 0) },
             source: 'manual',
             timestamp: Date.now()
         };
@@ -316,25 +321,12 @@ const SaturaLocation = (function () {
     // ===========================================
 
     /**
-     * Save location to localStorage via SaturaStorage
+     * Save location to the settings document via SaturaStorage
      * @param {Object} location - Location data to save
      */
     async function saveLocation(location) {
         try {
-            const dataToSave = {
-                regencyId: location.regency?.id || null,
-                provinceId: location.province?.id || null,
-                coordinates: location.coordinates,
-                source: location.source,
-                timestamp: location.timestamp
-            };
-
-            SaturaStorage.set(
-                SaturaConfig.CACHE.keys.userLocation,
-                dataToSave,
-                SaturaConfig.CACHE.duration.location
-            );
-
+            SaturaStorage.saveLocation(location);
             SaturaConfig.log('Location saved to storage');
         } catch (error) {
             SaturaConfig.error('Failed to save location:', error);
@@ -342,23 +334,36 @@ const SaturaLocation = (function () {
     }
 
     /**
-     * Get saved location from localStorage via SaturaStorage
+     * Get saved location from the settings document via SaturaStorage
      * @returns {Promise<Object|null>} - Saved location or null
      */
     async function getSavedLocation() {
         try {
-            const data = SaturaStorage.get(SaturaConfig.CACHE.keys.userLocation);
+            const data = SaturaStorage.getLocation();
 
             if (!data) {
                 return null;
             }
 
             // Reconstruct full location from database
+            if (data.districtId) {
+                const location = await SaturaDatabase.getLocationByDistrictId(data.districtId).catch(() => null);
+                if (location?.regency) {
+                    return {
+                        ...location,
+                        customCoordinates: { latitude: data.latitude, longitude: data.longitude, elevation: data.elevation || 0 },
+                        source: data.source,
+                        timestamp: data.timestamp
+                    };
+                }
+            }
+
             if (data.regencyId) {
                 const location = await SaturaDatabase.getLocationByRegencyId(data.regencyId);
                 if (location) {
                     return {
                         ...location,
+                        customCoordinates: { latitude: data.latitude, longitude: data.longitude, elevation: data.elevation || 0 },
                         source: data.source,
                         timestamp: data.timestamp
                     };
@@ -369,7 +374,7 @@ const SaturaLocation = (function () {
                     return {
                         regency: null,
                         province: province,
-                        coordinates: data.coordinates,
+                        coordinates: { latitude: data.latitude, longitude: data.longitude, elevation: data.elevation || 0 },
                         source: data.source,
                         timestamp: data.timestamp
                     };
@@ -389,7 +394,7 @@ const SaturaLocation = (function () {
      */
     function clearSavedLocation() {
         try {
-            SaturaStorage.remove(SaturaConfig.CACHE.keys.userLocation);
+            SaturaStorage.clearLocation();
             currentLocation = null;
             locationSource = null;
             SaturaConfig.log('Saved location cleared');
@@ -406,13 +411,13 @@ const SaturaLocation = (function () {
      */
     function getSavedLocationSync() {
         try {
-            const data = SaturaStorage.get(SaturaConfig.CACHE.keys.userLocation);
+            const data = SaturaStorage.getLocation();
             if (!data) return null;
 
             // Return minimal location data with coordinates
-            if (data.coordinates && data.coordinates.latitude && data.coordinates.longitude) {
+            if (data.latitude && data.longitude) {
                 return {
-                    coordinates: data.coordinates,
+                    coordinates: { latitude: data.latitude, longitude: data.longitude, elevation: data.elevation || 0 },
                     source: data.source || 'cached',
                     regency: data.regencyId ? { id: data.regencyId, name: null } : null,
                     province: data.provinceId ? { id: data.provinceId, name: null } : null,
@@ -465,7 +470,8 @@ const SaturaLocation = (function () {
             return null;
         }
 
-        return currentLocation.coordinates || {
+        // Exact point chosen by the user wins over the regency centroid
+        return currentLocation.customCoordinates || currentLocation.coordinates || {
             latitude: currentLocation.regency?.latitude || currentLocation.province?.latitude,
             longitude: currentLocation.regency?.longitude || currentLocation.province?.longitude
         };
@@ -0,0 +1,383 @@
+/**
+ * Satu Ramadhan - Map Module
+ * Offline SVG map of Indonesia drawn from the bundled location data
+ * (country outline as land, regency boundaries when available and
+ * regency centroids otherwise),
+ * with pan, zoom and tap-to-pick for custom locations
+ */
+
+const SaturaMap = (function () {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Pointer travel (px) before a tap becomes a drag
+    const DRAG_THRESHOLD = 6;
+
+    // Boundary points closer than this to the previous one are skipped (degrees)
+    const OUTLINE_STEP = 0.01;
+
+    // Province label size (screen px)
+    const LABEL_SIZE = 11;
+
+    let svg = null;
+    let layers = {};
+    let view = null;
+    let onPick = null;
+    let pointer = null;
+    let ready = null;
+
+    // ===========================================
+    // PROJECTION
+    // ===========================================
+
+    /**
+     * Plate carrée in degrees: x east of the west edge, y south of the north edge
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Object} - { x, y }
+     */
+    function project(latitude, longitude) {
+        const { north, west } = SaturaConfig.LOCATION.custom.bounds;
+        return { x: longitude - west, y: north - latitude };
+    }
+
+    /**
+     * Map point back to coordinates
+     * @param {number} x - Map x
+     * @param {number} y - Map y
+     * @returns {Object} - { latitude, longitude }
+     */
+    function unproject(x, y) {
+        const { north, west } = SaturaConfig.LOCATION.custom.bounds;
+        return { latitude: north - y, longitude: west + x };
+    }
+
+    function getFullView() {
+        const { north, south, east, west } = SaturaConfig.LOCATION.custom.bounds;
+        return { x: 0, y: 0, width: east - west, height: north - south };
+    }
+
+    function round(value) {
+        return Math.round(value * 1e4) / 1e4;
+    }
+
+    // ===========================================
+    // DRAWING
+    // ===========================================
+
+    function createElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        return element;
+    }
+
+    /**
+     * Path of round dots that keep their screen size at any zoom
+     * (zero-length segments with round caps and a non-scaling stroke)
+     * @param {Array} points - [{ latitude, longitude }]
+     * @returns {string} - Path data
+     */
+    function dotsPath(points) {
+        return points
+            .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude))
+            .map(point => {
+                const { x, y } = project(point.latitude, point.longitude);
+                return `M${round(x)} ${round(y)}h0`;
+            })
+            .join('');
+    }
+
+    /**
+     * Outline path of polygons (outer rings only)
+     * @param {Array} boundaries - SaturaDatabase outline or boundaries [{ polygons }]
+     * @returns {string} - Path data
+     */
+    function outlinePath(boundaries) {
+        const parts = [];
+
+        for (const boundary of boundaries) {
+            for (const [ring] of boundary.polygons) {
+                let last = null;
+                const points = [];
+
+                for (const [lng, lat] of ring) {
+                    if (last && Math.abs(lng - last[0]) < OUTLINE_STEP && Math.abs(lat - last[1]) < OUTLINE_STEP) continue;
+                    const { x, y } = project(lat, lng);
+                    points.push(`${round(x)} ${round(y)}`);
+                    last = [lng, lat];
+                }
+
+                if (points.length >= 3) {
+                    parts.push(`M${points.join('L')}Z`);
+                }
+            }
+        }
+
+        return parts.join('');
+    }
+
+    function graticulePath() {
+        const { north, south, east, west } = SaturaConfig.LOCATION.custom.bounds;
+        const full = getFullView();
+        const parts = [];
+
+        for (let lng = Math.ceil(west / 5) * 5; lng <= east; lng += 5) {
+            parts.push(`M${lng - west} 0V${full.height}`);
+        }
+        for (let lat = Math.ceil(south / 5) * 5; lat <= north; lat += 5) {
+            parts.push(`M0 ${north - lat}H${full.width}`);
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * Draw the base layers from the location database
+     */
+    async function drawBase() {
+        const [provinces, regencies, outline, boundaries] = await Promise.all([
+            SaturaDatabase.getProvinces(),
+            SaturaDatabase.getRegencies(),
+            SaturaDatabase.loadOutline().catch(() => []),
+            SaturaDatabase.loadBoundaries().catch(() => [])
+        ]);
+
+        // Regencies without a boundary polygon show as centroid dots
+        const outlined = new Set(boundaries.map(boundary => boundary.id));
+
+        layers.graticule.setAttribute('d', graticulePath());
+        layers.land.setAttribute('d', outlinePath(outline.length ? outline : boundaries));
+        layers.borders.setAttribute('d', outline.length ? outlinePath(boundaries) : '');
+        layers.regencies.setAttribute('d', dotsPath(regencies.filter(regency => !outlined.has(regency.id))));
+
+        layers.provinces.setAttribute('d', dotsPath(provinces));
+        layers.labels.replaceChildren(...provinces.map(province => {
+            const { x, y } = project(province.latitude, province.longitude);
+            const label = createElement('text', { x: round(x), y: round(y), dy: '-0.6em' });
+            label.textContent = province.name;
+            return label;
+        }));
+    }
+
+    /**
+     * Place or hide a marker
+     * @param {string} name - 'current' or 'picked'
+     * @param {Object|null} coords - { latitude, longitude }
+     */
+    function setMarker(name, coords) {
+        const marker = layers[name];
+        if (!marker) return;
+
+        const valid = coords && Number.isFinite(Number(coords.latitude)) && Number.isFinite(Number(coords.longitude));
+        marker.setAttribute('d', valid ? dotsPath([{ latitude: Number(coords.latitude), longitude: Number(coords.longitude) }]) : '');
+    }
+
+    // ===========================================
+    // VIEW
+    // ===========================================
+
+    /**
+     * Clamp the view to the map and the zoom limits, then apply it
+     */
+    function applyView() {
+        const full = getFullView();
+        const minWidth = full.width / SaturaConfig.LOCATION.custom.maxZoom;
+
+        view.width = Math.min(full.width, Math.max(minWidth, view.width));
+        view.height = view.width * (full.height / full.width);
+        view.x = Math.min(full.width - view.width, Math.max(0, view.x));
+        view.y = Math.min(full.height - view.height, Math.max(0, view.y));
+
+        svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+        layers.labels.setAttribute('font-size', round(LABEL_SIZE * getScale()));
+        svg.classList.toggle('location-map--zoomed', full.width / view.width >= 2);
+    }
+
+    /**
+     * Zoom around a map point
+     * @param {number} factor - > 1 zooms in, < 1 zooms out
+     * @param {Object} center - { x, y } map point that stays put (default: view center)
+     */
+    function zoomBy(factor, center = null) {
+        if (!view) return;
+
+        const anchor = center || { x: view.x + view.width / 2, y: view.y + view.height / 2 };
+        const width = view.width / factor;
+        const height = view.height / factor;
+
+        view.x = anchor.x - (anchor.x - view.x) * (width / view.width);
+        view.y = anchor.y - (anchor.y - view.y) * (height / view.height);
+        view.width = width;
+        view.height = height;
+        applyView();
+    }
+
+    /**
+     * Show the whole country
+     */
+    function resetView() {
+        if (!view) return;
+        view = getFullView();
+        applyView();
+    }
+
+    /**
+     * Center the view on a point, zooming in at least to a given level
+     * @param {Object} coords - { latitude, longitude }
+     * @param {number} zoom - Minimum zoom (1 = whole country)
+     */
+    function centerOn(coords, zoom = 1) {
+        if (!view || !coords) return;
+
+        const full = getFullView();
+        const { x, y } = project(Number(coords.latitude), Number(coords.longitude));
+
+        view.width = Math.min(view.width, full.width / zoom);
+        view.height = view.width * (full.height / full.width);
+        view.x = x - view.width / 2;
+        view.y = y - view.height / 2;
+        applyView();
+    }
+
+    // ===========================================
+    // INTERACTION
+    // ===========================================
+
+    /**
+     * Screen position to map point (accounts for the letterboxing of preserveAspectRatio)
+     * @param {number} clientX - Client x
+     * @param {number} clientY - Client y
+     * @returns {Object} - { x, y }
+     */
+    function toMapPoint(clientX, clientY) {
+        const rect = svg.getBoundingClientRect();
+        const scale = getScale();
+        const offsetX = (rect.width - view.width / scale) / 2;
+        const offsetY = (rect.height - view.height / scale) / 2;
+
+        return {
+            x: view.x + (clientX - rect.left - offsetX) * scale,
+            y: view.y + (clientY - rect.top - offsetY) * scale
+        };
+    }
+
+    // Map units per screen pixel (a hidden map is assumed phone-sized)
+    function getScale() {
+        const rect = svg.getBoundingClientRect();
+        if (!rect.width || !rect.height) return view.width / 360;
+        return Math.max(view.width / rect.width, view.height / rect.height);
+    }
+
+    function handlePointerDown(e) {
+        if (e.button !== undefined && e.button !== 0) return;
+        pointer = { id: e.pointerId, startX: e.clientX, startY: e.clientY, view: { ...view }, dragging: false };
+        svg.setPointerCapture?.(e.pointerId);
+    }
+
+    function handlePointerMove(e) {
+        if (!pointer || pointer.id !== e.pointerId) return;
+
+        const dx = e.clientX - pointer.startX;
+        const dy = e.clientY - pointer.startY;
+        if (!pointer.dragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+        pointer.dragging = true;
+        svg.classList.add('location-map--dragging');
+
+        const scale = getScale();
+        view.x = pointer.view.x - dx * scale;
+        view.y = pointer.view.y - dy * scale;
+        applyView();
+    }
+
+    function handlePointerUp(e) {
+        if (!pointer || pointer.id !== e.pointerId) return;
+
+        const tapped = !pointer.dragging;
+        pointer = null;
+        svg.classList.remove('location-map--dragging');
+
+        if (tapped) {
+            const { x, y } = toMapPoint(e.clientX, e.clientY);
+            const coords = unproject(x, y);
+            const point = {
+                latitude: Math.round(coords.latitude * 1e6) / 1e6,
+                longitude: Math.round(coords.longitude * 1e6) / 1e6
+            };
+
+            setMarker('picked', point);
+            onPick?.(point);
+        }
+    }
+
+    function handleWheel(e) {
+        e.preventDefault();
+        zoomBy(e.deltaY < 0 ? 1.25 : 0.8, toMapPoint(e.clientX, e.clientY));
+    }
+
+    // ===========================================
+    // INIT
+    // ===========================================
+
+    /**
+     * Build the map inside an <svg> element (once) and draw the base layers
+     * @param {SVGSVGElement} element - Target SVG
+     * @param {Object} options - { onPick(coords) }
+     * @returns {Promise<void>}
+     */
+    function init(element, options = {}) {
+        onPick = options.onPick || onPick;
+        if (ready && svg === element) return ready;
+
+        svg = element;
+        view = getFullView();
+        svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+        layers = {
+            graticule: createElement('path', { class: 'location-map__graticule' }),
+            land: createElement('path', { class: 'location-map__land' }),
+            borders: createElement('path', { class: 'location-map__borders' }),
+            regencies: createElement('path', { class: 'location-map__regencies' }),
+            provinces: createElement('path', { class: 'location-map__provinces' }),
+            labels: createElement('g', { class: 'location-map__labels' }),
+            current: createElement('path', { class: 'location-map__marker location-map__marker--current' }),
+            picked: createElement('path', { class: 'location-map__marker location-map__marker--picked' })
+        };
+        svg.replaceChildren(...Object.values(layers));
+        applyView();
+
+        svg.addEventListener('pointerdown', handlePointerDown);
+        svg.addEventListener('pointermove', handlePointerMove);
+        svg.addEventListener('pointerup', handlePointerUp);
+        svg.addEventListener('pointercancel', () => {
+            pointer = null;
+            svg.classList.remove('location-map--dragging');
+        });
+        svg.addEventListener('wheel', handleWheel, { passive: false });
+
+        ready = drawBase().catch(error => {
+            SaturaConfig.error('Failed to draw map:', error);
+            ready = null;
+            throw error;
+        });
+        return ready;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        init,
+        zoomBy,
+        resetView,
+        centerOn,
+        setCurrent: (coords) => setMarker('current', coords),
+        setPicked: (coords) => setMarker('picked', coords)
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaMap;
+}
@@ -0,0 +1,349 @@
+/**
+ * Satu Ramadhan - Notification Module
+ * Adhan & Imsak reminders, timed by the open page and shown through the Service Worker
+ * Builds upcoming reminders from SaturaPrayer; sw.js keeps a copy for catch-up
+ */
+
+const SaturaNotification = (function () {
+    'use strict';
+
+    // Longest single timer; longer waits re-check when it fires (ms)
+    const MAX_TIMER_DELAY = 6 * 60 * 60 * 1000;
+
+    // Upcoming reminders timed by the page, and the timer for the next one
+    let pending = [];
+    let timer = null;
+
+    // ===========================================
+    // SUPPORT & PERMISSION
+    // ===========================================
+
+    /**
+     * Check if reminders can be delivered on this device
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return typeof window !== 'undefined' &&
+            'Notification' in window &&
+            'serviceWorker' in navigator;
+    }
+
+    /**
+     * Get current notification permission
+     * @returns {string} - 'granted' | 'denied' | 'default' | 'unsupported'
+     */
+    function getPermission() {
+        return isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * Ask the user for notification permission
+     * @returns {Promise<boolean>} - True if granted
+     */
+    async function requestPermission() {
+        if (!isSupported()) {
+            return false;
+        }
+
+        if (Notification.permission === 'granted') {
+            return true;
+        }
+
+        const result = await Notification.requestPermission();
+        return result === 'granted';
+    }
+
+    // ===========================================
+    // SETTINGS
+    // ===========================================
+
+    /**
+     * Check if reminders are switched on and allowed
+     * @returns {boolean}
+     */
+    function isEnabled() {
+        return SaturaStorage.getSetting('notifications', false) === true &&
+            getPermission() === 'granted';
+    }
+
+    /**
+     * Turn reminders on/off (asks permission when turning on)
+     * @param {boolean} enabled - Desired state
+     * @returns {Promise<boolean>} - Resulting state
+     */
+    async function setEnabled(enabled) {
+        if (enabled && !(await requestPermission())) {
+            SaturaStorage.setSetting('notifications', false);
+            return false;
+        }
+
+        SaturaStorage.setSetting('notifications', enabled);
+        await sync();
+        return enabled;
+    }
+
+    /**
+     * Get per-prayer reminder settings merged with defaults
+     * @returns {Object} - { [key]: { enabled, lead } }
+     */
+    function getReminderSettings() {
+        const stored = SaturaStorage.getSetting('reminders', {}) || {};
+        const { reminders, maxLead } = SaturaConfig.NOTIFICATION;
+        const result = {};
+
+        Object.entries(reminders).forEach(([key, fallback]) => {
+            const item = stored[key] || {};
+            const lead = Number(item.lead);
+            result[key] = {
+                enabled: typeof item.enabled === 'boolean' ? item.enabled : fallback.enabled,
+                lead: Number.isFinite(lead) ? Math.max(0, Math.min(maxLead, Math.round(lead))) : fallback.lead
+            };
+        });
+
+        return result;
+    }
+
+    /**
+     * Update a single prayer's reminder setting
+     * @param {string} key - Prayer key (imsak, fajr, ...)
+     * @param {Object} changes - { enabled?, lead? }
+     * @returns {Promise<Object>} - Updated reminder settings
+     */
+    async function setReminder(key, changes) {
+        const reminders = getReminderSettings();
+        if (!reminders[key]) {
+            throw new Error(`Unknown reminder: ${key}`);
+        }
+
+        reminders[key] = { ...reminders[key], ...changes };
+        SaturaStorage.setSetting('reminders', reminders);
+        await sync();
+        return getReminderSettings();
+    }
+
+    // ===========================================
+    // REMINDER BUILDING
+    // ===========================================
+
+    /**
+     * Convert schedule date + HH:MM into a timestamp, reading the time
+     * in the location's time zone (not the device's)
+     * @param {Object} schedule - Processed prayer schedule
+     * @param {string} time - Time in HH:MM format
+     * @returns {number|null} - Epoch milliseconds
+     */
+    function toTimestamp(schedule, time) {
+        const gregorian = schedule?.date?.gregorian?.date; // DD-MM-YYYY
+        return SaturaPrayer.toTimestamp(gregorian, time, SaturaPrayer.getTimezone(schedule));
+    }
+
+    /**
+     * Build notification entries for the given schedules
+     * @param {Array} schedules - Processed prayer schedules
+     * @param {number} now - Reference time (ms)
+     * @returns {Array} - [{ id, key, title, body, timestamp }]
+     */
+    function buildReminders(schedules, now = Date.now()) {
+        const settings = getReminderSettings();
+        const names = SaturaConfig.PRAYER.names;
+        const messages = SaturaConfig.NOTIFICATION.messages;
+        const reminders = [];
+
+        schedules.filter(Boolean).forEach(schedule => {
+            // Sahur/berbuka messages only make sense in Ramadhan
+            const isRamadhan = SaturaHijri.isRamadhan(schedule.date?.gregorian?.date || new Date(now));
+
+            Object.entries(settings).forEach(([key, setting]) => {
+                const prayer = schedule.timings?.[key];
+                if (!setting.enabled || !prayer?.time) return;
+
+                const prayerAt = toTimestamp(schedule, prayer.time);
+                if (!prayerAt) return;
+
+                // Timers fire against the device clock, so shift by its measured skew
+                const timestamp = SaturaClock.toDeviceTime(prayerAt - setting.lead * 60000);
+                if (timestamp <= now) return;
+
+                const name = names[key];
+                const place = schedule.location?.name ? ` di ${schedule.location.name}` : '';
+                const title = setting.lead > 0
+                    ? `${name} ${setting.lead} menit lagi`
+                    : `Waktu ${name}`;
+                const body = setting.lead > 0
+                    ? `${name} pukul ${prayer.time}${place}.`
+                    : `Telah masuk waktu ${name} (${prayer.time})${place}.`;
+
+                reminders.push({
+                    id: `${key}-${schedule.date.gregorian.date}`,
+                    key,
+                    title,
+                    body: isRamadhan && messages[key] ? `${body} ${messages[key]}` : body,
+                    timestamp
+                });
+            });
+        });
+
+        return reminders.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // ===========================================
+    // SERVICE WORKER BRIDGE
+    // ===========================================
+
+    /**
+     * Post a message to the active Service Worker
+     * @param {string} type - Message type
+     * @param {Object} payload - Message payload
+     * @returns {Promise<boolean>} - True if delivered
+     */
+    async function postToWorker(type, payload = {}) {
+        if (!isSupported()) {
+            return false;
+        }
+
+        // getRegistration() resolves even when registration failed, unlike .ready
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration?.active) {
+            return false;
+        }
+
+        registration.active.postMessage({ type, payload });
+        return true;
+    }
+
+    // ===========================================
+    // PAGE SCHEDULER
+    // ===========================================
+
+    // A Service Worker is stopped when idle and its timers die with it, so the
+    // page times reminders while it is open (also in a background tab). The
+    // worker only shows, on its next wake, ones that fell due while it was closed.
+
+    /**
+     * Time a new set of reminders, first showing any the old set still owes
+     * @param {Array} reminders - From buildReminders()
+     */
+    function schedule(reminders) {
+        deliverDue();
+        pending = [...reminders];
+        armNext();
+    }
+
+    /**
+     * Stop timing reminders
+     */
+    function unschedule() {
+        clearTimeout(timer);
+        timer = null;
+        pending = [];
+    }
+
+    function armNext() {
+        clearTimeout(timer);
+        timer = null;
+        if (!pending.length) return;
+
+        const delay = Math.max(0, pending[0].timestamp - Date.now());
+        timer = setTimeout(onTimer, Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    function onTimer() {
+        timer = null;
+        if (deliverDue()) {
+            // Roll the schedule window forward (today + tomorrow)
+            sync().catch(error => SaturaConfig.log('Reminder sync failed:', error.message));
+        } else {
+            armNext();
+        }
+    }
+
+    /**
+     * Show reminders that are due; ones older than the grace window are dropped
+     * (timers of a suspended tab fire late)
+     * @returns {boolean} - True if any reminder was due
+     */
+    function deliverDue() {
+        const now = Date.now();
+        const grace = SaturaConfig.NOTIFICATION.graceMinutes * 60000;
+        const due = pending.filter(reminder => reminder.timestamp <= now);
+        if (!due.length) return false;
+
+        pending = pending.filter(reminder => reminder.timestamp > now);
+        due.filter(reminder => now - reminder.timestamp <= grace).forEach(reminder => {
+            show(reminder).catch(error => SaturaConfig.error('Failed to show reminder:', error));
+        });
+        return true;
+    }
+
+    /**
+     * Show a reminder through the worker (which drops its own copy, so
+     * catch-up never repeats it), or directly when no worker is running
+     * @param {Object} reminder - { id, key, title, body, timestamp }
+     */
+    async function show(reminder) {
+        if (await postToWorker('SHOW_REMINDER', { id: reminder.id })) return;
+
+        new Notification(reminder.title, { body: reminder.body, tag: reminder.id });
+    }
+
+    /**
+     * Recompute upcoming reminders, time them in the page and hand a copy
+     * to the Service Worker. Clears scheduled reminders when notifications are off.
+     * @returns {Promise<Array>} - Scheduled reminders
+     */
+    async function sync() {
+        if (!isEnabled()) {
+            unschedule();
+            await postToWorker('CLEAR_NOTIFICATIONS');
+            return [];
+        }
+
+        const schedules = [];
+        for (let offset = 0; offset < SaturaConfig.NOTIFICATION.days; offset++) {
+            const date = SaturaPrayer.getLocationDate(offset);
+
+            try {
+                schedules.push(offset === 0
+                    ? await SaturaPrayer.fetchTodaySchedule()
+                    : await SaturaPrayer.fetchScheduleForDate(date));
+            } catch (error) {
+                SaturaConfig.log('Reminder schedule unavailable for', SaturaPrayer.formatDate(date), error.message);
+            }
+        }
+
+        const reminders = buildReminders(schedules);
+        schedule(reminders);
+        await postToWorker('SCHEDULE_NOTIFICATIONS', {
+            reminders,
+            graceMinutes: SaturaConfig.NOTIFICATION.graceMinutes
+        });
+        SaturaConfig.log(`Scheduled ${reminders.length} reminders`);
+
+        return reminders;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Support & Permission
+        isSupported,
+        getPermission,
+        requestPermission,
+
+        // Settings
+        isEnabled,
+        setEnabled,
+        getReminderSettings,
+        setReminder,
+
+        // Scheduling
+        buildReminders,
+        sync
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaNotification;
+}
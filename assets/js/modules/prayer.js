@@ -11,6 +11,9 @@ const SaturaPrayer = (function () {
     let todaySchedule = null;
     let scheduleDate = null;
 
+    // Direction of the elevation correction per API timing (earlier sunrise, later sunset)
+    const ELEVATION_SHIFT = { Sunrise: -1, Sunset: 1, Maghrib: 1 };
+
     // ===========================================
     // PRAYER TIMES FETCHING
     // ===========================================
@@ -21,7 +24,7 @@ const SaturaPrayer = (function () {
      * @returns {Promise<Object>} - Today's prayer schedule
      */
     async function fetchTodaySchedule(forceRefresh = false) {
-        const today = new Date();
+        const today = getLocationDate();
         const todayString = formatDate(today);
 
         // Return cached if available and same day
@@ -49,13 +52,18 @@ const SaturaPrayer = (function () {
             throw new Error('Location not available');
         }
 
-        // Fetch from API
-        SaturaConfig.log('Fetching prayer times from API...');
-        const data = await SaturaAPI.getPrayerTimes(
-            coords.latitude,
-            coords.longitude,
-            today
-        );
+        // Ramadhan pack or background-synced day first, API only when neither has it
+        let data = await getPackDay(today, coords) || await SaturaStorage.getSyncedDay(coords, todayString);
+        if (data) {
+            SaturaConfig.log('Using stored schedule for', todayString);
+        } else {
+            SaturaConfig.log('Fetching prayer times from API...');
+            data = await SaturaAPI.getPrayerTimes(
+                coords.latitude,
+                coords.longitude,
+                today
+            );
+        }
 
         // Process and store
         todaySchedule = processApiResponse(data, location);
@@ -75,7 +83,7 @@ const SaturaPrayer = (function () {
      */
     function getCachedScheduleSync(dateString) {
         try {
-            const key = `${SaturaConfig.CACHE.keys.prayerCache}_${dateString}`;
+            const key = SaturaStorage.getPrayerCacheKey(dateString);
             // SaturaStorage.get() handles TTL expiration automatically
             // When offline, we want to use any cached data regardless of TTL
             if (!navigator.onLine) {
@@ -97,7 +105,7 @@ const SaturaPrayer = (function () {
      * @returns {Object|null} - Cached schedule or null
      */
     function initFromCache() {
-        const today = new Date();
+        const today = getLocationDate();
         const todayString = formatDate(today);
 
         const cached = getCachedScheduleSync(todayString);
@@ -131,12 +139,10 @@ const SaturaPrayer = (function () {
             throw new Error('Location not available');
         }
 
-        // Fetch from API
-        const data = await SaturaAPI.getPrayerTimes(
-            coords.latitude,
-            coords.longitude,
-            targetDate
-        );
+        // Ramadhan pack or background-synced day first, then API
+        const data = await getPackDay(targetDate, coords) ||
+            await SaturaStorage.getSyncedDay(coords, dateString) ||
+            await SaturaAPI.getPrayerTimes(coords.latitude, coords.longitude, targetDate);
 
         const location = SaturaLocation.getCurrentLocation();
         const schedule = processApiResponse(data, location);
@@ -172,6 +178,143 @@ const SaturaPrayer = (function () {
         return data.map(dayData => processApiResponse(dayData, location));
     }
 
+    /**
+     * Fetch a day's schedule for any place (e.g. a saved location),
+     * without touching the current location or today's schedule
+     * @param {Object} place - { name, latitude, longitude, elevation }
+     * @param {Date|string} date - Target date (default: today)
+     * @returns {Promise<Object>} - Prayer schedule for that place
+     */
+    async function fetchPlaceSchedule(place, date = new Date()) {
+        const targetDate = new Date(date);
+        const dateString = formatDate(targetDate);
+        const coords = { latitude: place.latitude, longitude: place.longitude, elevation: place.elevation || 0 };
+
+        const cached = await SaturaStorage.getPrayerCacheAsync(dateString, coords);
+        if (cached) {
+            return cached;
+        }
+
+        const data = await getPackDay(targetDate, coords) ||
+            await SaturaStorage.getSyncedDay(coords, dateString) ||
+            await SaturaAPI.getPrayerTimes(coords.latitude, coords.longitude, targetDate);
+
+        const schedule = processApiResponse(data, { regency: { name: place.name } }, coords);
+        await cacheSchedule(dateString, schedule);
+
+        return schedule;
+    }
+
+    // ===========================================
+    // RAMADHAN PACK
+    // ===========================================
+
+    /**
+     * Get the persisted Ramadhan pack (raw API days) for a location
+     * @param {Object} coords - { latitude, longitude } (optional, uses current)
+     * @returns {Promise<Object|null>} - { startDate, days, updatedAt, source? ('local' when computed offline) }
+     */
+    async function getRamadhanPack(coords = null) {
+        return SaturaStorage.getRamadhanPackAsync(coords || SaturaLocation.getCoordinates());
+    }
+
+    /**
+     * Find a day's raw API data in the Ramadhan pack
+     * @param {Date|string} date - Target date
+     * @param {Object} coords - { latitude, longitude } (optional, uses current)
+     * @returns {Promise<Object|null>} - Raw day data (timings, date, meta)
+     */
+    async function getPackDay(date, coords = null) {
+        const pack = await getRamadhanPack(coords);
+        if (!pack?.days) return null;
+
+        const target = formatDate(new Date(date));
+        return pack.days.find(day => gregorianKey(day) === target) || null;
+    }
+
+    /**
+     * Check whether a pack covers the requested range, is recent and came from the API
+     * @param {Object} pack - Ramadhan pack
+     * @param {Date} startDate - First day
+     * @param {number} days - Number of days
+     * @returns {boolean}
+     */
+    function isPackFresh(pack, startDate, days = 30) {
+        return Boolean(pack?.days) &&
+            pack.source !== 'local' &&
+            pack.startDate === formatDate(startDate) &&
+            pack.days.length >= days &&
+            Date.now() - pack.updatedAt < SaturaConfig.CACHE.duration.prayerTimes;
+    }
+
+    /**
+     * Download every day of Ramadhan and persist it as the location's pack
+     * @param {Date} startDate - First day (1 Ramadhan)
+     * @param {number} days - Number of days to keep
+     * @param {Object} coords - { latitude, longitude } (optional, uses current)
+     * @returns {Promise<Object>} - { startDate, days, updatedAt, source? }
+     */
+    async function refreshRamadhanPack(startDate, days = 30, coords = null) {
+        const target = coords || SaturaLocation.getCoordinates();
+        if (!target) {
+            throw new Error('Location not available');
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(start);
+        end.setDate(start.getDate() + days - 1);
+
+        // Ramadhan usually spans two Gregorian months
+        const months = [];
+        const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+        while (cursor <= end) {
+            months.push({ month: cursor.getMonth() + 1, year: cursor.getFullYear() });
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        const calendars = await Promise.all(months.map(({ month, year }) =>
+            SaturaAPI.getMonthlyCalendar(target.latitude, target.longitude, month, year)
+        ));
+
+        const startKey = formatDate(start);
+        const endKey = formatDate(end);
+        const pack = {
+            startDate: startKey,
+            days: calendars.flat().filter(day => {
+                const key = gregorianKey(day);
+                return key && key >= startKey && key <= endKey;
+            }),
+            updatedAt: Date.now()
+        };
+
+        // Offline, the days come from the local engine (Hijri dates included).
+        // Keep an earlier API pack if there is one; otherwise store this one so
+        // the month works offline, marked so the next online visit replaces it.
+        if (pack.days.some(day => day.meta?.source === 'local')) {
+            const previous = await getRamadhanPack(target);
+            if (previous?.days?.length && previous.source !== 'local') {
+                return previous;
+            }
+            pack.source = 'local';
+        }
+
+        SaturaStorage.saveRamadhanPack(target, pack);
+        return pack;
+    }
+
+    /**
+     * Get YYYY-MM-DD key from raw API day data
+     * @param {Object} day - Raw day data
+     * @returns {string|null}
+     */
+    function gregorianKey(day) {
+        const gregorian = day?.date?.gregorian?.date; // DD-MM-YYYY
+        if (!gregorian) return null;
+
+        const [d, m, y] = gregorian.split('-');
+        return `${y}-${m}-${d}`;
+    }
+
     // ===========================================
     // DATA PROCESSING
     // ===========================================
@@ -180,21 +323,24 @@ const SaturaPrayer = (function () {
      * Process API response into standardized format
      * @param {Object} data - API response data
      * @param {Object} location - Current location
+     * @param {Object} coords - { latitude, longitude, elevation } (optional, uses current)
      * @returns {Object} - Processed prayer schedule
      */
-    function processApiResponse(data, location) {
-        const timings = data.timings || {};
+    function processApiResponse(data, location, coords = SaturaLocation.getCoordinates()) {
+        const timings = getAdjustedTimings(data, coords);
         const dateInfo = data.date || {};
+        const gregorian = dateInfo.gregorian?.date || new Date();
+
+        // Hijri date is computed locally; the API value only serves as a cross-check
+        SaturaHijri.crossCheck(dateInfo.hijri, gregorian);
 
         // Map API timings to our format
         const prayerTimes = {};
 
         Object.entries(SaturaConfig.PRAYER.apiMapping).forEach(([apiKey, localKey]) => {
             if (timings[apiKey]) {
-                // Sanitize timezone suffix e.g. "04:32 (WIB)" → "04:32"
-                const cleanTime = String(timings[apiKey]).split(' ')[0];
                 prayerTimes[localKey] = {
-                    time: cleanTime,
+                    time: timings[apiKey],
                     name: SaturaConfig.PRAYER.names[localKey],
                     apiKey: apiKey
                 };
@@ -219,14 +365,14 @@ const SaturaPrayer = (function () {
         return {
             date: {
                 gregorian: dateInfo.gregorian || null,
-                hijri: dateInfo.hijri || null,
+                hijri: SaturaHijri.toAladhanFormat(gregorian),
                 readable: dateInfo.readable || formatDateReadable(new Date()),
                 timestamp: dateInfo.timestamp || Math.floor(Date.now() / 1000)
             },
             location: {
                 name: location?.regency?.name || location?.province?.name || 'Unknown',
                 province: location?.province?.name || null,
-                coordinates: SaturaLocation.getCoordinates()
+                coordinates: coords
             },
             timings: prayerTimes,
             meta: data.meta || null,
@@ -234,6 +380,72 @@ const SaturaPrayer = (function () {
         };
     }
 
+    /**
+     * Get raw API timings with the user's per-prayer adjustments applied.
+     * Offsets already applied by the API (`meta.offset`, from the `tune`
+     * parameter) are subtracted so nothing is shifted twice. The saved
+     * location's elevation is applied on top (see getElevationShift).
+     * @param {Object} data - API response data (timings + meta)
+     * @param {Object} place - { latitude, longitude, elevation } (optional, uses the saved location)
+     * @returns {Object} - Timings keyed by API name in HH:MM format
+     */
+    function getAdjustedTimings(data, place = null) {
+        const timings = data?.timings || {};
+        const applied = data?.meta?.offset || {};
+        const offsets = SaturaStorage.getTuneOffsets();
+        const shift = getElevationShift(data, place);
+        const adjusted = {};
+
+        Object.entries(timings).forEach(([apiKey, value]) => {
+            // Sanitize timezone suffix e.g. "04:32 (WIB)" → "04:32"
+            const cleanTime = String(value).split(' ')[0];
+            const delta = (offsets[apiKey] || 0) - (Number(applied[apiKey]) || 0) + (ELEVATION_SHIFT[apiKey] || 0) * shift;
+            adjusted[apiKey] = delta ? addMinutes(cleanTime, delta) : cleanTime;
+        });
+
+        return adjusted;
+    }
+
+    /**
+     * Whole minutes a place's elevation moves sunrise/sunset.
+     * The API takes no elevation, so it is applied here, and only to
+     * schedules computed for that point itself.
+     * @param {Object} data - API response data (date + meta)
+     * @param {Object} place - { latitude, longitude, elevation } (optional, uses the saved location)
+     * @returns {number} - Minutes (0 without elevation or for another point)
+     */
+    function getElevationShift(data, place = null) {
+        const location = place?.elevation !== undefined ? place : SaturaStorage.getLocation();
+        const elevation = Number(location?.elevation) || 0;
+        const meta = data?.meta;
+
+        if (elevation <= 0 || !meta ||
+            Math.abs(Number(meta.latitude) - location.latitude) > 0.0001 ||
+            Math.abs(Number(meta.longitude) - location.longitude) > 0.0001) {
+            return 0;
+        }
+
+        const key = gregorianKey(data);
+        const date = key ? new Date(`${key}T12:00:00`) : new Date();
+        return Math.round(SaturaAstronomy.getElevationCorrection(location.latitude, date, elevation));
+    }
+
+    /**
+     * Shift an HH:MM time by a number of minutes (wraps around midnight)
+     * @param {string} timeString - Time in HH:MM format
+     * @param {number} minutes - Minutes to add (negative to subtract)
+     * @returns {string} - Shifted time in HH:MM format
+     */
+    function addMinutes(timeString, minutes) {
+        const [hours, mins] = timeString.split(':').map(Number);
+        if (isNaN(hours) || isNaN(mins)) {
+            return timeString;
+        }
+
+        const total = (((hours * 60 + mins + minutes) % 1440) + 1440) % 1440;
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Get prayer times as ordered array for display
      * @param {Object} schedule - Prayer schedule (optional, uses cached)
@@ -278,6 +490,138 @@ const SaturaPrayer = (function () {
         return SaturaAPI.calculateImsak(fajrTime);
     }
 
+    // ===========================================
+    // TIME ZONE
+    // ===========================================
+
+    /**
+     * IANA time zone the schedule's times are expressed in:
+     * the location's province zone, else the API's meta.timezone, else the device's
+     * @param {Object} schedule - Prayer schedule (optional)
+     * @returns {string}
+     */
+    function getTimezone(schedule = null) {
+        const location = SaturaLocation.getCurrentLocation();
+        const provinceId = location?.province?.id || location?.regency?.province_id;
+        if (provinceId) {
+            return SaturaConfig.getTimezoneForProvince(provinceId);
+        }
+
+        return (schedule || todaySchedule)?.meta?.timezone || SaturaAstronomy.resolveTimezone();
+    }
+
+    /**
+     * Wall clock of an instant in a time zone, read back with getUTC* methods
+     * @param {Date} date - Instant
+     * @param {string} timeZone - IANA time zone
+     * @returns {Date}
+     */
+    function toZoned(date, timeZone) {
+        return new Date(date.getTime() + SaturaAstronomy.getTimezoneOffset(timeZone, date) * 3600000);
+    }
+
+    /**
+     * Instant of a wall-clock time in a time zone
+     * @param {number} year - Year
+     * @param {number} month - Month (0-11)
+     * @param {number} day - Day of month
+     * @param {number} hours - Hours
+     * @param {number} minutes - Minutes
+     * @param {string} timeZone - IANA time zone
+     * @returns {Date}
+     */
+    function zonedToInstant(year, month, day, hours, minutes, timeZone) {
+        const wall = Date.UTC(year, month, day, hours, minutes);
+        const offset = SaturaAstronomy.getTimezoneOffset(timeZone, new Date(wall));
+        return new Date(wall - offset * 3600000);
+    }
+
+    /**
+     * Minutes since midnight at the location
+     * @param {string} timeZone - IANA time zone (default: location)
+     * @param {Date} now - Reference instant
+     * @returns {number}
+     */
+    function getLocationMinutes(timeZone = getTimezone(), now = SaturaClock.now()) {
+        const wall = toZoned(now, timeZone);
+        return wall.getUTCHours() * 60 + wall.getUTCMinutes();
+    }
+
+    /**
+     * Calendar date at the location, as a device-local Date (for formatDate, API calls)
+     * @param {number} dayOffset - Days to add (e.g. 1 for tomorrow)
+     * @param {string} timeZone - IANA time zone (default: location)
+     * @param {Date} now - Reference instant
+     * @returns {Date}
+     */
+    function getLocationDate(dayOffset = 0, timeZone = getTimezone(), now = SaturaClock.now()) {
+        const wall = toZoned(now, timeZone);
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + dayOffset);
+    }
+
+    /**
+     * Instant of a schedule time on a Gregorian date at the location
+     * @param {string} dateString - DD-MM-YYYY (Aladhan format)
+     * @param {string} time - HH:MM
+     * @param {string} timeZone - IANA time zone (default: location)
+     * @returns {number|null} - Epoch milliseconds
+     */
+    function toTimestamp(dateString, time, timeZone = getTimezone()) {
+        if (!dateString || !time) return null;
+
+        const [day, month, year] = dateString.split('-').map(Number);
+        const [hours, minutes] = time.split(' ')[0].split(':').map(Number);
+        const instant = zonedToInstant(year, month - 1, day, hours, minutes, timeZone);
+
+        return isNaN(instant.getTime()) ? null : instant.getTime();
+    }
+
+    /**
+     * Location zone label and the device-local equivalent of its times
+     * @param {Object} schedule - Prayer schedule (optional)
+     * @returns {Object} - { timeZone, label, deviceTimeZone, deviceLabel, differs, offsetMinutes }
+     */
+    function getZoneInfo(schedule = null) {
+        const labels = SaturaConfig.LOCATION.timezoneLabels;
+        const timeZone = getTimezone(schedule);
+        const now = new Date();
+        let deviceTimeZone = null;
+
+        try {
+            deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (e) {
+            deviceTimeZone = null;
+        }
+
+        // Device offset minus location offset: add to a location time to get device time
+        const offsetMinutes = Math.round((-now.getTimezoneOffset() / 60 - SaturaAstronomy.getTimezoneOffset(timeZone, now)) * 60);
+        const deviceLabel = labels[deviceTimeZone] || deviceTimeZone || `UTC${formatUtcOffset(-now.getTimezoneOffset())}`;
+
+        return {
+            timeZone,
+            label: labels[timeZone] || timeZone,
+            deviceTimeZone,
+            deviceLabel,
+            differs: offsetMinutes !== 0,
+            offsetMinutes
+        };
+    }
+
+    function formatUtcOffset(minutes) {
+        const abs = Math.abs(minutes);
+        return `${minutes < 0 ? '-' : '+'}${Math.floor(abs / 60)}${abs % 60 ? ':' + String(abs % 60).padStart(2, '0') : ''}`;
+    }
+
+    /**
+     * Device-local equivalent of a location time
+     * @param {string} time - HH:MM at the location
+     * @param {Object} zoneInfo - Result of getZoneInfo() (optional)
+     * @returns {string} - HH:MM on the device clock
+     */
+    function toDeviceTime(time, zoneInfo = getZoneInfo()) {
+        return addMinutes(String(time).split(' ')[0], zoneInfo.offsetMinutes);
+    }
+
     // ===========================================
     // NEXT PRAYER & COUNTDOWN
     // ===========================================
@@ -293,8 +637,8 @@ const SaturaPrayer = (function () {
             return null;
         }
 
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const timeZone = getTimezone(source);
+        const currentMinutes = getLocationMinutes(timeZone);
 
         const orderedPrayers = SaturaConfig.PRAYER.displayOrder;
 
@@ -309,7 +653,7 @@ const SaturaPrayer = (function () {
                     key: key,
                     name: prayer.name,
                     time: prayer.time,
-                    remaining: calculateTimeRemaining(prayer.time),
+                    remaining: calculateTimeRemaining(prayer.time, timeZone),
                     isToday: true
                 };
             }
@@ -321,7 +665,7 @@ const SaturaPrayer = (function () {
         let remaining = null;
 
         if (tomorrowImsak) {
-            remaining = calculateTimeRemainingToTomorrow(tomorrowImsak);
+            remaining = calculateTimeRemainingToTomorrow(tomorrowImsak, timeZone);
         }
 
         return {
@@ -335,20 +679,17 @@ const SaturaPrayer = (function () {
     }
 
     /**
-     * Calculate countdown to a time tomorrow
+     * Calculate countdown to a time tomorrow (at the location)
      * @param {string} targetTime - Target time in HH:MM format
+     * @param {string} timeZone - IANA time zone of the time (default: location)
      * @returns {Object} - Countdown object with hours, minutes, seconds
      */
-    function calculateTimeRemainingToTomorrow(targetTime) {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+    function calculateTimeRemainingToTomorrow(targetTime, timeZone = getTimezone()) {
+        const now = SaturaClock.now();
 
         // Parse time string (remove timezone info like "(WIB)")
         const cleanTime = targetTime.split(' ')[0];
-        const [hours, minutes] = cleanTime.split(':').map(Number);
-
-        tomorrow.setHours(hours, minutes, 0, 0);
+        const tomorrow = parseTime(cleanTime, new Date(now.getTime() + 86400000), timeZone);
 
         const diff = tomorrow - now;
 
@@ -374,8 +715,8 @@ const SaturaPrayer = (function () {
             return null;
         }
 
-        const now = new Date();
-        const currentMinutes = now.getHours() * 60 + now.getMinutes();
+        const timeZone = getTimezone(source);
+        const currentMinutes = getLocationMinutes(timeZone);
 
         const orderedPrayers = SaturaConfig.PRAYER.displayOrder;
         let currentPrayer = null;
@@ -391,7 +732,7 @@ const SaturaPrayer = (function () {
                     key: key,
                     name: prayer.name,
                     time: prayer.time,
-                    startedAgo: calculateTimeElapsed(prayer.time)
+                    startedAgo: calculateTimeElapsed(prayer.time, timeZone)
                 };
             }
         }
@@ -402,15 +743,16 @@ const SaturaPrayer = (function () {
     /**
      * Calculate countdown to a specific time
      * @param {string} targetTime - Target time in HH:MM format
+     * @param {string} timeZone - IANA time zone of the time (default: location)
      * @returns {Object} - Countdown object with hours, minutes, seconds
      */
-    function calculateTimeRemaining(targetTime) {
-        const now = new Date();
-        const target = parseTime(targetTime);
+    function calculateTimeRemaining(targetTime, timeZone = getTimezone()) {
+        const now = SaturaClock.now();
+        let target = parseTime(targetTime, now, timeZone);
 
         if (target <= now) {
             // Target is tomorrow
-            target.setDate(target.getDate() + 1);
+            target = parseTime(targetTime, new Date(now.getTime() + 86400000), timeZone);
         }
 
         const diff = target - now;
@@ -427,15 +769,16 @@ const SaturaPrayer = (function () {
     /**
      * Calculate time elapsed since a time
      * @param {string} pastTime - Past time in HH:MM format
+     * @param {string} timeZone - IANA time zone of the time (default: location)
      * @returns {Object} - Elapsed time object
      */
-    function calculateTimeElapsed(pastTime) {
-        const now = new Date();
-        const past = parseTime(pastTime);
+    function calculateTimeElapsed(pastTime, timeZone = getTimezone()) {
+        const now = SaturaClock.now();
+        let past = parseTime(pastTime, now, timeZone);
 
         if (past > now) {
             // Time is tomorrow (from yesterday)
-            past.setDate(past.getDate() - 1);
+            past = parseTime(pastTime, new Date(now.getTime() - 86400000), timeZone);
         }
 
         const diff = now - past;
@@ -459,12 +802,7 @@ const SaturaPrayer = (function () {
      */
     function isRamadhan(schedule = null) {
         const source = schedule || todaySchedule;
-        if (!source?.date?.hijri) {
-            return false;
-        }
-
-        const hijriMonth = source.date.hijri.month?.number;
-        return hijriMonth === SaturaConfig.HIJRI.ramadhanMonth;
+        return SaturaHijri.isRamadhan(source?.date?.gregorian?.date || new Date());
     }
 
     /**
@@ -496,18 +834,19 @@ const SaturaPrayer = (function () {
     }
 
     /**
-     * Cache schedule to localStorage via SaturaStorage
+     * Cache schedule to localStorage via SaturaStorage, keyed by the
+     * schedule's own coordinates
      * @param {string} dateString - Date string key
      * @param {Object} schedule - Schedule to cache
      */
     async function cacheSchedule(dateString, schedule) {
         try {
-            const cacheKey = `${SaturaConfig.CACHE.keys.prayerCache}_${dateString}`;
-            SaturaStorage.set(cacheKey, schedule, SaturaConfig.CACHE.duration.prayerTimes);
+            SaturaStorage.savePrayerCache(dateString, schedule, schedule.location?.coordinates ?? SaturaStorage.getLocation());
             SaturaConfig.log('Cached schedule for', dateString);
 
             // Clean expired entries across all storage
             SaturaStorage.cleanExpired();
+            SaturaStorage.cleanExpiredAsync();
 
         } catch (error) {
             SaturaConfig.error('Failed to cache schedule:', error);
@@ -515,14 +854,13 @@ const SaturaPrayer = (function () {
     }
 
     /**
-     * Get cached schedule from localStorage via SaturaStorage
+     * Get cached schedule from localStorage, falling back to IndexedDB
      * @param {string} dateString - Date string key
      * @returns {Object|null} - Cached schedule or null
      */
     async function getCachedSchedule(dateString) {
         try {
-            const cacheKey = `${SaturaConfig.CACHE.keys.prayerCache}_${dateString}`;
-            const cached = SaturaStorage.get(cacheKey);
+            const cached = await SaturaStorage.getPrayerCacheAsync(dateString);
 
             if (cached) {
                 SaturaConfig.log('Found cached schedule for', dateString);
@@ -569,13 +907,21 @@ const SaturaPrayer = (function () {
      * Parse time string to Date
      * @param {string} timeString - Time in HH:MM format
      * @param {Date} baseDate - Base date (optional)
+     * @param {string} timeZone - Read the time (and the base date's day) in this
+     *                            IANA zone instead of the device's (optional)
      * @returns {Date}
      */
-    function parseTime(timeString, baseDate = null) {
+    function parseTime(timeString, baseDate = null, timeZone = null) {
         const [hours, minutes] = timeString.split(':').map(Number);
         const date = baseDate ? new Date(baseDate) : new Date();
-        date.setHours(hours, minutes, 0, 0);
-        return date;
+
+        if (!timeZone) {
+            date.setHours(hours, minutes, 0, 0);
+            return date;
+        }
+
+        const day = toZoned(date, timeZone);
+        return zonedToInstant(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes, timeZone);
     }
 
     /**
@@ -656,17 +1002,34 @@ const SaturaPrayer = (function () {
         fetchTodaySchedule,
         fetchScheduleForDate,
         fetchMonthlySchedule,
+        fetchPlaceSchedule,
         initFromCache,
 
+        // Ramadhan Pack
+        getRamadhanPack,
+        getPackDay,
+        isPackFresh,
+        refreshRamadhanPack,
+
         // Data Access
         getOrderedTimes,
+        getAdjustedTimings,
         getImsakTime,
         calculateImsak,
 
+        // Time Zone
+        getTimezone,
+        getLocationMinutes,
+        getLocationDate,
+        toTimestamp,
+        getZoneInfo,
+        toDeviceTime,
+
         // Next Prayer & Countdown
         getNextPrayer,
         getCurrentPrayer,
         calculateTimeRemaining,
+        calculateTimeRemainingToTomorrow,
         calculateTimeElapsed,
 
         // Ramadhan
@@ -0,0 +1,228 @@
+/**
+ * Satu Ramadhan - Qadha Module
+ * Ledger of missed Ramadhan fasts: per-day status, qadha made up,
+ * running balance across Hijri years and fidyah estimates
+ */
+
+const SaturaQadha = (function () {
+    'use strict';
+
+    // ===========================================
+    // LEDGER STORAGE
+    // ===========================================
+
+    /**
+     * Get the ledger, normalized (older or hand-edited documents may miss parts)
+     * @returns {Object} - { ramadhan: { year: { day: status } }, manual: { year: count }, paid: ['YYYY-MM-DD'] }
+     */
+    function getLedger() {
+        const stored = SaturaStorage.getSetting('qadhaLedger', {}) || {};
+
+        return {
+            ramadhan: stored.ramadhan && typeof stored.ramadhan === 'object' ? stored.ramadhan : {},
+            manual: stored.manual && typeof stored.manual === 'object' ? stored.manual : {},
+            paid: Array.isArray(stored.paid) ? stored.paid : []
+        };
+    }
+
+    function saveLedger(ledger) {
+        SaturaStorage.setSetting('qadhaLedger', ledger);
+    }
+
+    /**
+     * Status of a Ramadhan day
+     * @param {number} year - Hijri year
+     * @param {number} day - Ramadhan day (1-30)
+     * @returns {string|null} - 'puasa', a reason ID from SaturaConfig.QADHA.reasons, or null
+     */
+    function getDayStatus(year, day) {
+        return getLedger().ramadhan[year]?.[day] || null;
+    }
+
+    /**
+     * Record a Ramadhan day
+     * @param {number} year - Hijri year
+     * @param {number} day - Ramadhan day (1-30)
+     * @param {string|null} status - 'puasa', a reason ID, or null to clear
+     */
+    function setDayStatus(year, day, status) {
+        if (status && status !== 'puasa' && !SaturaConfig.QADHA.reasons[status]) {
+            throw new Error(`Unknown qadha reason: ${status}`);
+        }
+
+        const ledger = getLedger();
+        const days = { ...ledger.ramadhan[year] };
+
+        if (status) {
+            days[day] = status;
+        } else {
+            delete days[day];
+        }
+
+        const ramadhan = { ...ledger.ramadhan, [year]: days };
+        if (!Object.keys(days).length) delete ramadhan[year];
+
+        saveLedger({ ...ledger, ramadhan });
+    }
+
+    /**
+     * Set missed days for a year that was not tracked day by day
+     * @param {number} year - Hijri year
+     * @param {number} count - Missed days (0 clears)
+     */
+    function setManualDays(year, count) {
+        const ledger = getLedger();
+        const manual = { ...ledger.manual };
+        const days = Math.max(0, Math.min(30, Math.round(Number(count) || 0)));
+
+        if (days) {
+            manual[year] = days;
+        } else {
+            delete manual[year];
+        }
+
+        saveLedger({ ...ledger, manual });
+    }
+
+    /**
+     * Record a qadha fast that was made up
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {boolean} - False if that date was already recorded
+     */
+    function addPaid(dateKey) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+            throw new Error('Tanggal qadha tidak valid');
+        }
+
+        const ledger = getLedger();
+        if (ledger.paid.includes(dateKey)) return false;
+
+        saveLedger({ ...ledger, paid: [...ledger.paid, dateKey].sort() });
+        return true;
+    }
+
+    /**
+     * Remove a recorded qadha fast
+     * @param {string} dateKey - YYYY-MM-DD
+     */
+    function removePaid(dateKey) {
+        const ledger = getLedger();
+        saveLedger({ ...ledger, paid: ledger.paid.filter(date => date !== dateKey) });
+    }
+
+    // ===========================================
+    // BALANCE
+    // ===========================================
+
+    /**
+     * Running qadha balance. Made-up days settle the oldest year first;
+     * days still owed after the next Ramadhan has started are counted as late,
+     * which (Syafi'i) adds one fidyah per day for every Ramadhan passed.
+     * @param {Date} now - Reference date
+     * @returns {Object} - { years: [...], owed, paid, remaining, surplus, fidyah: { days, amount, kg } }
+     */
+    function getBalance(now = new Date()) {
+        const { reasons, fidyah } = SaturaConfig.QADHA;
+        const ledger = getLedger();
+        const today = SaturaHijri.toHijri(now);
+        const byYear = {};
+
+        const entry = (year) => {
+            byYear[year] = byYear[year] || { year: Number(year), missed: 0, owed: 0, fidyahDays: 0 };
+            return byYear[year];
+        };
+
+        Object.entries(ledger.ramadhan).forEach(([year, days]) => {
+            Object.values(days || {}).forEach(status => {
+                const reason = reasons[status];
+                if (!reason) return;
+
+                const item = entry(year);
+                item.missed++;
+                if (reason.qadha) item.owed++;
+                if (reason.fidyah) item.fidyahDays++;
+            });
+        });
+
+        Object.entries(ledger.manual).forEach(([year, count]) => {
+            const item = entry(year);
+            item.missed += Number(count) || 0;
+            item.owed += Number(count) || 0;
+        });
+
+        let credit = ledger.paid.length;
+        const years = Object.values(byYear)
+            .sort((a, b) => a.year - b.year)
+            .map(item => {
+                const paid = Math.min(credit, item.owed);
+                credit -= paid;
+
+                const remaining = item.owed - paid;
+                // Ramadhans that began after this year's Ramadhan (incl. the current one)
+                const passed = today.year - item.year - (today.month < SaturaConfig.HIJRI.ramadhanMonth ? 1 : 0);
+                const late = passed > 0 ? remaining * passed : 0;
+
+                return { ...item, paid, remaining, late, fidyahDays: item.fidyahDays + late };
+            });
+
+        const sum = (key) => years.reduce((total, item) => total + item[key], 0);
+        const fidyahDays = sum('fidyahDays');
+
+        return {
+            years,
+            owed: sum('owed'),
+            paid: ledger.paid.length,
+            remaining: sum('remaining'),
+            surplus: credit,
+            fidyah: {
+                days: fidyahDays,
+                amount: fidyahDays * fidyah.perDay,
+                kg: Math.round(fidyahDays * fidyah.mudKg * 100) / 100
+            }
+        };
+    }
+
+    /**
+     * Reminder to finish qadha while Sya'ban approaches
+     * @param {Date} ramadhanStart - Next 1 Ramadhan (default: local Hijri calendar)
+     * @param {Date} now - Reference date
+     * @returns {Object|null} - { remaining, daysToRamadhan, hijriYear } or null if nothing is due
+     */
+    function getReminder(ramadhanStart = null, now = new Date()) {
+        const today = SaturaHijri.toHijri(now);
+        if (!SaturaConfig.QADHA.reminderMonths.includes(today.month)) return null;
+
+        const { remaining } = getBalance(now);
+        if (!remaining) return null;
+
+        const start = new Date(ramadhanStart || SaturaHijri.getRamadhanStart(today.year));
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        start.setHours(0, 0, 0, 0);
+
+        return {
+            remaining,
+            daysToRamadhan: Math.max(0, Math.round((start - midnight) / 86400000)),
+            hijriYear: today.year
+        };
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        getLedger,
+        getDayStatus,
+        setDayStatus,
+        setManualDays,
+        addPaid,
+        removePaid,
+        getBalance,
+        getReminder
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaQadha;
+}
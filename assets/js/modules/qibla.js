@@ -0,0 +1,264 @@
+/**
+ * Satu Ramadhan - Qibla Module
+ * Great-circle bearing & distance to the Ka'bah, device compass heading,
+ * and the yearly rashdul qiblah (sun directly over the Ka'bah)
+ */
+
+const SaturaQibla = (function () {
+    'use strict';
+
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
+    function dtr(d) { return (d * Math.PI) / 180; }
+    function rtd(r) { return (r * 180) / Math.PI; }
+    function normalize(angle) { return ((angle % 360) + 360) % 360; }
+
+    /**
+     * Coordinates to use: explicit, current location, saved location, then default
+     * @param {Object} coords - { latitude, longitude } (optional)
+     * @returns {Object} - { latitude, longitude }
+     */
+    function resolveCoords(coords = null) {
+        const source = coords ||
+            SaturaLocation.getCoordinates() ||
+            SaturaStorage.getLocation() ||
+            SaturaConfig.LOCATION.default;
+
+        return { latitude: Number(source.latitude), longitude: Number(source.longitude) };
+    }
+
+    // ===========================================
+    // DIRECTION
+    // ===========================================
+
+    /**
+     * Initial great-circle bearing from a point to the Ka'bah
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {number} - Degrees clockwise from true north (0-360)
+     */
+    function getBearing(latitude, longitude) {
+        const { kaaba } = SaturaConfig.QIBLA;
+        const phi1 = dtr(latitude);
+        const phi2 = dtr(kaaba.latitude);
+        const deltaLambda = dtr(kaaba.longitude - longitude);
+
+        const y = Math.sin(deltaLambda) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+        return normalize(rtd(Math.atan2(y, x)));
+    }
+
+    /**
+     * Name of the nearest cardinal/intercardinal direction
+     * @param {number} bearing - Degrees from north
+     * @returns {string}
+     */
+    function getCardinal(bearing) {
+        const cardinals = SaturaConfig.QIBLA.cardinals;
+        const step = 360 / cardinals.length;
+        return cardinals[Math.round(normalize(bearing) / step) % cardinals.length];
+    }
+
+    /**
+     * Qibla direction for a location
+     * @param {Object} coords - { latitude, longitude } (default: current location)
+     * @returns {Object} - { latitude, longitude, bearing, cardinal, distance (km) }
+     */
+    function getDirection(coords = null) {
+        const { latitude, longitude } = resolveCoords(coords);
+        const { kaaba } = SaturaConfig.QIBLA;
+        const bearing = getBearing(latitude, longitude);
+
+        return {
+            latitude,
+            longitude,
+            bearing,
+            cardinal: getCardinal(bearing),
+            distance: SaturaDatabase.calculateDistance(latitude, longitude, kaaba.latitude, kaaba.longitude)
+        };
+    }
+
+    // ===========================================
+    // RASHDUL QIBLAH
+    // ===========================================
+
+    /**
+     * Sun transit over the Ka'bah's meridian for a day
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {Object} - { jd (UT), declination }
+     */
+    function kaabaTransit(year, month, day) {
+        const { kaaba } = SaturaConfig.QIBLA;
+        const jd0 = SaturaAstronomy.julianDate(year, month, day);
+
+        // Equation of time at approximate local noon, then refine once at transit
+        let transit = 12 - kaaba.longitude / 15 - SaturaAstronomy.sunPosition(jd0 + 0.5 - kaaba.longitude / 360).equation;
+        const position = SaturaAstronomy.sunPosition(jd0 + transit / 24);
+        transit = 12 - kaaba.longitude / 15 - position.equation;
+
+        return { jd: jd0 + transit / 24, declination: SaturaAstronomy.sunPosition(jd0 + transit / 24).declination };
+    }
+
+    /**
+     * Sun altitude at a place for an instant
+     * @param {number} jd - Julian Day (UT)
+     * @param {Object} coords - { latitude, longitude }
+     * @returns {number} - Degrees (without refraction)
+     */
+    function sunAltitude(jd, coords) {
+        const { declination, equation } = SaturaAstronomy.sunPosition(jd);
+        const utHours = (((jd + 0.5) % 1) + 1) % 1 * 24;
+        const hourAngle = (utHours + coords.longitude / 15 + equation - 12) * 15;
+
+        return rtd(Math.asin(
+            Math.sin(dtr(coords.latitude)) * Math.sin(dtr(declination)) +
+            Math.cos(dtr(coords.latitude)) * Math.cos(dtr(declination)) * Math.cos(dtr(hourAngle))
+        ));
+    }
+
+    /**
+     * Days in a Gregorian year when the sun culminates at the Ka'bah's zenith
+     * (declination equals the Ka'bah's latitude, around 27/28 May and 15/16 July).
+     * At that moment every shadow of a vertical object points away from the Qibla.
+     * @param {number} year - Gregorian year
+     * @param {Object} coords - Observer { latitude, longitude } (default: current location)
+     * @returns {Array} - [{ date, declination, altitude, visible }]
+     */
+    function getRashdulQiblah(year = new Date().getFullYear(), coords = null) {
+        const place = resolveCoords(coords);
+        const latitude = SaturaConfig.QIBLA.kaaba.latitude;
+        const results = [];
+
+        let previous = null;
+        for (let cursor = new Date(Date.UTC(year, 0, 1)); cursor.getUTCFullYear() === year; cursor.setUTCDate(cursor.getUTCDate() + 1)) {
+            const current = kaabaTransit(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, cursor.getUTCDate());
+
+            if (previous && Math.sign(previous.declination - latitude) !== Math.sign(current.declination - latitude)) {
+                // The day whose transit is closest to the zenith
+                const best = Math.abs(previous.declination - latitude) < Math.abs(current.declination - latitude)
+                    ? previous
+                    : current;
+                const altitude = sunAltitude(best.jd, place);
+
+                results.push({
+                    date: new Date(Math.round((best.jd - 2440587.5) * 86400) * 1000),
+                    declination: best.declination,
+                    altitude,
+                    visible: altitude > 0
+                });
+            }
+            previous = current;
+        }
+
+        return results;
+    }
+
+    // ===========================================
+    // DEVICE COMPASS
+    // ===========================================
+
+    /**
+     * Whether the browser exposes device orientation
+     * @returns {boolean}
+     */
+    function isCompassSupported() {
+        return typeof window !== 'undefined' && 'DeviceOrientationEvent' in window;
+    }
+
+    /**
+     * Ask for orientation access (required on iOS 13+, must run from a user gesture)
+     * @returns {Promise<boolean>} - Whether access was granted
+     */
+    async function requestCompassPermission() {
+        if (!isCompassSupported()) return false;
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                return await DeviceOrientationEvent.requestPermission() === 'granted';
+            } catch (error) {
+                SaturaConfig.error('Compass permission failed:', error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Compass heading from an orientation event
+     * @param {DeviceOrientationEvent} event - Orientation event
+     * @returns {number|null} - Degrees clockwise from north, or null if not absolute
+     */
+    function readHeading(event) {
+        let heading = null;
+
+        if (typeof event.webkitCompassHeading === 'number') {
+            // iOS: already clockwise from magnetic north
+            heading = event.webkitCompassHeading;
+        } else if (event.absolute && typeof event.alpha === 'number') {
+            heading = 360 - event.alpha;
+        }
+
+        if (heading === null) return null;
+
+        // Alpha is relative to the device's natural (portrait) orientation
+        const screenAngle = window.screen?.orientation?.angle || 0;
+        return normalize(heading + screenAngle);
+    }
+
+    /**
+     * Watch the device heading (smoothed along the shortest arc)
+     * @param {Function} callback - Called with the heading in degrees
+     * @returns {Function} - Stop watching
+     */
+    function watchHeading(callback) {
+        if (!isCompassSupported()) return () => { };
+
+        const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        const smoothing = SaturaConfig.QIBLA.smoothing;
+        let smoothed = null;
+
+        const handler = (event) => {
+            const heading = readHeading(event);
+            if (heading === null) return;
+
+            if (smoothed === null) {
+                smoothed = heading;
+            } else {
+                const delta = normalize(heading - smoothed + 180) - 180;
+                smoothed = normalize(smoothed + delta * smoothing);
+            }
+            callback(smoothed);
+        };
+
+        window.addEventListener(eventName, handler);
+        return () => window.removeEventListener(eventName, handler);
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        // Direction
+        getBearing,
+        getCardinal,
+        getDirection,
+
+        // Rashdul Qiblah
+        getRashdulQiblah,
+
+        // Compass
+        isCompassSupported,
+        requestCompassPermission,
+        watchHeading
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaQibla;
+}
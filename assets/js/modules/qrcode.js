@@ -0,0 +1,554 @@
+/**
+ * Satu Ramadhan - QR Code Module
+ * Minimal QR Code Model 2 encoder (byte mode, versions 1-40)
+ * Renders share links as SVG without external libraries
+ */
+
+const SaturaQRCode = (function () {
+    'use strict';
+
+    // ===========================================
+    // TABLES (ISO/IEC 18004)
+    // ===========================================
+
+    // Error correction levels: format bits and row index into the tables below
+    const LEVELS = {
+        L: { bits: 1, index: 0 },
+        M: { bits: 0, index: 1 },
+        Q: { bits: 3, index: 2 },
+        H: { bits: 2, index: 3 }
+    };
+
+    // ECC codewords per block, indexed by [level][version]
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    // Number of error correction blocks, indexed by [level][version]
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASK_PATTERNS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // ===========================================
+    // CAPACITY
+    // ===========================================
+
+    /**
+     * Count modules available for data + ECC in a version
+     * @param {number} version - 1..40
+     * @returns {number}
+     */
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Count data codewords (excluding ECC) for a version and level
+     * @param {number} version - 1..40
+     * @param {Object} level - Entry from LEVELS
+     * @returns {number}
+     */
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level.index][version] *
+            NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+    }
+
+    /**
+     * Byte mode character count indicator length
+     * @param {number} version - 1..40
+     * @returns {number}
+     */
+    function getCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    // ===========================================
+    // REED-SOLOMON
+    // ===========================================
+
+    /**
+     * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+     * @param {number} x - Byte
+     * @param {number} y - Byte
+     * @returns {number}
+     */
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    /**
+     * Build the generator polynomial for a given degree
+     * @param {number} degree - Number of ECC codewords
+     * @returns {Array<number>}
+     */
+    function computeDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = multiply(root, 0x02);
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute ECC codewords for a block
+     * @param {Array<number>} data - Data codewords
+     * @param {Array<number>} divisor - Generator polynomial
+     * @returns {Array<number>}
+     */
+    function computeRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= multiply(coef, factor);
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Split data into blocks, append ECC and interleave
+     * @param {Array<number>} data - Data codewords
+     * @param {number} version - 1..40
+     * @param {Object} level - Entry from LEVELS
+     * @returns {Array<number>} - Final codeword sequence
+     */
+    function addEccAndInterleave(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = computeDivisor(blockEccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+
+            const ecc = computeRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0); // Placeholder, skipped while interleaving
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+
+        return result;
+    }
+
+    // ===========================================
+    // DATA ENCODING
+    // ===========================================
+
+    /**
+     * Encode bytes into data codewords (mode, count, data, padding)
+     * @param {Uint8Array} bytes - Payload
+     * @param {number} version - 1..40
+     * @param {Object} level - Entry from LEVELS
+     * @returns {Array<number>}
+     */
+    function encodeData(bytes, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4); // Byte mode
+        append(bytes.length, getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = getNumDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacity - bits.length)); // Terminator
+        append(0, (8 - bits.length % 8) % 8);
+
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        return codewords;
+    }
+
+    // ===========================================
+    // MATRIX
+    // ===========================================
+
+    /**
+     * Alignment pattern centre positions for a version
+     * @param {number} version - 1..40
+     * @returns {Array<number>}
+     */
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+
+        return result;
+    }
+
+    /**
+     * Create an empty symbol with function patterns drawn
+     * @param {number} version - 1..40
+     * @returns {Object} - { size, modules, isFunction }
+     */
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const matrix = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(matrix, 6, i, i % 2 === 0);
+            setFunction(matrix, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns + separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(matrix, x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns (skipping the three finder corners)
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format area; real bits are drawn once the mask is known
+        drawFormatBits(matrix, LEVELS.L, 0);
+        drawVersion(matrix, version);
+
+        return matrix;
+    }
+
+    function setFunction(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.isFunction[y][x] = true;
+    }
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    /**
+     * Draw both copies of the 15-bit format information
+     * @param {Object} matrix - Symbol
+     * @param {Object} level - Entry from LEVELS
+     * @param {number} mask - 0..7
+     */
+    function drawFormatBits(matrix, level, mask) {
+        const data = (level.bits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const size = matrix.size;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) setFunction(matrix, 8, i, getBit(bits, i));
+        setFunction(matrix, 8, 7, getBit(bits, 6));
+        setFunction(matrix, 8, 8, getBit(bits, 7));
+        setFunction(matrix, 7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) setFunction(matrix, 14 - i, 8, getBit(bits, i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) setFunction(matrix, size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) setFunction(matrix, 8, size - 15 + i, getBit(bits, i));
+        setFunction(matrix, 8, size - 8, true); // Dark module
+    }
+
+    /**
+     * Draw the 18-bit version information (versions 7+)
+     * @param {Object} matrix - Symbol
+     * @param {number} version - 1..40
+     */
+    function drawVersion(matrix, version) {
+        if (version < 7) return;
+
+        let rem = version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const a = matrix.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(matrix, a, b, getBit(bits, i));
+            setFunction(matrix, b, a, getBit(bits, i));
+        }
+    }
+
+    /**
+     * Place codewords in the zigzag order, skipping function modules
+     * @param {Object} matrix - Symbol
+     * @param {Array<number>} codewords - Interleaved codewords
+     */
+    function drawCodewords(matrix, codewords) {
+        const size = matrix.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing column
+
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+
+                    if (!matrix.isFunction[y][x] && i < codewords.length * 8) {
+                        matrix.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * XOR a mask pattern over the data modules (applying twice undoes it)
+     * @param {Object} matrix - Symbol
+     * @param {number} mask - 0..7
+     */
+    function applyMask(matrix, mask) {
+        const pattern = MASK_PATTERNS[mask];
+
+        for (let y = 0; y < matrix.size; y++) {
+            for (let x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && pattern(x, y)) {
+                    matrix.modules[y][x] = !matrix.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score a masked symbol (lower is better). Uses the run, block and
+     * balance rules; the finder-lookalike rule is left out for brevity.
+     * @param {Object} matrix - Symbol
+     * @returns {number}
+     */
+    function getPenaltyScore(matrix) {
+        const { size, modules } = matrix;
+        let score = 0;
+        let dark = 0;
+
+        const scoreRuns = (get) => {
+            for (let a = 0; a < size; a++) {
+                let run = 1;
+                for (let b = 1; b <= size; b++) {
+                    if (b < size && get(a, b) === get(a, b - 1)) {
+                        run++;
+                        continue;
+                    }
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+        };
+
+        scoreRuns((y, x) => modules[y][x]);
+        scoreRuns((x, y) => modules[y][x]);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return score;
+    }
+
+    // ===========================================
+    // PUBLIC FUNCTIONS
+    // ===========================================
+
+    /**
+     * Encode text into a QR symbol
+     * @param {string} text - Text to encode (UTF-8)
+     * @param {Object} options - { level: 'L'|'M'|'Q'|'H', mask: 0..7 }
+     * @returns {Object} - { version, size, modules: boolean[][] }
+     */
+    function encode(text, options = {}) {
+        const level = LEVELS[options.level || 'M'];
+        if (!level) {
+            throw new Error(`Unknown QR error correction level: ${options.level}`);
+        }
+
+        const bytes = new TextEncoder().encode(String(text));
+
+        let version = 1;
+        while (version <= 40 &&
+            4 + getCountBits(version) + bytes.length * 8 > getNumDataCodewords(version, level) * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new Error('Data terlalu panjang untuk QR code');
+        }
+
+        const matrix = createMatrix(version);
+        drawCodewords(matrix, addEccAndInterleave(encodeData(bytes, version, level), version, level));
+
+        let mask = options.mask;
+        if (mask === undefined) {
+            let best = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                applyMask(matrix, candidate);
+                drawFormatBits(matrix, level, candidate);
+                const score = getPenaltyScore(matrix);
+                if (score < best) {
+                    best = score;
+                    mask = candidate;
+                }
+                applyMask(matrix, candidate);
+            }
+        }
+
+        applyMask(matrix, mask);
+        drawFormatBits(matrix, level, mask);
+
+        return { version, size: matrix.size, modules: matrix.modules };
+    }
+
+    /**
+     * Render text as an SVG QR code
+     * @param {string} text - Text to encode
+     * @param {Object} options - { level, margin (modules), label }
+     * @returns {string} - SVG markup
+     */
+    function toSVG(text, options = {}) {
+        const { size, modules } = encode(text, options);
+        const margin = options.margin ?? 4;
+        const total = size + margin * 2;
+
+        // One rectangle per horizontal run of dark modules
+        let path = '';
+        modules.forEach((row, y) => {
+            for (let x = 0; x < size; x++) {
+                if (!row[x]) continue;
+
+                let run = 1;
+                while (x + run < size && row[x + run]) run++;
+                path += `M${x + margin},${y + margin}h${run}v1h-${run}z`;
+                x += run - 1;
+            }
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+            `shape-rendering="crispEdges" role="img" aria-label="${options.label || 'QR code'}">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        encode,
+        toSVG
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaQRCode;
+}
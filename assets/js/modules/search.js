@@ -0,0 +1,326 @@
+/**
+ * Satu Ramadhan - Search Module
+ * Fuzzy location name search: token prefix matching, Indonesian
+ * abbreviations/aliases, typo tolerance, relevance ranking and highlighting
+ */
+
+const SaturaSearch = (function () {
+    'use strict';
+
+    // Prepared entries per data array (built once, dropped with the array)
+    const indexes = new WeakMap();
+
+    // Match quality per query token
+    const SCORE = {
+        exact: 3,
+        prefix: 2,
+        typo: 1,
+        typoStep: 0.4,
+        keyword: 1.5,
+        context: 1
+    };
+
+    // Words that open a city name ("Kota Administrasi Jakarta Pusat") without naming it
+    const TYPE_WORDS = ['kota', 'administrasi'];
+
+    // ===========================================
+    // TEXT
+    // ===========================================
+
+    /**
+     * Lowercase, strip accents, apostrophes and punctuation
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['\u2019`]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Words of a name with their position in the original text
+     * @param {string} text - Original text
+     * @returns {Array} - [{ word (normalized), start, end }]
+     */
+    function tokenize(text) {
+        const tokens = [];
+
+        for (const match of String(text || '').matchAll(/[\p{L}\p{N}'\u2019`]+/gu)) {
+            const word = normalize(match[0]).replace(/ /g, '');
+            if (word) {
+                tokens.push({ word, start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Query words with abbreviations/aliases expanded ("kab bdg" → kabupaten bandung)
+     * @param {string} query - User query
+     * @returns {Array<string>}
+     */
+    function expandQuery(query) {
+        const aliases = SaturaConfig.SEARCH.aliases;
+
+        return normalize(query)
+            .split(' ')
+            .filter(Boolean)
+            .flatMap(word => (aliases[word] || word).split(' '));
+    }
+
+    // ===========================================
+    // MATCHING
+    // ===========================================
+
+    /**
+     * Edit distance (insert, delete, substitute, swap adjacent), giving up past max
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} - Distance, or max + 1 when larger
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Typos allowed for a query word of this length
+     * @param {string} word - Query word
+     * @returns {number}
+     */
+    function allowedTypos(word) {
+        const { oneEdit, twoEdits } = SaturaConfig.SEARCH.typo;
+        if (word.length >= twoEdits) return 2;
+        if (word.length >= oneEdit) return 1;
+        return 0;
+    }
+
+    /**
+     * How well a query word matches one word of a name
+     * @param {string} query - Query word
+     * @param {string} word - Name word
+     * @returns {Object|null} - { score, length (highlighted characters) }
+     */
+    function matchWord(query, word) {
+        if (word === query) return { score: SCORE.exact, length: word.length };
+        if (word.startsWith(query)) return { score: SCORE.prefix, length: query.length };
+
+        // Typos are rarely in the first letter; requiring it keeps "bandung" off "Tanjung"
+        const typos = allowedTypos(query);
+        if (typos === 0 || query[0] !== word[0]) return null;
+
+        // Each edit beyond the first costs more ("makasar" is closer to Makassar than Mamasa)
+        const typoScore = (distance) => SCORE.typo - SCORE.typoStep * (distance - 1);
+
+        // Whole word ("surabya") or the start of a longer one ("surbay" → Surabaya)
+        const distance = editDistance(query, word, typos);
+        if (distance <= typos) {
+            return { score: typoScore(distance), length: word.length };
+        }
+
+        const prefixDistance = word.length > query.length ? editDistance(query, word.slice(0, query.length), typos) : typos + 1;
+        if (prefixDistance <= typos) {
+            return { score: typoScore(prefixDistance) * 0.8, length: query.length };
+        }
+
+        return null;
+    }
+
+    // ===========================================
+    // INDEX
+    // ===========================================
+
+    /**
+     * Prepared search entries for a list of places (cached per array)
+     * @param {Array} items - Places with a name (and optional district_name/regency_name/province_name)
+     * @param {string} level - 'province', 'regency', 'district' or 'village'
+     * @returns {Array} - [{ item, tokens, lead, keywords, context }]
+     */
+    function getIndex(items, level) {
+        const cached = indexes.get(items);
+        if (cached && cached.level === level) {
+            return cached.entries;
+        }
+
+        const levelKeywords = SaturaConfig.SEARCH.levelKeywords[level] || [];
+        const entries = items.map(item => {
+            const tokens = tokenize(item.name);
+            const isCity = level === 'regency' && tokens[0]?.word === 'kota';
+
+            let lead = 0;
+            while (level === 'regency' && lead < tokens.length - 1 && TYPE_WORDS.includes(tokens[lead].word)) lead++;
+
+            return {
+                item,
+                tokens,
+                lead,
+                keywords: isCity ? [] : levelKeywords,
+                context: tokenize([item.district_name, item.regency_name, item.province_name].filter(Boolean).join(' ')).map(t => t.word)
+            };
+        });
+
+        indexes.set(items, { level, entries });
+        return entries;
+    }
+
+    /**
+     * Score one entry against the expanded query. Every query word must
+     * match a name word, a level keyword or the parent region's name.
+     * @param {Object} entry - Index entry
+     * @param {Array<string>} words - Expanded query words
+     * @returns {Object|null} - { score, ranges }
+     */
+    function scoreEntry(entry, words) {
+        let score = 0;
+        const ranges = [];
+        const used = new Set();
+
+        for (const query of words) {
+            let best = null;
+
+            entry.tokens.forEach((token, index) => {
+                if (used.has(index)) return;
+                const match = matchWord(query, token.word);
+                if (match && (!best || match.score > best.score)) {
+                    best = { ...match, index, token };
+                }
+            });
+
+            if (best) {
+                used.add(best.index);
+                score += best.score;
+                ranges.push([best.token.start, best.token.start + Math.min(best.length, best.token.end - best.token.start)]);
+                continue;
+            }
+
+            if (entry.keywords.some(keyword => keyword.startsWith(query))) {
+                score += SCORE.keyword;
+                continue;
+            }
+
+            if (entry.context.some(word => word.startsWith(query))) {
+                score += SCORE.context;
+                continue;
+            }
+
+            return null;
+        }
+
+        // Prefer names fully covered by the query, starting with its first word, and shorter
+        // ("Kota"/"Administrasi" in front of a city name need not be typed)
+        const covered = entry.tokens.every((_, index) => index < entry.lead || used.has(index));
+        if (covered) score += 1;
+        if (used.has(entry.lead)) score += 0.5;
+        score -= entry.item.name.length / 100;
+
+        return { score, ranges };
+    }
+
+    // ===========================================
+    // SEARCH
+    // ===========================================
+
+    /**
+     * Search a list of places by name
+     * @param {Array} items - Places with a name
+     * @param {string} query - User query (abbreviations, typos and accents allowed)
+     * @param {Object} options - { level, limit }
+     * @returns {Array} - Matching places, best first, with score and highlight (HTML)
+     */
+    function search(items, query, { level = 'regency', limit = SaturaConfig.SEARCH.maxResults } = {}) {
+        if (!items?.length || normalize(query).replace(/ /g, '').length < SaturaConfig.SEARCH.minLength) {
+            return [];
+        }
+
+        const words = expandQuery(query);
+        const results = [];
+
+        for (const entry of getIndex(items, level)) {
+            const match = scoreEntry(entry, words);
+            if (match) {
+                results.push({
+                    ...entry.item,
+                    score: Math.round(match.score * 100) / 100,
+                    highlight: highlight(entry.item.name, match.ranges)
+                });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+    }
+
+    /**
+     * Escape text and wrap matched ranges in <mark>
+     * @param {string} text - Original text
+     * @param {Array} ranges - [[start, end], ...]
+     * @returns {string} - Safe HTML
+     */
+    function highlight(text, ranges = []) {
+        const escape = (value) => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+        let html = '';
+        let cursor = 0;
+
+        for (const [start, end] of sorted) {
+            if (start < cursor) continue;
+            html += escape(text.slice(cursor, start)) + '<mark>' + escape(text.slice(start, end)) + '</mark>';
+            cursor = end;
+        }
+
+        return html + escape(text.slice(cursor));
+    }
+
+    // ===========================================
+    // PUBLIC API
+    // ===========================================
+    return {
+        normalize,
+        expandQuery,
+        search,
+        highlight
+    };
+})();
+
+// Export untuk module system
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaturaSearch;
+}
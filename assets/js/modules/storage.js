@@ -1,7 +1,8 @@
 /**
  * Satu Ramadhan - Storage Module
  * Centralized storage management for localStorage and data persistence
- * LocalStorage wrapper with error handling and expiration
+ * LocalStorage wrapper with error handling and expiration,
+ * mirrored to an async IndexedDB store shared with the Service Worker
  */
 
 const SaturaStorage = (function () {
@@ -179,23 +180,553 @@ const SaturaStorage = (function () {
         }
     }
 
+    // ===========================================
+    // INDEXEDDB STORE (ASYNC)
+    // ===========================================
+
+    let dbPromise = null;
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean}
+     */
+    function isIndexedDBAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade) the shared database, migrating localStorage on first run
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        const { name, version, stores } = SaturaConfig.CACHE.indexedDB;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (!isIndexedDBAvailable()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(stores).forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store);
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async (db) => {
+            await migrateFromLocalStorage(db);
+            return db;
+        });
+
+        // Allow a retry after a failed open
+        dbPromise.catch(() => { dbPromise = null; });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {IDBDatabase} db - Open database
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    function runRequest(db, storeName, mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Set item in an IndexedDB store with optional expiration
+     * @param {string} storeName - Object store (schedules, locations, settings)
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @param {number} ttl - Time to live in milliseconds (optional)
+     * @returns {Promise<boolean>} - Success status
+     */
+    async function setAsync(storeName, key, value, ttl = null) {
+        if (!isIndexedDBAvailable()) return false;
+
+        try {
+            const db = await openDatabase();
+            await runRequest(db, storeName, 'readwrite', store =>
+                store.put({ value: value, timestamp: Date.now(), ttl: ttl }, key)
+            );
+            return true;
+        } catch (error) {
+            SaturaConfig.error(`Failed to set ${storeName}/${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get item from an IndexedDB store
+     * @param {string} storeName - Object store
+     * @param {string} key - Storage key
+     * @param {*} defaultValue - Default value if not found or expired
+     * @returns {Promise<*>} - Stored value or default
+     */
+    async function getAsync(storeName, key, defaultValue = null) {
+        if (!isIndexedDBAvailable()) return defaultValue;
+
+        try {
+            const db = await openDatabase();
+            const data = await runRequest(db, storeName, 'readonly', store => store.get(key));
+
+            if (!data) {
+                return defaultValue;
+            }
+
+            // Check expiration
+            if (data.ttl && (Date.now() - data.timestamp > data.ttl)) {
+                await runRequest(db, storeName, 'readwrite', store => store.delete(key));
+                return defaultValue;
+            }
+
+            return data.value;
+
+        } catch (error) {
+            SaturaConfig.error(`Failed to get ${storeName}/${key}:`, error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Remove item from an IndexedDB store
+     * @param {string} storeName - Object store
+     * @param {string} key - Storage key
+     */
+    async function removeAsync(storeName, key) {
+        if (!isIndexedDBAvailable()) return;
+
+        try {
+            const db = await openDatabase();
+            await runRequest(db, storeName, 'readwrite', store => store.delete(key));
+        } catch (error) {
+            SaturaConfig.error(`Failed to remove ${storeName}/${key}:`, error);
+        }
+    }
+
+    /**
+     * Remove expired items from every IndexedDB store
+     * @returns {Promise<number>} - Number of removed items
+     */
+    async function cleanExpiredAsync() {
+        let removed = 0;
+        if (!isIndexedDBAvailable()) return removed;
+
+        try {
+            const db = await openDatabase();
+            const now = Date.now();
+
+            for (const storeName of Object.values(SaturaConfig.CACHE.indexedDB.stores)) {
+                const keys = await runRequest(db, storeName, 'readonly', store => store.getAllKeys());
+                const values = await runRequest(db, storeName, 'readonly', store => store.getAll());
+                const expired = keys.filter((key, i) =>
+                    values[i]?.ttl && (now - values[i].timestamp > values[i].ttl)
+                );
+
+                for (const key of expired) {
+                    await runRequest(db, storeName, 'readwrite', store => store.delete(key));
+                }
+                removed += expired.length;
+            }
+
+            if (removed > 0) {
+                SaturaConfig.log(`Cleaned ${removed} expired IndexedDB items`);
+            }
+        } catch (error) {
+            SaturaConfig.error('Failed to clean IndexedDB:', error);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Pick the object store for a satura_* localStorage key
+     * @param {string} key - localStorage key
+     * @returns {string} - Store name
+     */
+    function getStoreForKey(key) {
+        const { keys } = SaturaConfig.CACHE;
+        const { stores } = SaturaConfig.CACHE.indexedDB;
+
+        if (key.startsWith(keys.prayerCache) || key.startsWith(keys.ramadhanPack)) {
+            return stores.schedules;
+        }
+        if (key === keys.userLocation) {
+            return stores.locations;
+        }
+        return stores.settings;
+    }
+
+    /**
+     * Store a raw localStorage record ({ value, timestamp, ttl }) in its store,
+     * keeping the original timestamp/ttl so expiry carries over
+     * @param {IDBDatabase} db - Open database
+     * @param {string} key - satura_* key
+     * @param {Object} data - Raw record
+     * @returns {Promise<boolean>} - True if stored
+     */
+    async function putRecord(db, key, data) {
+        if (!data || data.timestamp === undefined) return false;
+
+        await runRequest(db, getStoreForKey(key), 'readwrite', store =>
+            store.put({ value: data.value, timestamp: data.timestamp, ttl: data.ttl }, key)
+        );
+        return true;
+    }
+
+    /**
+     * Remove items with a key prefix from every IndexedDB store
+     * @param {string} prefix - Key prefix to match
+     */
+    async function clearByPrefixAsync(prefix) {
+        if (!isIndexedDBAvailable()) return;
+
+        try {
+            const db = await openDatabase();
+
+            for (const storeName of Object.values(SaturaConfig.CACHE.indexedDB.stores)) {
+                const keys = await runRequest(db, storeName, 'readonly', store => store.getAllKeys());
+                for (const key of keys.filter(k => String(k).startsWith(prefix))) {
+                    await runRequest(db, storeName, 'readwrite', store => store.delete(key));
+                }
+            }
+        } catch (error) {
+            SaturaConfig.error(`Failed to clear IndexedDB prefix ${prefix}:`, error);
+        }
+    }
+
+    /**
+     * Copy existing satura_* localStorage entries into IndexedDB (once).
+     * localStorage is kept as the synchronous read path.
+     * @param {IDBDatabase} db - Open database
+     */
+    async function migrateFromLocalStorage(db) {
+        const flag = SaturaConfig.CACHE.keys.idbMigrated;
+        if (!isAvailable() || localStorage.getItem(flag)) return;
+
+        let migrated = 0;
+
+        // Snapshot keys first: writes during the awaits may reorder localStorage
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+
+        for (const key of keys) {
+            if (!key || !key.startsWith('satura_') || key === flag) continue;
+
+            try {
+                if (await putRecord(db, key, JSON.parse(localStorage.getItem(key)))) {
+                    migrated++;
+                }
+            } catch (e) {
+                // Skip non-JSON items
+            }
+        }
+
+        localStorage.setItem(flag, String(Date.now()));
+        SaturaConfig.log(`Migrated ${migrated} items to IndexedDB`);
+    }
+
     // ===========================================
     // USER SETTINGS
     // ===========================================
 
+    // Settings live in one versioned document under CACHE.keys.settings:
+    // { version, ...values } validated against SaturaConfig.SETTINGS.schema
+    let settingsMigrated = false;
+
+    /**
+     * Check a value against a schema rule
+     * @param {Object} rule - Schema rule { type, enum }
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    function isValidSetting(rule, value) {
+        if (value === null || value === undefined) {
+            return rule.default === null && value === null;
+        }
+        if (rule.type === 'object') {
+            return typeof value === 'object' && !Array.isArray(value);
+        }
+        if (rule.type === 'array') {
+            return Array.isArray(value);
+        }
+        if (typeof value !== rule.type) {
+            return false;
+        }
+        return !rule.enum || rule.enum.includes(value);
+    }
+
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function clampNumber(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * A stored place (location or saved location) with numeric coordinates
+     * @param {Object} place - { latitude, longitude, elevation, ... }
+     * @returns {Object|null} - Place with coordinates as numbers, null when out of range
+     */
+    function normalizePlace(place) {
+        if (!isPlainObject(place)) return null;
+
+        // Numbers or numeric strings only (Number(null) and Number(true) are not coordinates)
+        const toNumber = value => typeof value === 'number' || (typeof value === 'string' && value.trim())
+            ? Number(value)
+            : NaN;
+        const latitude = toNumber(place.latitude);
+        const longitude = toNumber(place.longitude);
+        if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return null;
+        if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return null;
+
+        const elevation = Number(place.elevation) || 0;
+        return {
+            ...place,
+            latitude,
+            longitude,
+            elevation: clampNumber(elevation, 0, SaturaConfig.LOCATION.custom.maxElevation)
+        };
+    }
+
+    function isIsoDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * Qadha ledger with unknown statuses, day numbers and dates dropped
+     * @param {Object} ledger - { ramadhan: { year: { day: status } }, manual: { year: count }, paid: [] }
+     * @returns {Object}
+     */
+    function normalizeLedger(ledger) {
+        const { reasons } = SaturaConfig.QADHA;
+        const isYear = year => /^\d{1,4}$/.test(year);
+        const ramadhan = {};
+        const manual = {};
+
+        Object.entries(isPlainObject(ledger.ramadhan) ? ledger.ramadhan : {}).forEach(([year, days]) => {
+            if (!isYear(year) || !isPlainObject(days)) return;
+
+            const valid = Object.entries(days).filter(([day, status]) =>
+                /^\d{1,2}$/.test(day) && day >= 1 && day <= 30 &&
+                (status === 'puasa' || Object.prototype.hasOwnProperty.call(reasons, status))
+            );
+            if (valid.length) ramadhan[year] = Object.fromEntries(valid);
+        });
+
+        Object.entries(isPlainObject(ledger.manual) ? ledger.manual : {}).forEach(([year, count]) => {
+            if (isYear(year) && Number.isInteger(count) && count > 0) manual[year] = count;
+        });
+
+        const paid = Array.isArray(ledger.paid) ? [...new Set(ledger.paid.filter(isIsoDate))].sort() : [];
+
+        return { ramadhan, manual, paid };
+    }
+
+    // Field-level rules for settings whose schema type is only 'object' or 'array':
+    // each returns the cleaned value, or null/undefined to fall back to the default
+    const SETTING_RULES = {
+        location: normalizePlace,
+
+        // Entries without an id or with unusable coordinates are dropped
+        savedLocations: places => places
+            .map(normalizePlace)
+            .filter(place => place && typeof place.id === 'string' && place.id),
+
+        // Known prayers only, whole minutes within ±SETTINGS.maxAdjustment
+        prayerAdjustments: values => {
+            const limit = SaturaConfig.SETTINGS.maxAdjustment;
+            const adjustments = {};
+
+            Object.keys(SaturaConfig.PRAYER.adjustments).forEach(key => {
+                const value = values[key];
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    adjustments[key] = clampNumber(Math.round(value), -limit, limit);
+                }
+            });
+
+            return adjustments;
+        },
+
+        // Known prayers only: { enabled: boolean, lead: 0..maxLead }
+        reminders: values => {
+            const { reminders, maxLead } = SaturaConfig.NOTIFICATION;
+            const result = {};
+
+            Object.keys(reminders).forEach(key => {
+                const item = values[key];
+                if (!isPlainObject(item)) return;
+
+                const cleaned = {};
+                if (typeof item.enabled === 'boolean') cleaned.enabled = item.enabled;
+                if (typeof item.lead === 'number' && Number.isFinite(item.lead)) {
+                    cleaned.lead = clampNumber(Math.round(item.lead), 0, maxLead);
+                }
+                if (Object.keys(cleaned).length) result[key] = cleaned;
+            });
+
+            return result;
+        },
+
+        qadhaLedger: normalizeLedger
+    };
+
+    /**
+     * Validate settings against the schema, replacing invalid or missing
+     * values with defaults and dropping unknown keys
+     * @param {Object} values - Raw settings values
+     * @returns {Object} - Valid settings
+     */
+    function validateSettings(values = {}) {
+        const settings = {};
+
+        Object.entries(SaturaConfig.SETTINGS.schema).forEach(([key, rule]) => {
+            const raw = values[key];
+            let value = raw;
+            if (isValidSetting(rule, raw) && raw !== null && SETTING_RULES[key]) {
+                value = SETTING_RULES[key](raw) ?? undefined;
+            }
+            if (isValidSetting(rule, value)) {
+                settings[key] = value;
+                return;
+            }
+
+            if (raw !== undefined) {
+                SaturaConfig.log(`Invalid setting ${key}, using default:`, raw);
+            }
+            if (Array.isArray(rule.default)) {
+                settings[key] = [...rule.default];
+            } else {
+                settings[key] = rule.type === 'object' && rule.default
+                    ? { ...rule.default }
+                    : rule.default;
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Read a stored record ignoring TTL (legacy keys were saved with expiry)
+     * @param {string} key - Storage key
+     * @returns {*} - Stored value or null
+     */
+    function readRaw(key) {
+        if (!isAvailable()) return null;
+
+        try {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored).value : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Write the settings document (no expiry) and mirror it to IndexedDB
+     * @param {Object} settings - Valid settings values
+     */
+    function writeSettingsDocument(settings) {
+        const doc = { version: SaturaConfig.SETTINGS.version, ...settings };
+
+        set(SaturaConfig.CACHE.keys.settings, doc);
+        setAsync(SaturaConfig.CACHE.indexedDB.stores.settings, SaturaConfig.CACHE.keys.settings, doc);
+    }
+
+    // Each entry upgrades the raw document from version (n - 1) to n
+    const SETTINGS_MIGRATIONS = {
+        // v1 → v2: fold the bare `organization` and `user_location` keys and
+        // SaturaLocation's `satura_user_location` into the document
+        2: (doc) => {
+            const organization = readRaw('organization');
+            const display = readRaw('user_location');               // { latitude, longitude, name }
+            const saved = readRaw(SaturaConfig.CACHE.keys.userLocation); // { regencyId, coordinates, ... }
+
+            if (organization && !doc.organization) {
+                doc.organization = organization;
+            }
+
+            if (!doc.location && (display || saved)) {
+                doc.location = {
+                    name: display?.name || null,
+                    latitude: Number(display?.latitude ?? saved?.coordinates?.latitude),
+                    longitude: Number(display?.longitude ?? saved?.coordinates?.longitude),
+                    regencyId: saved?.regencyId || null,
+                    provinceId: saved?.provinceId || null,
+                    source: saved?.source || 'manual',
+                    timestamp: saved?.timestamp || Date.now()
+                };
+
+                if (isNaN(doc.location.latitude) || isNaN(doc.location.longitude)) {
+                    doc.location = null;
+                }
+            }
+
+            ['organization', 'user_location', SaturaConfig.CACHE.keys.userLocation].forEach(remove);
+            return doc;
+        }
+    };
+
+    /**
+     * Upgrade the stored settings document to the current schema version.
+     * Runs once per page load, before settings are first read.
+     * @returns {Object} - Migrated settings
+     */
+    function migrateSettings() {
+        settingsMigrated = true;
+
+        const target = SaturaConfig.SETTINGS.version;
+        let doc = { ...(readRaw(SaturaConfig.CACHE.keys.settings) || {}) };
+        let version = Number(doc.version) || 1; // Unversioned documents are v1
+
+        if (version >= target) {
+            return validateSettings(doc);
+        }
+
+        while (version < target) {
+            version++;
+            if (SETTINGS_MIGRATIONS[version]) {
+                doc = SETTINGS_MIGRATIONS[version](doc);
+            }
+        }
+
+        const settings = validateSettings(doc);
+        writeSettingsDocument(settings);
+        SaturaConfig.log(`Settings migrated to v${target}`);
+
+        return settings;
+    }
+
     /**
      * Save user settings
      * @param {Object} settings - Settings object
      */
     function saveSettings(settings) {
-        const currentSettings = getSettings();
-        const merged = { ...currentSettings, ...settings };
-
-        set(
-            SaturaConfig.CACHE.keys.settings,
-            merged,
-            SaturaConfig.CACHE.duration.location // Long-lived
-        );
+        const merged = validateSettings({ ...getSettings(), ...settings });
+        writeSettingsDocument(merged);
 
         SaturaConfig.log('Settings saved:', merged);
     }
@@ -205,12 +736,11 @@ const SaturaStorage = (function () {
      * @returns {Object} - Settings object
      */
     function getSettings() {
-        return get(SaturaConfig.CACHE.keys.settings, {
-            theme: 'auto',
-            notifications: false,
-            calculationMethod: SaturaConfig.API.method,
-            language: 'id'
-        });
+        if (!settingsMigrated) {
+            return migrateSettings();
+        }
+
+        return validateSettings(get(SaturaConfig.CACHE.keys.settings, {}));
     }
 
     /**
@@ -221,16 +751,77 @@ const SaturaStorage = (function () {
      */
     function getSetting(key, defaultValue = null) {
         const settings = getSettings();
-        return settings[key] !== undefined ? settings[key] : defaultValue;
+        return settings[key] !== undefined && settings[key] !== null ? settings[key] : defaultValue;
     }
 
     /**
      * Set specific setting
      * @param {string} key - Setting key
      * @param {*} value - Setting value
+     * @returns {boolean} - False if the key is not part of the schema
      */
     function setSetting(key, value) {
+        if (!SaturaConfig.SETTINGS.schema[key]) {
+            SaturaConfig.error(`Unknown setting: ${key}`);
+            return false;
+        }
+
         saveSettings({ [key]: value });
+        return true;
+    }
+
+    /**
+     * Get prayer calculation settings as Aladhan query parameters
+     * @returns {Object} - { method, school, latitudeAdjustmentMethod, midnightMode }
+     */
+    function getCalculationSettings() {
+        const settings = getSettings();
+        return {
+            method: Number(settings.calculationMethod),
+            school: Number(settings.asrSchool),
+            latitudeAdjustmentMethod: Number(settings.latitudeAdjustment),
+            midnightMode: Number(settings.midnightMode),
+            tune: Object.values(getTuneOffsets()).join(',')
+        };
+    }
+
+    /**
+     * Get per-prayer minute adjustments (ihtiyath)
+     * @returns {Object} - Adjustments keyed by local prayer key
+     */
+    function getPrayerAdjustments() {
+        const stored = getSetting('prayerAdjustments', {}) || {};
+        const adjustments = {};
+
+        Object.entries(SaturaConfig.PRAYER.adjustments).forEach(([key, fallback]) => {
+            const value = Number(stored[key]);
+            adjustments[key] = Number.isFinite(value) ? Math.round(value) : fallback;
+        });
+
+        return adjustments;
+    }
+
+    /**
+     * Convert adjustments to offsets relative to raw calculated times,
+     * ordered like Aladhan's `tune` parameter
+     * (Imsak, Fajr, Sunrise, Dhuhr, Asr, Maghrib, Sunset, Isha, Midnight)
+     * @returns {Object} - Offsets keyed by API timing name
+     */
+    function getTuneOffsets() {
+        const adj = getPrayerAdjustments();
+
+        return {
+            // Imsak mentah = Subuh - imsakMinutes, jadi geser ke Subuh tersesuaikan + offset imsak
+            Imsak: adj.fajr + adj.imsak + SaturaConfig.CALCULATION.imsakMinutes,
+            Fajr: adj.fajr,
+            Sunrise: adj.sunrise,
+            Dhuhr: adj.dhuhr,
+            Asr: adj.asr,
+            Maghrib: adj.maghrib,
+            Sunset: 0,
+            Isha: adj.isha,
+            Midnight: 0
+        };
     }
 
     // ===========================================
@@ -238,67 +829,268 @@ const SaturaStorage = (function () {
     // ===========================================
 
     /**
-     * Save user location
-     * @param {Object} location - Location data
+     * Save user location into the settings document
+     * @param {Object} location - SaturaLocation location (optionally with display `name`)
      */
     function saveLocation(location) {
-        set(
-            SaturaConfig.CACHE.keys.userLocation,
-            {
-                regencyId: location.regency?.id || null,
-                provinceId: location.province?.id || null,
-                coordinates: location.coordinates,
-                source: location.source,
-                savedAt: Date.now()
-            },
-            SaturaConfig.CACHE.duration.location
-        );
+        const coords = location.customCoordinates || location.coordinates || {};
+
+        setSetting('location', {
+            name: location.name || location.regency?.name || location.province?.name || null,
+            latitude: Number(coords.latitude),
+            longitude: Number(coords.longitude),
+            elevation: Number(coords.elevation) || 0,
+            villageId: location.village?.id || null,
+            districtId: location.district?.id || null,
+            regencyId: location.regency?.id || null,
+            provinceId: location.province?.id || null,
+            source: location.source || 'manual',
+            timestamp: location.timestamp || Date.now()
+        });
     }
 
     /**
      * Get saved location
-     * @returns {Object|null} - Saved location data
+     * @returns {Object|null} - { name, latitude, longitude, elevation, villageId, districtId, regencyId, provinceId, source, timestamp }
      */
     function getLocation() {
-        return get(SaturaConfig.CACHE.keys.userLocation, null);
+        return getSetting('location', null);
     }
 
     /**
      * Clear saved location
      */
     function clearLocation() {
-        remove(SaturaConfig.CACHE.keys.userLocation);
+        setSetting('location', null);
+    }
+
+    // ===========================================
+    // SAVED LOCATIONS
+    // ===========================================
+
+    /**
+     * Get saved places for the quick location switcher
+     * @returns {Array} - [{ id, label, name, latitude, longitude, elevation, regencyId, provinceId, source }]
+     */
+    function getSavedLocations() {
+        return getSetting('savedLocations', []).filter(place =>
+            place && place.id && Number.isFinite(place.latitude) && Number.isFinite(place.longitude)
+        );
+    }
+
+    /**
+     * Find a saved place at the same point (4 decimals, ~11 m) and elevation
+     * @param {Object} coords - { latitude, longitude, elevation }
+     * @returns {Object|null} - Saved place
+     */
+    function findSavedLocation(coords) {
+        if (!coords) return null;
+        const scope = getCoordsScope(coords);
+        return getSavedLocations().find(place => getCoordsScope(place) === scope) || null;
+    }
+
+    /**
+     * Save a place (stored location format) under a label.
+     * Saving the same point again only updates its label.
+     * @param {Object} location - { name, latitude, longitude, elevation, regencyId, provinceId, source }
+     * @param {string} label - User label (e.g. "Rumah", "Kantor")
+     * @returns {Object} - Saved place
+     */
+    function addSavedLocation(location, label = '') {
+        const latitude = Number(location?.latitude);
+        const longitude = Number(location?.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            throw new Error('Invalid coordinates');
+        }
+
+        const places = getSavedLocations();
+        const elevation = Number(location.elevation) || 0;
+        const existing = findSavedLocation({ latitude, longitude, elevation });
+        const name = location.name || `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+
+        if (existing) {
+            existing.label = label.trim() || existing.label;
+            setSetting('savedLocations', places.map(place => place.id === existing.id ? existing : place));
+            return existing;
+        }
+
+        if (places.length >= SaturaConfig.LOCATION.maxSaved) {
+            throw new Error(`Maksimal ${SaturaConfig.LOCATION.maxSaved} lokasi tersimpan`);
+        }
+
+        const place = {
+            id: `loc-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: label.trim() || name,
+            name,
+            latitude,
+            longitude,
+            elevation,
+            regencyId: location.regencyId || null,
+            provinceId: location.provinceId || null,
+            source: location.source || 'manual'
+        };
+
+        setSetting('savedLocations', [...places, place]);
+        return place;
+    }
+
+    /**
+     * Remove a saved place
+     * @param {string} id - Place ID
+     */
+    function removeSavedLocation(id) {
+        setSetting('savedLocations', getSavedLocations().filter(place => place.id !== id));
     }
 
     // ===========================================
     // PRAYER CACHE STORAGE
     // ===========================================
 
+    /**
+     * Build a key fragment identifying the calculation settings
+     * (method, Asr school, high-latitude rule, midnight mode)
+     * @returns {string} - Scope string
+     */
+    function getCalculationScope() {
+        const calc = getCalculationSettings();
+        return `m${calc.method}-s${calc.school}-l${calc.latitudeAdjustmentMethod}-n${calc.midnightMode}`;
+    }
+
+    /**
+     * Build a key fragment identifying a point (4 decimals, ~11 m) and its
+     * elevation, which shifts sunrise and sunset
+     * @param {Object} coords - { latitude, longitude, elevation }
+     * @returns {string} - "lat,lng" or "lat,lng@elevation"
+     */
+    function getCoordsScope(coords) {
+        if (!coords) return 'none';
+        const elevation = Math.round(Number(coords.elevation) || 0);
+        const point = `${Number(coords.latitude).toFixed(4)},${Number(coords.longitude).toFixed(4)}`;
+        return elevation > 0 ? `${point}@${elevation}` : point;
+    }
+
+    /**
+     * Build prayer cache key for a date, scoped to the calculation settings
+     * and location so neither switching method nor switching place ever
+     * serves times computed for something else
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} coords - { latitude, longitude } (optional, uses saved location)
+     * @returns {string} - Storage key
+     */
+    function getPrayerCacheKey(dateKey, coords = getLocation()) {
+        const tune = getCalculationSettings().tune;
+        return `${SaturaConfig.CACHE.keys.prayerCache}_${getCalculationScope()}-t${tune}_${getCoordsScope(coords)}_${dateKey}`;
+    }
+
     /**
      * Save prayer times cache
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {Object} schedule - Prayer schedule
+     * @param {Object} coords - { latitude, longitude } (optional, uses saved location)
      */
-    function savePrayerCache(dateKey, schedule) {
-        const key = `${SaturaConfig.CACHE.keys.prayerCache}_${dateKey}`;
+    function savePrayerCache(dateKey, schedule, coords = getLocation()) {
+        const key = getPrayerCacheKey(dateKey, coords);
         set(key, schedule, SaturaConfig.CACHE.duration.prayerTimes);
+        setAsync(SaturaConfig.CACHE.indexedDB.stores.schedules, key, schedule, SaturaConfig.CACHE.duration.prayerTimes);
     }
 
     /**
      * Get prayer times cache
      * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} coords - { latitude, longitude } (optional, uses saved location)
      * @returns {Object|null} - Cached schedule
      */
-    function getPrayerCache(dateKey) {
-        const key = `${SaturaConfig.CACHE.keys.prayerCache}_${dateKey}`;
+    function getPrayerCache(dateKey, coords = getLocation()) {
+        const key = getPrayerCacheKey(dateKey, coords);
         return get(key, null);
     }
 
+    /**
+     * Get prayer times cache, falling back to IndexedDB
+     * (survives localStorage eviction)
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {Object} coords - { latitude, longitude } (optional, uses saved location)
+     * @returns {Promise<Object|null>} - Cached schedule
+     */
+    async function getPrayerCacheAsync(dateKey, coords = getLocation()) {
+        return getPrayerCache(dateKey, coords) ||
+            getAsync(SaturaConfig.CACHE.indexedDB.stores.schedules, getPrayerCacheKey(dateKey, coords), null);
+    }
+
+    /**
+     * Key prefix of the days the Service Worker syncs for a point. The worker
+     * gets it in its sync profile and only appends "_YYYY-MM-DD", so both
+     * sides share one format (calculation settings, point and elevation).
+     * @param {Object} coords - { latitude, longitude, elevation }
+     * @returns {string} - Key prefix
+     */
+    function getSyncedDayPrefix(coords) {
+        return `${SaturaConfig.CACHE.keys.syncedDay}_${getCalculationScope()}_${getCoordsScope(coords)}`;
+    }
+
+    /**
+     * Get a raw day stored by the Service Worker's background sync
+     * @param {Object} coords - { latitude, longitude, elevation }
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} - Raw API day data
+     */
+    function getSyncedDay(coords, dateKey) {
+        return getAsync(SaturaConfig.CACHE.indexedDB.stores.schedules, `${getSyncedDayPrefix(coords)}_${dateKey}`, null);
+    }
+
     /**
      * Clear all prayer cache
      */
     function clearPrayerCache() {
         clearByPrefix(SaturaConfig.CACHE.keys.prayerCache);
+        clearByPrefixAsync(SaturaConfig.CACHE.keys.prayerCache);
+    }
+
+    // ===========================================
+    // RAMADHAN PACK STORAGE
+    // ===========================================
+
+    /**
+     * Build Ramadhan pack key for a location. Per-prayer adjustments are not
+     * part of the scope: raw days keep `meta.offset` and are re-adjusted on read.
+     * @param {Object} coords - { latitude, longitude }
+     * @returns {string} - Storage key
+     */
+    function getRamadhanPackKey(coords) {
+        return `${SaturaConfig.CACHE.keys.ramadhanPack}_${getCalculationScope()}_${getCoordsScope(coords)}`;
+    }
+
+    /**
+     * Save Ramadhan pack for a location
+     * @param {Object} coords - { latitude, longitude }
+     * @param {Object} pack - { startDate, days, updatedAt }
+     */
+    function saveRamadhanPack(coords, pack) {
+        const key = getRamadhanPackKey(coords);
+        setAsync(SaturaConfig.CACHE.indexedDB.stores.schedules, key, pack, SaturaConfig.CACHE.duration.ramadhanPack);
+        return set(key, pack, SaturaConfig.CACHE.duration.ramadhanPack);
+    }
+
+    /**
+     * Get Ramadhan pack for a location
+     * @param {Object} coords - { latitude, longitude }
+     * @returns {Object|null} - Saved pack
+     */
+    function getRamadhanPack(coords) {
+        if (!coords) return null;
+        return get(getRamadhanPackKey(coords), null);
+    }
+
+    /**
+     * Get Ramadhan pack for a location, falling back to IndexedDB
+     * (survives localStorage eviction)
+     * @param {Object} coords - { latitude, longitude }
+     * @returns {Promise<Object|null>} - Saved pack
+     */
+    async function getRamadhanPackAsync(coords) {
+        if (!coords) return null;
+        return getRamadhanPack(coords) ||
+            getAsync(SaturaConfig.CACHE.indexedDB.stores.schedules, getRamadhanPackKey(coords), null);
     }
 
     // ===========================================
@@ -387,11 +1179,12 @@ const SaturaStorage = (function () {
      */
     function clearAll() {
         clearByPrefix('satura_');
+        clearByPrefixAsync('satura_');
         SaturaConfig.log('All Satura storage cleared');
     }
 
     /**
-     * Export all stored data (for backup)
+     * Raw dump of all stored data (debugging; backups go through SaturaBackup)
      * @returns {Object} - All stored data
      */
     function exportData() {
@@ -413,22 +1206,6 @@ const SaturaStorage = (function () {
         return data;
     }
 
-    /**
-     * Import data (for restore)
-     * @param {Object} data - Data to import
-     */
-    function importData(data) {
-        if (!isAvailable() || !data) return;
-
-        Object.entries(data).forEach(([key, value]) => {
-            if (key.startsWith('satura_')) {
-                localStorage.setItem(key, JSON.stringify(value));
-            }
-        });
-
-        SaturaConfig.log('Data imported successfully');
-    }
-
     // ===========================================
     // PUBLIC API
     // ===========================================
@@ -442,22 +1219,51 @@ const SaturaStorage = (function () {
         clearByPrefix,
         cleanExpired,
 
+        // IndexedDB (async)
+        isIndexedDBAvailable,
+        setAsync,
+        getAsync,
+        removeAsync,
+        clearByPrefixAsync,
+        cleanExpiredAsync,
+
         // Settings
         saveSettings,
         getSettings,
         getSetting,
         setSetting,
+        migrateSettings,
+        validateSettings,
+        getCalculationSettings,
+        getPrayerAdjustments,
+        getTuneOffsets,
 
         // Location
         saveLocation,
         getLocation,
         clearLocation,
+        getCoordsScope,
+
+        // Saved Locations
+        getSavedLocations,
+        findSavedLocation,
+        addSavedLocation,
+        removeSavedLocation,
 
         // Prayer Cache
+        getPrayerCacheKey,
         savePrayerCache,
         getPrayerCache,
+        getPrayerCacheAsync,
+        getSyncedDayPrefix,
+        getSyncedDay,
         clearPrayerCache,
 
+        // Ramadhan Pack
+        saveRamadhanPack,
+        getRamadhanPack,
+        getRamadhanPackAsync,
+
         // Last Update
         setLastUpdate,
         getLastUpdate,
@@ -466,8 +1272,7 @@ const SaturaStorage = (function () {
         // Management
         getStorageInfo,
         clearAll,
-        exportData,
-        importData
+        exportData
     };
 })();
 
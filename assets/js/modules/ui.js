@@ -474,7 +474,12 @@ const SaturaUI = (function () {
 
         const nameDiv = document.createElement('div');
         nameDiv.className = 'location-selector__item-name';
-        nameDiv.textContent = regency.name;
+        if (regency.highlight) {
+            // Escaped by SaturaSearch, only <mark> is added
+            nameDiv.innerHTML = regency.highlight;
+        } else {
+            nameDiv.textContent = regency.name;
+        }
         item.appendChild(nameDiv);
 
         if (showProvince) {
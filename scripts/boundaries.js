@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Satu Ramadhan - Regency Boundary Generator
+ *
+ * Simplifies a GeoJSON of kabupaten/kota boundaries and writes it gzip-compressed
+ * to database/boundary/regency.json.gz for the point-in-polygon location matcher.
+ *
+ * Usage:
+ *   node scripts/boundaries.js <kabupaten.geojson> [--id=<property>] [--tolerance=<degrees>]
+ *
+ * --id         Feature property holding the Kemendagri regency code, dotted
+ *              ("32.01") or plain ("3201"). Default: first of id/kode/KODE_KAB.
+ * --tolerance  Douglas-Peucker tolerance in degrees. Default: 0.003 (~300 m).
+ *
+ * Features whose code is not in regency.json are skipped.
+ *
+ * The committed file comes from GADM 4.1 level-2 polygons matched to
+ * regency.json by name (then by centroid). Regencies formed after GADM's
+ * edition have no polygon, and neither has the parent still covering them,
+ * so both resolve by nearest centroid instead of the wrong boundary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT_FILE = path.join(ROOT, 'database', 'boundary', 'regency.json.gz');
+
+const ID_PROPERTIES = ['id', 'kode', 'KODE_KAB'];
+const PRECISION = 1e4; // 4 decimals (~11 m)
+
+// ============================================================
+// SIMPLIFICATION
+// ============================================================
+
+function perpendicularDistance(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+
+    if (dx === 0 && dy === 0) {
+        return Math.hypot(point[0] - start[0], point[1] - start[1]);
+    }
+
+    return Math.abs(dy * point[0] - dx * point[1] + end[0] * start[1] - end[1] * start[0]) / Math.hypot(dx, dy);
+}
+
+// Douglas-Peucker (iterative, rings can have tens of thousands of points)
+function simplifyLine(points, tolerance) {
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = 0;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicularDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i]);
+}
+
+function round(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
+
+// A ring needs 4 positions (closed triangle); tiny islands that collapse are dropped
+function simplifyRing(ring, tolerance) {
+    const simplified = simplifyLine(ring, tolerance)
+        .map(([lng, lat]) => [round(lng), round(lat)])
+        .filter((point, i, all) => i === 0 || point[0] !== all[i - 1][0] || point[1] !== all[i - 1][1]);
+
+    return simplified.length >= 4 ? simplified : null;
+}
+
+function simplifyPolygon(polygon, tolerance) {
+    const [outer, ...holes] = polygon.map(ring => simplifyRing(ring, tolerance));
+    return outer ? [outer, ...holes.filter(Boolean)] : null;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const input = args.find(arg => !arg.startsWith('--'));
+    const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+    if (!input) {
+        console.error('Pemakaian: node scripts/boundaries.js <kabupaten.geojson> [--id=<properti>] [--tolerance=<derajat>]');
+        process.exit(1);
+    }
+
+    const tolerance = Number(option('tolerance') || 0.003);
+    const idProperty = option('id');
+    const regencyIds = new Set(
+        JSON.parse(fs.readFileSync(path.join(ROOT, 'database', 'regency.json'), 'utf8')).map(r => r.id)
+    );
+
+    const source = JSON.parse(fs.readFileSync(input, 'utf8'));
+    const features = [];
+    let skipped = 0;
+
+    for (const feature of source.features || []) {
+        const properties = feature.properties || {};
+        const key = idProperty || ID_PROPERTIES.find(name => properties[name] !== undefined);
+        const id = String(properties[key] ?? '').replace(/\./g, '');
+        const geometry = feature.geometry;
+
+        if (!regencyIds.has(id) || !geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+            skipped++;
+            continue;
+        }
+
+        const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+            .map(polygon => simplifyPolygon(polygon, tolerance))
+            .filter(Boolean);
+
+        if (polygons.length === 0) {
+            skipped++;
+            continue;
+        }
+
+        features.push({
+            type: 'Feature',
+            properties: { id },
+            geometry: polygons.length === 1
+                ? { type: 'Polygon', coordinates: polygons[0] }
+                : { type: 'MultiPolygon', coordinates: polygons }
+        });
+    }
+
+    const json = JSON.stringify({ type: 'FeatureCollection', features });
+    const gzipped = zlib.gzipSync(json, { level: 9 });
+
+    fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+    fs.writeFileSync(OUT_FILE, gzipped);
+
+    console.log(`✅ ${features.length} kabupaten/kota → database/boundary/regency.json.gz`);
+    console.log(`   ${(json.length / 1024).toFixed(0)} KB JSON → ${(gzipped.length / 1024).toFixed(0)} KB gzip (toleransi ${tolerance}°)`);
+    if (skipped > 0) {
+        console.log(`   ${skipped} fitur dilewati (kode tidak dikenal atau geometri kosong)`);
+    }
+}
+
+// Also used by scripts/outline.js
+module.exports = { simplifyPolygon };
+
+if (require.main === module) {
+    main();
+}
@@ -5,7 +5,7 @@
  * 
  * Generates a self-contained dist/ folder with:
  * - Minified & bundled CSS (18 files → 1)
- * - Minified & bundled JS  (9 modules → 1)
+ * - Minified & bundled JS  (24 modules → 1)
  * - Modified loader.js (loads single bundle)
  * - Modified sw.js (updated cache paths + minified)
  * - Modified index.html (references dist assets)
@@ -40,6 +40,11 @@ const CSS_FILES = [
     'assets/css/components/_footer.css',
     'assets/css/components/_animations.css',
     'assets/css/components/_settings.css',
+    'assets/css/components/_events.css',
+    'assets/css/components/_fasting.css',
+    'assets/css/components/_qadha.css',
+    'assets/css/components/_qibla.css',
+    'assets/css/components/_print.css',
     'assets/css/components/_skeleton.css',
     'assets/css/components/_splash.css',
 ];
@@ -58,10 +63,25 @@ const CSS_TAIL = `
 const JS_MODULES = [
     'assets/js/modules/config.js',
     'assets/js/modules/storage.js',
+    'assets/js/modules/hijri.js',
+    'assets/js/modules/astronomy.js',
+    'assets/js/modules/hilal.js',
+    'assets/js/modules/events.js',
+    'assets/js/modules/fasting.js',
+    'assets/js/modules/qadha.js',
     'assets/js/modules/api.js',
+    'assets/js/modules/clock.js',
+    'assets/js/modules/search.js',
+    'assets/js/modules/coordinates.js',
     'assets/js/modules/database.js',
     'assets/js/modules/location.js',
+    'assets/js/modules/map.js',
+    'assets/js/modules/qibla.js',
     'assets/js/modules/prayer.js',
+    'assets/js/modules/notification.js',
+    'assets/js/modules/qrcode.js',
+    'assets/js/modules/backup.js',
+    'assets/js/modules/export.js',
     'assets/js/modules/ui.js',
     'assets/js/app.js',
     'assets/js/main.js',
@@ -243,7 +263,7 @@ async function buildSW() {
     // Increment cache version
     swContent = swContent.replace(
         /const CACHE_VERSION = '[^']*'/,
-        "const CACHE_VERSION = 'v25-dist'"
+        "const CACHE_VERSION = 'v44-dist'"
     );
 
     // Replace STATIC_ASSETS with production paths
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Satu Ramadhan - District Database Generator
+ *
+ * Converts kecamatan (and optionally kelurahan/desa) CSV exports into
+ * database/district/{province_id}.json, one file per province, so the
+ * app only downloads the province it needs.
+ *
+ * Usage:
+ *   node scripts/districts.js <kecamatan.csv> [kelurahan.csv]
+ *
+ * CSV columns (header row, any order, extra columns ignored):
+ *   id|kode, name|nama, latitude|lat, longitude|lng|lon
+ *
+ * IDs are Kemendagri codes, dotted ("11.01.01") or plain ("110101" / "1101010").
+ * The regency of a district is the first 4 digits of its code (its province is
+ * taken from regency.json); the district of a village is its 7- or 6-digit
+ * prefix. Rows without coordinates are skipped.
+ *
+ * The committed files come from Kemendagri codes and names (idn-area-data,
+ * ODbL) placed at GADM 4.1 kecamatan/desa polygon centroids; unmatched
+ * villages take their kecamatan's point, unmatched kecamatan their regency's.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'database', 'district');
+
+const COLUMNS = {
+    id: ['id', 'kode', 'code'],
+    name: ['name', 'nama'],
+    latitude: ['latitude', 'lat'],
+    longitude: ['longitude', 'lng', 'lon', 'long']
+};
+
+// ============================================================
+// CSV
+// ============================================================
+
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function readRecords(file) {
+    const [header, ...rows] = parseCSV(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+    const names = header.map(h => h.trim().toLowerCase());
+    const index = {};
+
+    for (const [key, aliases] of Object.entries(COLUMNS)) {
+        index[key] = names.findIndex(name => aliases.includes(name));
+        if (index[key] === -1) {
+            throw new Error(`${path.basename(file)}: kolom "${aliases.join('/')}" tidak ditemukan`);
+        }
+    }
+
+    return rows
+        .map(row => ({
+            id: row[index.id].trim().replace(/\./g, ''),
+            name: formatName(row[index.name].trim()),
+            latitude: Number(row[index.latitude]),
+            longitude: Number(row[index.longitude])
+        }))
+        .filter(record =>
+            record.id && record.name &&
+            Number.isFinite(record.latitude) && Number.isFinite(record.longitude) &&
+            (record.latitude !== 0 || record.longitude !== 0)
+        );
+}
+
+// "KOTA BARU" -> "Kota Baru" (regency.json uses title case)
+function formatName(name) {
+    if (name !== name.toUpperCase()) return name;
+    return name.toLowerCase().replace(/(^|[\s\-(/])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+    const [districtFile, villageFile] = process.argv.slice(2);
+
+    if (!districtFile) {
+        console.error('Pemakaian: node scripts/districts.js <kecamatan.csv> [kelurahan.csv]');
+        process.exit(1);
+    }
+
+    // Regency ID -> province ID (newer Papua provinces keep "91xx" regency codes)
+    const regencyProvinces = new Map(
+        JSON.parse(fs.readFileSync(path.join(ROOT, 'database', 'regency.json'), 'utf8')).map(r => [r.id, r.province_id])
+    );
+
+    const districts = new Map();
+    let unknownRegency = 0;
+
+    for (const record of readRecords(districtFile)) {
+        const regencyId = record.id.slice(0, 4);
+        if (!regencyProvinces.has(regencyId)) {
+            unknownRegency++;
+            continue;
+        }
+
+        districts.set(record.id, {
+            id: record.id,
+            regency_id: regencyId,
+            name: record.name,
+            latitude: round(record.latitude),
+            longitude: round(record.longitude)
+        });
+    }
+
+    let villageCount = 0;
+    if (villageFile) {
+        for (const record of readRecords(villageFile)) {
+            const district = districts.get(record.id.slice(0, 7)) || districts.get(record.id.slice(0, 6));
+            if (!district) continue;
+
+            (district.villages = district.villages || []).push({
+                id: record.id,
+                name: record.name,
+                latitude: round(record.latitude),
+                longitude: round(record.longitude)
+            });
+            villageCount++;
+        }
+    }
+
+    const byProvince = new Map();
+    for (const district of districts.values()) {
+        const provinceId = regencyProvinces.get(district.regency_id);
+        if (!byProvince.has(provinceId)) byProvince.set(provinceId, []);
+        byProvince.get(provinceId).push(district);
+    }
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    for (const [provinceId, list] of [...byProvince].sort()) {
+        list.sort((a, b) => a.id.localeCompare(b.id));
+        list.forEach(d => d.villages?.sort((a, b) => a.id.localeCompare(b.id)));
+
+        fs.writeFileSync(path.join(OUT_DIR, `${provinceId}.json`), JSON.stringify(list, null, 2) + '\n');
+        console.log(`  ✓ ${provinceId}.json (${list.length} kecamatan)`);
+    }
+
+    console.log(`\n✅ ${districts.size} kecamatan, ${villageCount} kelurahan/desa → database/district/`);
+    if (unknownRegency > 0) {
+        console.log(`   ${unknownRegency} baris dilewati (kabupaten/kota tidak ada di regency.json)`);
+    }
+}
+
+main();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Satu Ramadhan - Aladhan Fixture Recorder
+ *
+ * Fetches the schedules listed in test/fixtures/cases.json from the Aladhan
+ * API (method 20 / Kemenag, optional tune) and stores each response's `data`
+ * object in test/fixtures/aladhan/, where test/astronomy.test.js compares the
+ * offline engine against it.
+ *
+ * Usage:
+ *   node scripts/fixtures.js
+ *
+ * cases.json entries: { regency, date: "YYYY-MM-DD", timezone, tune? }
+ * tune is Aladhan's order: Imsak,Fajr,Sunrise,Dhuhr,Asr,Maghrib,Sunset,Isha,Midnight
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CASES_FILE = path.join(ROOT, 'test', 'fixtures', 'cases.json');
+const OUT_DIR = path.join(ROOT, 'test', 'fixtures', 'aladhan');
+const API_URL = 'https://api.aladhan.com/v1';
+const METHOD = 20;
+
+// Pause between requests to stay under the API rate limit (ms)
+const REQUEST_GAP = 1500;
+
+function buildUrl(regency, entry) {
+    const [year, month, day] = entry.date.split('-');
+    const params = new URLSearchParams({
+        latitude: regency.latitude,
+        longitude: regency.longitude,
+        method: METHOD,
+        timezonestring: entry.timezone
+    });
+    if (entry.tune) params.set('tune', entry.tune);
+
+    return `${API_URL}/timings/${day}-${month}-${year}?${params}`;
+}
+
+async function main() {
+    const cases = JSON.parse(fs.readFileSync(CASES_FILE, 'utf8'));
+    const regencies = new Map(
+        JSON.parse(fs.readFileSync(path.join(ROOT, 'database', 'regency.json'), 'utf8'))
+            .map(regency => [regency.id, regency])
+    );
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    for (const entry of cases) {
+        const regency = regencies.get(entry.regency);
+        if (!regency) {
+            console.error(`  ✗ ${entry.regency}: tidak ada di regency.json`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        const response = await fetch(buildUrl(regency, entry));
+        const json = await response.json().catch(() => null);
+        if (!response.ok || json?.code !== 200) {
+            console.error(`  ✗ ${entry.regency} ${entry.date}: HTTP ${response.status}`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        const file = `${entry.regency}_${entry.date}${entry.tune ? '_tune' : ''}.json`;
+        fs.writeFileSync(path.join(OUT_DIR, file), JSON.stringify(json.data, null, 4) + '\n');
+        console.log(`  ✓ ${file} (${regency.name})`);
+
+        await new Promise(resolve => setTimeout(resolve, REQUEST_GAP));
+    }
+
+    console.log(`\n✅ ${cases.length} jadwal → test/fixtures/aladhan/`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Satu Ramadhan - Country Outline Generator
+ *
+ * Extracts Indonesia from a world-atlas countries TopoJSON (Natural Earth,
+ * public domain) and writes a simplified coastline to
+ * database/boundary/indonesia.json, the land layer of the offline location map.
+ *
+ * Usage:
+ *   node scripts/outline.js <countries-50m.json> [--tolerance=<degrees>]
+ *
+ * --tolerance  Douglas-Peucker tolerance in degrees. Default: 0.01 (~1 km).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { simplifyPolygon } = require('./boundaries');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT_FILE = path.join(ROOT, 'database', 'boundary', 'indonesia.json');
+
+// ISO 3166-1 numeric code used as the world-atlas geometry id
+const COUNTRY_ID = '360';
+
+// ============================================================
+// TOPOJSON
+// ============================================================
+
+// Arcs are delta-encoded and quantized; decode them to [lng, lat] once
+function decodeArcs(topology) {
+    const { scale, translate } = topology.transform || { scale: [1, 1], translate: [0, 0] };
+
+    return topology.arcs.map(arc => {
+        let x = 0;
+        let y = 0;
+
+        return arc.map(([dx, dy]) => {
+            x += dx;
+            y += dy;
+            return [x * scale[0] + translate[0], y * scale[1] + translate[1]];
+        });
+    });
+}
+
+// A negative index (~i) walks arc i backwards; shared end points are dropped
+function buildRing(indexes, arcs) {
+    const ring = [];
+
+    for (const index of indexes) {
+        const points = index < 0 ? [...arcs[~index]].reverse() : arcs[index];
+        ring.push(...(ring.length ? points.slice(1) : points));
+    }
+
+    return ring;
+}
+
+// ============================================================
+// MAIN
+// ============================================================
+
+function main() {
+    const args = process.argv.slice(2);
+    const input = args.find(arg => !arg.startsWith('--'));
+    const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+    if (!input) {
+        console.error('Pemakaian: node scripts/outline.js <countries-50m.json> [--tolerance=<derajat>]');
+        process.exit(1);
+    }
+
+    const tolerance = Number(option('tolerance') || 0.01);
+    const topology = JSON.parse(fs.readFileSync(input, 'utf8'));
+    const country = topology.objects?.countries?.geometries.find(geometry => String(geometry.id) === COUNTRY_ID);
+
+    if (!country || !['Polygon', 'MultiPolygon'].includes(country.type)) {
+        console.error(`${path.basename(input)}: Indonesia (${COUNTRY_ID}) tidak ditemukan`);
+        process.exit(1);
+    }
+
+    const arcs = decodeArcs(topology);
+    const polygons = (country.type === 'Polygon' ? [country.arcs] : country.arcs)
+        .map(polygon => simplifyPolygon(polygon.map(ring => buildRing(ring, arcs)), tolerance))
+        .filter(Boolean);
+
+    const json = JSON.stringify({
+        type: 'Feature',
+        properties: { name: 'Indonesia', source: 'Natural Earth' },
+        geometry: { type: 'MultiPolygon', coordinates: polygons }
+    });
+
+    fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+    fs.writeFileSync(OUT_FILE, json);
+
+    const points = polygons.flat(2).length;
+    console.log(`✅ ${polygons.length} pulau, ${points} titik → database/boundary/indonesia.json`);
+    console.log(`   ${(json.length / 1024).toFixed(0)} KB (toleransi ${tolerance}°)`);
+}
+
+main();
@@ -4,7 +4,7 @@
  * Network-first for JS to ensure users get latest code
  */
 
-const CACHE_VERSION = 'v25';
+const CACHE_VERSION = 'v44';
 
 // Cache base names must match SaturaConfig.CACHE.names in config.js.
 // Duplicated here because Service Workers cannot import app modules.
@@ -14,6 +14,14 @@ const CACHE_NAMES = {
     database: `satura-db-${CACHE_VERSION}`
 };
 
+// IndexedDB shared with the page. Must match SaturaConfig.CACHE.indexedDB
+// (records are { value, timestamp, ttl } like SaturaStorage).
+const IDB = {
+    name: 'satura',
+    version: 1,
+    stores: ['schedules', 'locations', 'settings']
+};
+
 // Static assets to cache on install
 const STATIC_ASSETS = [
     '/saturamadhan/',
@@ -40,6 +48,11 @@ const STATIC_ASSETS = [
     '/saturamadhan/assets/css/components/_footer.css',
     '/saturamadhan/assets/css/components/_animations.css',
     '/saturamadhan/assets/css/components/_settings.css',
+    '/saturamadhan/assets/css/components/_events.css',
+    '/saturamadhan/assets/css/components/_fasting.css',
+    '/saturamadhan/assets/css/components/_qadha.css',
+    '/saturamadhan/assets/css/components/_qibla.css',
+    '/saturamadhan/assets/css/components/_print.css',
 
     // Icons - Prayer Times
     '/saturamadhan/assets/icon/cloud-sun.svg',
@@ -72,9 +85,24 @@ const STATIC_ASSETS = [
     '/saturamadhan/assets/js/main.js',
     '/saturamadhan/assets/js/modules/config.js',
     '/saturamadhan/assets/js/modules/api.js',
+    '/saturamadhan/assets/js/modules/astronomy.js',
+    '/saturamadhan/assets/js/modules/backup.js',
+    '/saturamadhan/assets/js/modules/clock.js',
+    '/saturamadhan/assets/js/modules/coordinates.js',
     '/saturamadhan/assets/js/modules/database.js',
+    '/saturamadhan/assets/js/modules/events.js',
+    '/saturamadhan/assets/js/modules/export.js',
+    '/saturamadhan/assets/js/modules/fasting.js',
+    '/saturamadhan/assets/js/modules/hijri.js',
+    '/saturamadhan/assets/js/modules/hilal.js',
     '/saturamadhan/assets/js/modules/location.js',
+    '/saturamadhan/assets/js/modules/map.js',
+    '/saturamadhan/assets/js/modules/notification.js',
     '/saturamadhan/assets/js/modules/prayer.js',
+    '/saturamadhan/assets/js/modules/qadha.js',
+    '/saturamadhan/assets/js/modules/qibla.js',
+    '/saturamadhan/assets/js/modules/qrcode.js',
+    '/saturamadhan/assets/js/modules/search.js',
     '/saturamadhan/assets/js/modules/storage.js',
     '/saturamadhan/assets/js/modules/ui.js',
 ];
@@ -167,6 +195,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Clock samples must come straight from the network, never from a cache
+    if (isClockRequest(url)) {
+        return;
+    }
+
     // Determine caching strategy based on request type
     if (isApiRequest(url)) {
         // Stale-while-revalidate for API with GPS coordinate normalization
@@ -362,12 +395,19 @@ function isApiRequest(url) {
     return API_DOMAINS.some(domain => url.hostname.includes(domain));
 }
 
+/**
+ * Check if request reads the server clock (Aladhan currentTime/currentTimestamp)
+ */
+function isClockRequest(url) {
+    return isApiRequest(url) && /\/current(Time|Timestamp)$/.test(url.pathname);
+}
+
 /**
  * Check if request is for database files
  */
 function isDatabaseRequest(url) {
     return url.pathname.includes('/database/') &&
-        url.pathname.endsWith('.json');
+        /\.json(\.gz)?$/.test(url.pathname);
 }
 
 /**
@@ -378,31 +418,329 @@ function isStaticAsset(url) {
     return staticExtensions.some(ext => url.pathname.endsWith(ext));
 }
 
+// ===========================================
+// WORKER STATE (INDEXEDDB)
+// ===========================================
+
+let dbPromise = null;
+
+/**
+ * Open the shared IndexedDB (creates stores if the page has not yet)
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB.name, IDB.version);
+        request.onupgradeneeded = () => {
+            IDB.stores.forEach(store => {
+                if (!request.result.objectStoreNames.contains(store)) {
+                    request.result.createObjectStore(store);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request inside a transaction
+ */
+async function idbRequest(storeName, mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = action(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Write a record in SaturaStorage format
+ * @param {string} storeName - Object store
+ * @param {string} key - Record key
+ * @param {*} value - Serializable value
+ * @param {number} ttl - Time to live in ms (optional)
+ */
+function idbSet(storeName, key, value, ttl = null) {
+    return idbRequest(storeName, 'readwrite', store =>
+        store.put({ value, timestamp: Date.now(), ttl }, key)
+    );
+}
+
+/**
+ * Read worker state from the settings store
+ * @param {string} key - State key
+ * @param {*} fallback - Value when nothing is stored
+ */
+async function readState(key, fallback) {
+    const record = await idbRequest('settings', 'readonly', store => store.get(key));
+    return record ? record.value : fallback;
+}
+
+/**
+ * Persist worker state in the settings store
+ * @param {string} key - State key
+ * @param {*} value - Serializable value
+ */
+function writeState(key, value) {
+    return idbSet('settings', key, value);
+}
+
 // ===========================================
 // BACKGROUND SYNC
 // ===========================================
 
+// Saved location + calculation settings published by the page (SET_SYNC_PROFILE)
+const SYNC_PROFILE_KEY = 'satura_sw_sync_profile';
+
+// Synced days are read by SaturaStorage.getSyncedDay(); the profile carries
+// its key prefix (settings, point, elevation) so the formats cannot drift
+const SYNCED_DAY_TTL = 7 * 24 * 60 * 60 * 1000;
+
 self.addEventListener('sync', (event) => {
     console.log('[SW] Background sync:', event.tag);
 
     if (event.tag === 'sync-prayer-times') {
+        // Rejection lets the browser retry the one-off sync later
         event.waitUntil(syncPrayerTimes());
     }
 });
 
+self.addEventListener('periodicsync', (event) => {
+    console.log('[SW] Periodic sync:', event.tag);
+
+    if (event.tag === 'sync-prayer-times') {
+        event.waitUntil(Promise.all([
+            catchUpReminders(),
+            syncPrayerTimes().catch(error => {
+                console.error('[SW] Periodic sync failed:', error);
+            })
+        ]));
+    }
+});
+
 /**
- * Sync prayer times in background
+ * Build an Aladhan URL the same way SaturaAPI.buildUrl does,
+ * so synced responses land on the page's cache keys
  */
-async function syncPrayerTimes() {
+function buildApiUrl(endpoint, path, query) {
+    const url = new URL(endpoint.replace(/\/$/, '') + path);
+    Object.entries(query).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            url.searchParams.append(key, String(value));
+        }
+    });
+    return url;
+}
+
+/**
+ * Calendar date at the location (the page's SaturaPrayer.getLocationDate),
+ * as a UTC midnight Date read back with getUTC* methods
+ * @param {string} timeZone - IANA time zone of the location (device zone if missing)
+ * @param {number} dayOffset - Days to add
+ */
+function getLocationDate(timeZone, dayOffset = 0) {
+    let parts;
     try {
-        // This would be called from the app when online
-        console.log('[SW] Syncing prayer times...');
-        // Implementation would fetch and cache prayer times
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric'
+        }).formatToParts(new Date());
     } catch (error) {
-        console.error('[SW] Sync failed:', error);
+        // Unknown zone name: fall back to the device's calendar
+        parts = new Intl.DateTimeFormat('en-US').formatToParts(new Date());
+    }
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    return new Date(Date.UTC(value('year'), value('month') - 1, value('day') + dayOffset));
+}
+
+/**
+ * Format date as DD-MM-YYYY (Aladhan path format)
+ */
+function formatApiDate(date) {
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    return `${day}-${month}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Key for a synced day: the page's prefix (SaturaStorage.getSyncedDayPrefix) + date
+ */
+function getSyncedDayKey(profile, date) {
+    const day = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+    return `${profile.dayKeyPrefix}_${day}`;
+}
+
+/**
+ * Refresh today's and upcoming schedules for the saved location
+ * and store them in the API cache
+ */
+async function syncPrayerTimes() {
+    const profile = await readState(SYNC_PROFILE_KEY, null);
+    if (!profile?.dayKeyPrefix) {
+        console.log('[SW] No sync profile yet, skipping sync');
+        return;
+    }
+
+    console.log('[SW] Syncing prayer times...');
+    const cache = await caches.open(CACHE_NAMES.api);
+    let synced = 0;
+
+    for (let offset = 0; offset < profile.days; offset++) {
+        const date = getLocationDate(profile.timeZone, offset);
+        const path = `${profile.path}/${formatApiDate(date)}`;
+
+        for (const endpoint of profile.endpoints) {
+            try {
+                const response = await fetch(buildApiUrl(endpoint, path, profile.query));
+                if (!response.ok) continue;
+
+                const data = await response.clone().json();
+                if (data.code !== 200) continue;
+
+                // Store under every endpoint's key: the page may fail over to any of them
+                await Promise.all(profile.endpoints.map(base =>
+                    cache.put(normalizeApiUrl(buildApiUrl(base, path, profile.query)), response.clone())
+                ));
+
+                // Also share the raw day with the page through IndexedDB
+                // Raw API times: the elevation shift is added by the page on read
+                await idbSet('schedules', getSyncedDayKey(profile, date), data.data, SYNCED_DAY_TTL);
+                synced++;
+                break;
+            } catch (error) {
+                console.log('[SW] Sync fetch failed:', endpoint, error.message);
+            }
+        }
+    }
+
+    console.log(`[SW] Synced ${synced}/${profile.days} days`);
+
+    if (synced === 0) {
+        throw new Error('No schedules could be synced');
     }
 }
 
+// ===========================================
+// SCHEDULED NOTIFICATIONS (ADHAN & IMSAK)
+// ===========================================
+
+// Reminders are timed by the open page (SaturaNotification), which asks the
+// worker to show each one (SHOW_REMINDER). A copy is persisted in IndexedDB
+// for catch-up only: an idle worker is stopped and any timer it set dies with
+// it, so whenever the worker wakes it shows reminders that fell due within the
+// grace window and were not shown yet. With the app closed this is best effort.
+const REMINDERS_KEY = 'satura_sw_reminders';
+
+// Reminder state changes run one at a time (catch-up and page requests may race)
+let reminderQueue = Promise.resolve();
+
+function withReminders(task) {
+    reminderQueue = reminderQueue.then(task, task);
+    return reminderQueue;
+}
+
+/**
+ * Load persisted reminder state
+ * @returns {Promise<Object>} - { reminders, graceMinutes }
+ */
+function loadReminders() {
+    return readState(REMINDERS_KEY, { reminders: [], graceMinutes: 0 });
+}
+
+/**
+ * Persist reminder state
+ * @param {Object} state - { reminders, graceMinutes }
+ */
+function saveReminders(state) {
+    return writeState(REMINDERS_KEY, state);
+}
+
+/**
+ * Build notification options for a reminder
+ */
+function reminderOptions(reminder) {
+    return {
+        body: reminder.body,
+        icon: '/saturamadhan/assets/favicon/favicon.png',
+        badge: '/saturamadhan/assets/favicon/favicon.png',
+        tag: reminder.id,
+        renotify: true,
+        vibrate: [200, 100, 200, 100, 200],
+        // Sahur alarm stays until dismissed
+        requireInteraction: reminder.key === 'imsak',
+        timestamp: reminder.timestamp,
+        data: { reminder: reminder.key, url: '/saturamadhan/' }
+    };
+}
+
+/**
+ * Replace the persisted reminders with a new set from the page
+ * @param {Object} payload - { reminders, graceMinutes }
+ */
+function scheduleReminders(payload) {
+    return withReminders(async () => {
+        await saveReminders({
+            reminders: payload.reminders || [],
+            graceMinutes: payload.graceMinutes || 0
+        });
+        console.log('[SW] Reminders stored:', (payload.reminders || []).length);
+    });
+}
+
+/**
+ * Forget all pending reminders
+ */
+function clearReminders() {
+    return withReminders(() => saveReminders({ reminders: [], graceMinutes: 0 }));
+}
+
+/**
+ * Show reminders that became due while nobody was timing them
+ * and drop the ones past the grace window
+ */
+function catchUpReminders() {
+    return withReminders(async () => {
+        const state = await loadReminders();
+        const now = Date.now();
+        const grace = state.graceMinutes * 60 * 1000;
+
+        for (const reminder of state.reminders) {
+            if (reminder.timestamp <= now && now - reminder.timestamp <= grace) {
+                await self.registration.showNotification(reminder.title, reminderOptions(reminder));
+            }
+        }
+
+        await saveReminders({ ...state, reminders: state.reminders.filter(r => r.timestamp > now) });
+    });
+}
+
+/**
+ * Show a reminder the page timed and drop it from the persisted list
+ * (no-op when catch-up already showed it)
+ * @param {string} id - Reminder ID
+ */
+function fireReminder(id) {
+    return withReminders(async () => {
+        const state = await loadReminders();
+        const reminder = state.reminders.find(r => r.id === id);
+        if (!reminder) return;
+
+        await self.registration.showNotification(reminder.title, reminderOptions(reminder));
+        await saveReminders({ ...state, reminders: state.reminders.filter(r => r.id !== id) });
+    });
+}
+
 // ===========================================
 // PUSH NOTIFICATIONS
 // ===========================================
@@ -476,6 +814,22 @@ self.addEventListener('message', (event) => {
             clearAllCaches();
             break;
 
+        case 'SET_SYNC_PROFILE':
+            event.waitUntil(writeState(SYNC_PROFILE_KEY, payload));
+            break;
+
+        case 'SCHEDULE_NOTIFICATIONS':
+            event.waitUntil(scheduleReminders(payload || {}));
+            break;
+
+        case 'SHOW_REMINDER':
+            event.waitUntil(fireReminder(payload?.id));
+            break;
+
+        case 'CLEAR_NOTIFICATIONS':
+            event.waitUntil(clearReminders());
+            break;
+
         case 'GET_CACHE_STATUS':
             getCacheStatus().then(status => {
                 event.ports[0].postMessage(status);
@@ -541,4 +895,7 @@ async function getCacheStatus() {
     return status;
 }
 
+// Every start of the worker is a chance to catch up on missed reminders
+catchUpReminders().catch(err => console.error('[SW] Reminder catch-up failed:', err));
+
 console.log('[SW] Service Worker loaded');
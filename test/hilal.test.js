@@ -0,0 +1,29 @@
+/**
+ * Hisab month starts against Indonesia's official (Kemenag) dates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+load(['SaturaConfig', 'SaturaHijri', 'SaturaAstronomy', 'SaturaHilal']);
+
+const JAYAPURA = { latitude: -2.53, longitude: 140.7, timezone: 'Asia/Jayapura' };
+
+test('MABIMS pins 1 Ramadhan 1446 H to 2025-03-01 wherever the user is', () => {
+    assert.strictEqual(SaturaHilal.getRamadhanStart(1446, 'nu').dateString, '2025-03-01');
+    assert.strictEqual(SaturaHilal.getRamadhanStart(1446, 'nu', JAYAPURA).dateString, '2025-03-01');
+});
+
+test('MABIMS matches the official Ramadhan, Syawal and Dzulhijjah starts', () => {
+    const official = [
+        [1444, 9, '2023-03-23'], [1444, 10, '2023-04-22'], [1444, 12, '2023-06-20'],
+        [1445, 9, '2024-03-12'], [1445, 10, '2024-04-10'], [1445, 12, '2024-06-08'],
+        [1446, 10, '2025-03-31'], [1446, 12, '2025-05-28'],
+        [1447, 9, '2026-02-19']
+    ];
+
+    for (const [year, month, date] of official) {
+        assert.strictEqual(SaturaHilal.getMonthStart(year, month, 'mabims', JAYAPURA).dateString, date, `${month}/${year}`);
+    }
+});
@@ -0,0 +1,40 @@
+/**
+ * Loads the browser modules into Node the way the page does: as globals,
+ * in dependency order. Storage is a stub so tests never touch localStorage.
+ */
+
+const path = require('path');
+
+const MODULES_DIR = path.join(__dirname, '..', 'assets', 'js', 'modules');
+
+const storage = {
+    settings: {},
+    tuneOffsets: {},
+    location: null,
+    getSetting(key, fallback) {
+        return key in this.settings ? this.settings[key] : fallback;
+    },
+    getTuneOffsets() {
+        return this.tuneOffsets;
+    },
+    getLocation() {
+        return this.location;
+    }
+};
+
+/**
+ * @param {Array<string>} names - Global names in load order (e.g. ['SaturaConfig', 'SaturaAstronomy'])
+ * @returns {Object} - { storage } stub shared by all loaded modules
+ */
+function load(names) {
+    global.SaturaStorage = storage;
+
+    for (const name of names) {
+        const file = name.replace(/^Satura/, '').toLowerCase();
+        global[name] = require(path.join(MODULES_DIR, `${file}.js`));
+    }
+
+    return { storage };
+}
+
+module.exports = { load };
@@ -0,0 +1,53 @@
+/**
+ * Location search against the bundled province and regency lists
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+load(['SaturaConfig', 'SaturaSearch']);
+
+const provinces = require('../database/province.json');
+const regencies = require('../database/regency.json');
+
+function names(items, query, level = 'regency') {
+    return SaturaSearch.search(items, query, { level }).map(item => item.name);
+}
+
+test('expands abbreviations and aliases', () => {
+    assert.deepStrictEqual(SaturaSearch.expandQuery('kab bdg'), ['kabupaten', 'bandung']);
+    assert.deepStrictEqual(SaturaSearch.expandQuery('Kota Adm. Jaksel'), ['kota', 'administrasi', 'jakarta', 'selatan']);
+});
+
+test('"kab bdg" finds Kabupaten Bandung, not Kota Bandung', () => {
+    const results = names(regencies, 'kab bdg');
+    assert.strictEqual(results[0], 'Bandung');
+    assert.ok(!results.includes('Kota Bandung'));
+});
+
+test('"jogja" finds Yogyakarta at both levels', () => {
+    assert.strictEqual(names(regencies, 'jogja')[0], 'Kota Yogyakarta');
+    assert.strictEqual(names(provinces, 'jogja', 'province')[0], 'Daerah Istimewa Yogyakarta');
+});
+
+test('"Kota Adm. Jaksel" finds Kota Administrasi Jakarta Selatan', () => {
+    assert.deepStrictEqual(names(regencies, 'Kota Adm. Jaksel'), ['Kota Administrasi Jakarta Selatan']);
+});
+
+test('fewer typos rank higher: "makasar" puts Kota Makassar above Mamasa', () => {
+    const results = names(regencies, 'makasar');
+    assert.strictEqual(results[0], 'Kota Makassar');
+    assert.ok(results.indexOf('Mamasa') > 0);
+});
+
+test('typos in the first letter are not matched', () => {
+    assert.ok(!names(regencies, 'bandung').includes('Tanjung Jabung Barat'));
+    assert.strictEqual(names(regencies, 'surabya')[0], 'Kota Surabaya');
+});
+
+test('highlights matched words and escapes the rest', () => {
+    const [result] = SaturaSearch.search(regencies, 'jaksel');
+    assert.strictEqual(result.highlight, 'Kota Administrasi <mark>Jakarta</mark> <mark>Selatan</mark>');
+    assert.strictEqual(SaturaSearch.highlight('A & <b>', [[0, 1]]), '<mark>A</mark> &amp; &lt;b&gt;');
+});
@@ -0,0 +1,89 @@
+/**
+ * Settings validation: field-level rules applied to imported values
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { load } = require('./load');
+
+load(['SaturaConfig']);
+
+// The real storage module: without localStorage it reads as empty
+global.SaturaStorage = require(path.join(__dirname, '..', 'assets', 'js', 'modules', 'storage.js'));
+global.SaturaBackup = require(path.join(__dirname, '..', 'assets', 'js', 'modules', 'backup.js'));
+
+const defaults = SaturaStorage.validateSettings({});
+
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Signed #impor= payload, as getShareUrl builds it
+ * @param {Object} settings - Settings to carry
+ * @returns {Promise<string>} - base64url payload
+ */
+async function sharePayload(settings) {
+    const payload = { v: SaturaConfig.SETTINGS.version, s: settings };
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJSON(payload)));
+    payload.c = Buffer.from(digest).toString('hex').slice(0, 16);
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+test('locations need coordinates in range', () => {
+    for (const location of [{}, { latitude: 'x', longitude: 999 }, { latitude: null, longitude: 106.8 }, { latitude: -91, longitude: 106.8 }]) {
+        assert.strictEqual(SaturaStorage.validateSettings({ location }).location, null, JSON.stringify(location));
+    }
+
+    const { location } = SaturaStorage.validateSettings({ location: { name: 'Bogor', latitude: '-6.6', longitude: 106.8, elevation: -5 } });
+    assert.deepStrictEqual(location, { name: 'Bogor', latitude: -6.6, longitude: 106.8, elevation: 0 });
+});
+
+test('saved locations without an id or coordinates are dropped', () => {
+    const { savedLocations } = SaturaStorage.validateSettings({
+        savedLocations: [{}, { id: 'loc-a', latitude: 'x', longitude: 106.8 }, { id: 'loc-b', latitude: -6.2, longitude: 106.8 }, null]
+    });
+    assert.deepStrictEqual(savedLocations.map(place => place.id), ['loc-b']);
+});
+
+test('adjustments are whole minutes within the limit, reminders and ledger known entries only', () => {
+    const settings = SaturaStorage.validateSettings({
+        prayerAdjustments: { imsak: -10.4, fajr: 500, isha: 'x', bogus: 3 },
+        reminders: { imsak: { enabled: true, lead: 999 }, fajr: { enabled: 'yes' }, bogus: { enabled: true } },
+        qadhaLedger: {
+            ramadhan: { 1446: { 1: 'puasa', 2: 'sakit', 3: 'toString', 31: 'puasa' }, x: { 1: 'puasa' } },
+            manual: { 1445: 3, 1444: -2, 1443: 'x' },
+            paid: ['2025-04-10', '2025-02-30', 'kemarin', '2025-04-10']
+        }
+    });
+
+    assert.deepStrictEqual(settings.prayerAdjustments, { imsak: -10, fajr: 60 });
+    assert.deepStrictEqual(settings.reminders, { imsak: { enabled: true, lead: SaturaConfig.NOTIFICATION.maxLead } });
+    assert.deepStrictEqual(settings.qadhaLedger, {
+        ramadhan: { 1446: { 1: 'puasa', 2: 'sakit' } },
+        manual: { 1445: 3 },
+        paid: ['2025-04-10']
+    });
+});
+
+test('a checksummed share link with malformed values falls back to defaults', async () => {
+    const encoded = await sharePayload({
+        location: { latitude: 'x', longitude: 999 },
+        savedLocations: [{}],
+        organization: 'muhammadiyah'
+    });
+
+    const result = await SaturaBackup.parseSharePayload(encoded);
+    assert.strictEqual(result.settings.location, defaults.location);
+    assert.deepStrictEqual(result.settings.savedLocations, []);
+    assert.strictEqual(result.settings.organization, 'muhammadiyah');
+    assert.ok(result.warnings.some(warning => warning.startsWith(SaturaConfig.SETTINGS.labels.location)));
+});